@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+
+/**
+ * Framework Injection
+ * Renders CLAUDE.template.md and the project config template (the multi-instance template or an
+ * architecture preset) into a target project from one variables file, and refuses to overwrite
+ * rendered copies that were edited locally
+ * See docs/template-variables.md for the variables and conditional sections
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+const {
+  resolvePresetPath, parseConfigSource, validateConfigDocument, findPlaceholders
+} = require('../templates/verification-lib/config-loader');
+
+const FRAMEWORK_DIR = path.resolve(__dirname, '..');
+
+// What was written on the last injection, so later runs can tell framework changes from local edits
+const MANIFEST_FILE = '.framework-injection.json';
+
+const PLACEHOLDER = /{{([A-Z][A-Z0-9_]*)}}/g;
+const BLOCK = /{{IF_([A-Z0-9_]+)}}([\s\S]*?){{ENDIF_\1}}/g;
+const BLOCK_TAG = /{{(?:END)?IF_[A-Z0-9_]+}}/g;
+// A tag alone on its line takes the line break with it, so removed sections leave no blank lines
+const STANDALONE_TAG = /^[ \t]*({{(?:END)?IF_[A-Z0-9_]+}})[ \t]*\r?\n/gm;
+
+const useColor = process.env.FORCE_COLOR ? process.env.FORCE_COLOR !== '0' : Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+const colors = Object.fromEntries(Object.entries({
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+}).map(([name, code]) => [name, useColor ? code : '']));
+
+/**
+ * Read and check a variables file (JSON or YAML)
+ *
+ * @returns {{architecture: string, configPath: string, variables: object, conditions: object}}
+ */
+function loadVariables(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Variables file not found: ${filePath}`);
+  }
+  const document = parseConfigSource(fs.readFileSync(filePath, 'utf8'), filePath) || {};
+  const { architecture = 'custom', config_path: configPath = 'project-config.yaml', variables = {}, conditions = {} } = document;
+
+  const errors = [];
+  if (typeof architecture !== 'string') errors.push('architecture must be a preset name or "custom"');
+  if (typeof configPath !== 'string') errors.push('config_path must be a path');
+  if (!isObject(variables)) {
+    errors.push('variables must map NAMES to values');
+  } else {
+    for (const [name, value] of Object.entries(variables)) {
+      const scalar = (item) => ['string', 'number', 'boolean'].includes(typeof item);
+      if (value !== null && !scalar(value) && !(Array.isArray(value) && value.every(scalar))) {
+        errors.push(`variables.${name} must be a string, number, boolean or a list of them`);
+      }
+    }
+  }
+  if (!isObject(conditions) || !Object.values(conditions).every(value => typeof value === 'boolean')) {
+    errors.push('conditions must map NAMES to true or false');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid variables file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { architecture, configPath, variables, conditions };
+}
+
+/**
+ * Templates to render: [{ template, output, format }], paths relative to the framework and the project
+ */
+function listTemplates({ architecture, configPath }) {
+  const configTemplate = architecture === 'custom'
+    ? path.join(FRAMEWORK_DIR, 'templates', 'multi-instance-setup-template.yaml')
+    : resolvePresetPath(architecture);
+
+  return [
+    { template: path.join(FRAMEWORK_DIR, 'CLAUDE.template.md'), output: 'CLAUDE.md', format: 'markdown' },
+    { template: configTemplate, output: configPath, format: 'yaml' }
+  ];
+}
+
+/**
+ * Whether an {{IF_NAME}} section is kept
+ * An explicit condition wins; otherwise NO_X negates X, A_AND_B / A_OR_B combine A and B, and a
+ * name that is also a variable (e.g. IF_BUILD_TOOL) is on when the variable has a value. Anything
+ * else is off and reported as undecided
+ */
+function isEnabled(name, context) {
+  const { variables, conditions, undecided } = context;
+  if (conditions[name] !== undefined) return conditions[name];
+  if (name.startsWith('NO_')) return !isEnabled(name.slice('NO_'.length), context);
+  for (const [operator, combine] of [['_AND_', (a, b) => a && b], ['_OR_', (a, b) => a || b]]) {
+    const index = name.indexOf(operator);
+    if (index > 0) {
+      // Evaluate both sides so every undecided name gets reported
+      const left = isEnabled(name.slice(0, index), context);
+      const right = isEnabled(name.slice(index + operator.length), context);
+      return combine(left, right);
+    }
+  }
+  if (variables[name] !== undefined && variables[name] !== null) return variables[name] !== '' && variables[name] !== false;
+
+  undecided.add(name);
+  return false;
+}
+
+/**
+ * Render one template: resolve conditional sections, then substitute variables
+ * Sections nest as long as nested sections use different names
+ *
+ * @param {string} text
+ * @param {object} context - { variables, conditions, format: 'markdown'|'yaml' }
+ * @returns {{output: string, missing: string[], leftover: string[], undecided: string[]}}
+ */
+function renderTemplate(text, { variables, conditions, format }) {
+  const context = { variables, conditions, undecided: new Set() };
+  const renderSections = (source) => source.replace(BLOCK, (match, name, body) => (isEnabled(name, context) ? renderSections(body) : ''));
+
+  let output = renderSections(text.replace(STANDALONE_TAG, '$1'));
+  const leftover = (output.match(BLOCK_TAG) || []).map(tag => `${tag} without its matching tag`);
+
+  const missing = new Set();
+  output = output.replace(PLACEHOLDER, (match, name) => {
+    if (/^(END)?IF_/.test(name)) return match;
+    if (variables[name] === undefined || variables[name] === null) {
+      missing.add(name);
+      return match;
+    }
+    return formatValue(variables[name], format);
+  });
+
+  // Values that bring in placeholders of their own
+  for (const [token, name] of output.matchAll(PLACEHOLDER)) {
+    if (!missing.has(name) && !/^(END)?IF_/.test(name)) leftover.push(`${token} from a variable value`);
+  }
+
+  if (format === 'markdown') {
+    // Bullets whose whole text was a removed section
+    output = output.replace(/^[ \t]*[-*][ \t]*\r?\n/gm, '');
+  }
+
+  return { output, missing: Array.from(missing), leftover, undecided: Array.from(context.undecided) };
+}
+
+/**
+ * YAML placeholders sit inside double quotes: escape for them, and let a list fill `["{{PATHS}}"]`
+ */
+function formatValue(value, format) {
+  const items = Array.isArray(value) ? value : [value];
+  if (format !== 'yaml') return items.join(', ');
+  return items.map(item => String(item).replace(/\\/g, '\\\\').replace(/"/g, '\\"')).join('", "');
+}
+
+/**
+ * Render every template and decide what happens to each output file
+ *
+ * @param {object} vars - loadVariables() result
+ * @param {string} targetDir
+ * @returns {Array<{template, output, rendered, status: 'create'|'update'|'unchanged'|'conflict', current, problems: string[], undecided: string[]}>}
+ */
+function planInjection(vars, targetDir) {
+  const manifest = readManifest(targetDir);
+
+  return listTemplates(vars).map(({ template, output, format }) => {
+    const { output: rendered, missing, leftover, undecided } = renderTemplate(fs.readFileSync(template, 'utf8'), { ...vars, format });
+    const problems = [
+      ...missing.map(name => `missing variable ${name}`),
+      ...leftover.map(token => `placeholder left over: ${token}`)
+    ];
+    if (format === 'yaml' && problems.length === 0) problems.push(...checkRenderedConfig(rendered));
+
+    const targetPath = path.join(targetDir, output);
+    const current = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : null;
+    const record = manifest.files[output];
+    let status;
+    if (current === null) {
+      status = 'create';
+    } else if (current === rendered) {
+      status = 'unchanged';
+    } else if (record && record.sha256 === hash(current)) {
+      status = 'update'; // Still exactly what the last injection wrote
+    } else {
+      status = 'conflict';
+    }
+
+    return { template: path.relative(FRAMEWORK_DIR, template), output, rendered, status, current, problems, undecided };
+  });
+}
+
+/**
+ * A rendered project config must parse and pass the verification config schema
+ */
+function checkRenderedConfig(text) {
+  let document;
+  try {
+    document = parseConfigSource(text, 'config.yaml');
+  } catch (error) {
+    return [`rendered config is not valid YAML: ${error.message.split('\n')[0]}`];
+  }
+  return [
+    ...validateConfigDocument(document).map(error => `rendered config: ${error}`),
+    ...findPlaceholders(document).map(placeholder => `placeholder left over: {{${placeholder.variable}}} at ${placeholder.path}`)
+  ];
+}
+
+/**
+ * Write planned outputs and record them in the manifest; conflicts are written only with force
+ *
+ * @returns {string[]} outputs written
+ */
+function applyInjection(plan, targetDir, { force = false } = {}) {
+  const manifest = readManifest(targetDir);
+  const written = [];
+
+  for (const file of plan) {
+    if (file.status === 'unchanged' || (file.status === 'conflict' && !force)) continue;
+    const targetPath = path.join(targetDir, file.output);
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, file.rendered);
+    manifest.files[file.output] = { template: file.template, sha256: hash(file.rendered), injectedAt: new Date().toISOString() };
+    written.push(file.output);
+  }
+
+  // Unchanged files keep their record; a first run over existing identical copies adopts them
+  const adopted = plan.filter(entry => entry.status === 'unchanged' && !manifest.files[entry.output]);
+  for (const file of adopted) {
+    manifest.files[file.output] = { template: file.template, sha256: hash(file.rendered), injectedAt: new Date().toISOString() };
+  }
+
+  // A run that changes nothing leaves the target untouched, manifest included
+  if (written.length === 0 && adopted.length === 0 && fs.existsSync(path.join(targetDir, MANIFEST_FILE))) return written;
+  fs.writeFileSync(path.join(targetDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  return written;
+}
+
+/**
+ * Unified diff of the project's copy against the new rendering, through `git diff --no-index`
+ */
+function diffFile(file) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'framework-injection-'));
+  try {
+    for (const [side, content] of [['current', file.current || ''], ['rendered', file.rendered]]) {
+      fs.mkdirSync(path.join(tempDir, side, path.dirname(file.output)), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, side, file.output), content);
+    }
+    try {
+      execFileSync('git', ['diff', '--no-index', `--color=${useColor ? 'always' : 'never'}`, '--',
+        path.join('current', file.output), path.join('rendered', file.output)], { cwd: tempDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+      return '';
+    } catch (error) {
+      // Exit code 1 means the files differ
+      if (error.status === 1 && error.stdout) return error.stdout;
+      return `(no diff available: ${String(error.stderr || error.message).trim().split('\n')[0]})`;
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+function readManifest(targetDir) {
+  const manifestPath = path.join(targetDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return { files: {} };
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return { ...manifest, files: manifest.files || {} };
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const USAGE = `Usage: inject-framework.js --vars <file> [options]
+
+Renders CLAUDE.md and the project config into a project from a JSON or YAML variables file.
+
+Options:
+  --vars <file>      Variables file: { architecture, config_path, variables, conditions }
+  --target <dir>     Project to inject into (default: current directory)
+  --diff             Show what would change, without writing
+  --force            Overwrite rendered copies that were edited locally
+  -h, --help         Show this help
+
+Exit codes: 0 injected (or nothing to do), 1 missing variables, leftover placeholders or local edits, 2 usage or internal error`;
+
+function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        vars: { type: 'string' },
+        target: { type: 'string' },
+        diff: { type: 'boolean' },
+        force: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!values.vars) {
+    console.error(`--vars is required\n\n${USAGE}`);
+    return 2;
+  }
+
+  const targetDir = path.resolve(values.target || process.cwd());
+  const vars = loadVariables(path.resolve(values.vars));
+  const plan = planInjection(vars, targetDir);
+
+  console.log(`${colors.bold}📦 Injecting framework into ${targetDir}${colors.reset}\n`);
+  let failed = false;
+  for (const file of plan) {
+    if (file.problems.length > 0) {
+      failed = true;
+      console.log(`${colors.red}❌ ${file.output} (from ${file.template})${colors.reset}`);
+      file.problems.forEach(problem => console.log(`   - ${problem}`));
+      continue;
+    }
+
+    const label = {
+      create: `${colors.green}➕ ${file.output}: new`,
+      update: `${colors.blue}🔄 ${file.output}: updated from ${file.template}`,
+      unchanged: `${colors.green}✅ ${file.output}: unchanged`,
+      conflict: `${colors.yellow}⚠️  ${file.output}: edited locally since the last injection${values.force ? ' (overwriting, --force)' : ''}`
+    }[file.status];
+    console.log(`${label}${colors.reset}`);
+    if (file.undecided.length > 0) {
+      console.log(`   Sections left out (no condition set): ${file.undecided.map(name => `IF_${name}`).join(', ')}`);
+    }
+    if (file.status === 'update' || file.status === 'conflict') console.log(diffFile(file));
+  }
+
+  if (failed) {
+    console.log(`\n${colors.red}Nothing written: set the missing variables in ${values.vars}${colors.reset}`);
+    return 1;
+  }
+
+  const conflicts = plan.filter(file => file.status === 'conflict');
+  if (values.diff) {
+    console.log(`\n${colors.blue}Dry run (--diff): nothing written${colors.reset}`);
+    return conflicts.length > 0 && !values.force ? 1 : 0;
+  }
+
+  const written = applyInjection(plan, targetDir, { force: values.force });
+  console.log(`\n${colors.green}Wrote ${written.length} file(s)${written.length > 0 ? `: ${written.join(', ')}` : ''}${colors.reset}`);
+  if (conflicts.length > 0 && !values.force) {
+    console.log(`${colors.yellow}Kept local edits in ${conflicts.map(file => file.output).join(', ')}; merge the diff above by hand or rerun with --force${colors.reset}`);
+    return 1;
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main();
+  } catch (error) {
+    console.error(`💥 ${error.message}`);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { loadVariables, listTemplates, renderTemplate, planInjection, applyInjection, diffFile, MANIFEST_FILE };
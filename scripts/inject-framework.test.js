@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { loadVariables, planInjection, applyInjection, MANIFEST_FILE } = require('./inject-framework');
+
+const SCRIPT = path.join(__dirname, 'inject-framework.js');
+const EXAMPLE_VARS = path.join(__dirname, '..', 'templates', 'injection-variables.example.yaml');
+
+function target(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inject-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Every file in the target with its content and modification time
+ */
+function snapshot(dir) {
+  return Object.fromEntries(fs.readdirSync(dir).sort().map(name => {
+    const file = path.join(dir, name);
+    return [name, { content: fs.readFileSync(file, 'utf8'), mtimeMs: fs.statSync(file).mtimeMs }];
+  }));
+}
+
+test('injecting the example variables renders CLAUDE.md and the config and records them', (t) => {
+  const dir = target(t);
+  const plan = planInjection(loadVariables(EXAMPLE_VARS), dir);
+
+  assert.deepEqual(plan.map(file => `${file.output}:${file.status}`), ['CLAUDE.md:create', 'project-config.yaml:create']);
+  assert.deepEqual(plan.flatMap(file => file.problems), []);
+  assert.deepEqual(applyInjection(plan, dir), ['CLAUDE.md', 'project-config.yaml']);
+
+  const claude = fs.readFileSync(path.join(dir, 'CLAUDE.md'), 'utf8');
+  assert.doesNotMatch(claude, /\{\{/);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+  assert.deepEqual(Object.keys(manifest.files), ['CLAUDE.md', 'project-config.yaml']);
+  assert.equal(manifest.files['CLAUDE.md'].sha256, crypto.createHash('sha256').update(claude).digest('hex'));
+});
+
+test('a second injection with the same variables changes nothing', (t) => {
+  const dir = target(t);
+  const vars = loadVariables(EXAMPLE_VARS);
+  applyInjection(planInjection(vars, dir), dir);
+  const before = snapshot(dir);
+
+  const plan = planInjection(vars, dir);
+  assert.deepEqual(plan.map(file => file.status), ['unchanged', 'unchanged']);
+  assert.deepEqual(applyInjection(plan, dir), []);
+  assert.deepEqual(snapshot(dir), before);
+});
+
+test('local edits are kept unless forced, and untouched renderings are updated', (t) => {
+  const dir = target(t);
+  const vars = loadVariables(EXAMPLE_VARS);
+  applyInjection(planInjection(vars, dir), dir);
+  const claudePath = path.join(dir, 'CLAUDE.md');
+  const rendered = fs.readFileSync(claudePath, 'utf8');
+
+  fs.appendFileSync(claudePath, '\nLocal notes\n');
+  const conflicted = planInjection(vars, dir);
+  assert.equal(conflicted[0].status, 'conflict');
+  assert.deepEqual(applyInjection(conflicted, dir), []);
+  assert.match(fs.readFileSync(claudePath, 'utf8'), /Local notes\n$/);
+  assert.deepEqual(applyInjection(conflicted, dir, { force: true }), ['CLAUDE.md']);
+  assert.equal(fs.readFileSync(claudePath, 'utf8'), rendered);
+
+  // A copy that is still what the last injection wrote follows the template
+  const renamed = { ...vars, variables: { ...vars.variables, PROJECT_NAME: 'Renamed' } };
+  assert.deepEqual(planInjection(renamed, dir).map(file => file.status), ['update', 'update']);
+});
+
+test('the CLI injects, then reports nothing to write on the second run', (t) => {
+  const dir = target(t);
+  const run = () => execFileSync(process.execPath, [SCRIPT, '--vars', EXAMPLE_VARS, '--target', dir], { encoding: 'utf8' });
+
+  assert.match(run(), /Wrote 2 file\(s\): CLAUDE\.md, project-config\.yaml/);
+  const before = snapshot(dir);
+  assert.match(run(), /Wrote 0 file\(s\)/);
+  assert.deepEqual(snapshot(dir), before);
+});
@@ -0,0 +1,169 @@
+/**
+ * API Route Checks
+ * Matches the API calls of a web client (fetch, axios, api/http client methods) against the server's
+ * routes, taken from the OpenAPI document or from Express-style and Next.js route declarations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findFiles, matchesAny } = require('./glob');
+const { maskNonCode } = require('./import-graph');
+const { loadOpenApi, OpenApiValidator } = require('./contracts');
+
+const DEFAULTS = {
+  client: ['src/**/*.{js,jsx,ts,tsx}'],
+  server: ['server/**/*.{js,ts}', 'src/server/**/*.{js,ts}', 'src/api/**/*.{js,ts}', 'api/**/*.{js,ts}'],
+  exclude: ['**/*.{test,spec}.*', '**/__tests__/**', '**/__mocks__/**'],
+  // Client paths under this prefix are API calls; routes may be declared with or without it
+  basePath: '/api'
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head'];
+
+// fetch(url, { method }), axios(url), and <client>.get(url) style calls
+const CLIENT_CALL = new RegExp(`\\b(?:fetch|axios|([A-Za-z_$][\\w$]*)\\.(${METHODS.join('|')}))\\s*\\(`, 'g');
+
+// Objects whose .get()/.post() declare routes rather than call them
+const ROUTER_OBJECTS = new Set(['app', 'router', 'server', 'route', 'routes', 'fastify']);
+
+const SERVER_ROUTE = new RegExp(`\\b(?:${Array.from(ROUTER_OBJECTS).join('|')})\\.(${METHODS.join('|')}|all)\\s*\\(\\s*(['"\`])(\\/[^'"\`]*)\\2`, 'g');
+
+// Next.js API routes: pages/api/users/[id].js and app/api/users/[id]/route.ts
+const NEXT_ROUTE = /^(?:src\/)?(?:pages\/(api\/.+?)(?:\/index)?|app\/(api\/.+?)\/route)\.(?:js|jsx|ts|tsx)$/;
+
+/**
+ * Route settings with defaults
+ */
+function resolveSettings(settings = {}) {
+  return { ...DEFAULTS, ...settings };
+}
+
+/**
+ * API calls with a literal path in the client files; interpolated segments become {param}
+ *
+ * @returns {Array<{method: string, path: string, file: string, line: number}>}
+ */
+function findClientCalls(rootDir, settings) {
+  const calls = [];
+  for (const file of findFiles(rootDir, settings.client).filter(file => !matchesAny(file, settings.exclude))) {
+    const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    const code = maskNonCode(source);
+
+    for (const match of code.matchAll(CLIENT_CALL)) {
+      if (match[1] && ROUTER_OBJECTS.has(match[1])) continue;
+      const start = match.index + match[0].length;
+      const requestPath = literalPath(source, start);
+      if (!requestPath || !isApiPath(requestPath, settings.basePath)) continue;
+
+      calls.push({
+        method: match[2] ? match[2].toUpperCase() : fetchMethod(code, start),
+        path: requestPath,
+        file,
+        line: source.slice(0, match.index).split('\n').length
+      });
+    }
+  }
+  return calls;
+}
+
+/**
+ * Leading string literal of a call argument; `${...}` substitutions and a trailing `+ value` become {param}
+ */
+function literalPath(source, start) {
+  const rest = source.slice(start);
+  const literal = rest.match(/^\s*(['"`])((?:\\.|(?!\1)[^\\\n])*)\1(\s*\+)?/);
+  if (!literal) return null;
+
+  let requestPath = literal[2].replace(/\$\{[^}]*\}/g, '{param}');
+  if (literal[3]) requestPath += '{param}';
+  return requestPath.split(/[?#]/)[0];
+}
+
+function isApiPath(requestPath, basePath) {
+  if (!requestPath.startsWith('/')) return false;
+  return !basePath || requestPath === basePath || requestPath.startsWith(`${basePath}/`);
+}
+
+/**
+ * Method of a fetch() call from its options object, GET without one
+ */
+function fetchMethod(code, start) {
+  const call = code.slice(start, start + 400);
+  const end = call.indexOf(')');
+  const options = call.slice(0, end === -1 ? call.length : end).match(/\bmethod\s*:\s*(['"])(\w+)\1/);
+  return options ? options[2].toUpperCase() : 'GET';
+}
+
+/**
+ * Server routes: the OpenAPI document when one is configured, else route declarations in the server files
+ *
+ * @returns {{source: string, find(method: string, requestPath: string): boolean, count: number}}
+ */
+function loadServerRoutes(rootDir, settings) {
+  if (settings.openapi) {
+    const validator = new OpenApiValidator(loadOpenApi(settings.openapi, { rootDir }));
+    return {
+      source: settings.openapi,
+      count: validator.routes.length,
+      find: (method, requestPath) => Boolean(validator.findOperation(method, requestPath).operation)
+    };
+  }
+
+  const routes = [];
+  const add = (method, template) => routes.push({ method, pattern: routePattern(template) });
+  for (const file of findFiles(rootDir, settings.server).filter(file => !matchesAny(file, settings.exclude))) {
+    const code = maskNonCode(fs.readFileSync(path.join(rootDir, file), 'utf8'));
+    for (const match of code.matchAll(SERVER_ROUTE)) add(match[1].toUpperCase(), match[3]);
+  }
+  for (const file of findFiles(rootDir, ['{src/,}pages/api/**', '{src/,}app/api/**/route.*'])) {
+    const next = file.match(NEXT_ROUTE);
+    if (next) add('ALL', `/${next[1] || next[2]}`);
+  }
+
+  return {
+    source: 'route declarations',
+    count: routes.length,
+    find: (method, requestPath) => routes.some(route =>
+      (route.method === 'ALL' || route.method === method) && route.pattern.test(requestPath))
+  };
+}
+
+/**
+ * Express (/users/:id, /files/*) and Next.js (/users/[id], /docs/[...slug]) routes as a RegExp
+ * A client's {param} placeholder matches any parameter
+ */
+function routePattern(template) {
+  const source = template.replace(/\/+$/, '').split('/').map(segment => {
+    if (segment === '*' || /^\[\.\.\..+\]$/.test(segment)) return '.+';
+    if (/^:\w+\??$/.test(segment) || /^\[.+\]$/.test(segment)) return '[^/]+';
+    return segment.replace(/[.+?^$()|[\]\\*]/g, '\\$&');
+  }).join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Client calls no server route answers; a call matches with or without the base path
+ *
+ * @returns {{calls: object[], routes: {source: string, count: number}, unmatched: object[]}}
+ */
+function checkApiRoutes(rootDir, settings) {
+  const calls = findClientCalls(rootDir, settings);
+  const routes = loadServerRoutes(rootDir, settings);
+  const unmatched = calls.filter(call => {
+    const candidates = [call.path];
+    if (settings.basePath && call.path.startsWith(settings.basePath)) {
+      candidates.push(call.path.slice(settings.basePath.length) || '/');
+    }
+    return !candidates.some(candidate => routes.find(call.method, candidate));
+  });
+
+  return { calls, routes: { source: routes.source, count: routes.count }, unmatched };
+}
+
+module.exports = {
+  resolveSettings,
+  findClientCalls,
+  loadServerRoutes,
+  checkApiRoutes,
+  DEFAULTS
+};
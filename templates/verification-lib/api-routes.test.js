@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSettings, findClientCalls, loadServerRoutes, checkApiRoutes } = require('./api-routes');
+
+function project(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-routes-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+const CLIENT = [
+  "import axios from 'axios';",
+  "const list = () => fetch('/api/users?page=2');",
+  "const create = body => fetch('/api/users', { method: 'POST', body });",
+  'const load = id => api.get(`/api/users/${id}/orders`);',
+  "const remove = id => http.delete('/api/users/' + id);",
+  "const health = () => axios('/api/health');",
+  "// fetch('/api/commented-out')",
+  "const external = () => fetch('https://example.com/api/users');",
+  "const page = () => fetch('/about');"
+].join('\n');
+
+const SERVER = [
+  "const router = require('express').Router();",
+  "router.get('/users', list);",
+  "router.post('/users', create);",
+  "router.get('/users/:id', show);",
+  "app.delete('/api/users/:id', remove);",
+  "client.get('/not-a-route', handler);"
+].join('\n');
+
+test('findClientCalls extracts method and path, with interpolated segments as {param}', (t) => {
+  const dir = project(t, { 'src/client.js': CLIENT, 'src/client.test.js': "fetch('/api/test-only');" });
+  const calls = findClientCalls(dir, resolveSettings());
+  assert.deepEqual(calls.map(call => `${call.method} ${call.path}:${call.line}`), [
+    'GET /api/users:2',
+    'POST /api/users:3',
+    'GET /api/users/{param}/orders:4',
+    'DELETE /api/users/{param}:5',
+    'GET /api/health:6'
+  ]);
+  assert.equal(calls[0].file, 'src/client.js');
+});
+
+test('loadServerRoutes reads Express declarations and Next.js API files', (t) => {
+  const dir = project(t, {
+    'server/routes.js': SERVER,
+    'pages/api/health.js': 'export default () => {};',
+    'app/api/orders/[id]/route.ts': 'export async function GET() {}'
+  });
+  const routes = loadServerRoutes(dir, resolveSettings());
+  assert.equal(routes.source, 'route declarations');
+  assert.equal(routes.count, 6);
+  assert.equal(routes.find('GET', '/users/{param}'), true);
+  assert.equal(routes.find('GET', '/users/42'), true);
+  assert.equal(routes.find('PUT', '/users/42'), false);
+  assert.equal(routes.find('DELETE', '/api/users/42'), true);
+  assert.equal(routes.find('POST', '/api/orders/7'), true);
+  assert.equal(routes.find('GET', '/not-a-route'), false);
+});
+
+test('checkApiRoutes matches calls with or without the base path and lists the rest', (t) => {
+  const dir = project(t, { 'src/client.js': CLIENT, 'server/routes.js': SERVER });
+  const result = checkApiRoutes(dir, resolveSettings());
+  assert.equal(result.calls.length, 5);
+  assert.deepEqual(result.unmatched.map(call => `${call.method} ${call.path}`), [
+    'GET /api/users/{param}/orders',
+    'GET /api/health'
+  ]);
+});
+
+test('routes come from the OpenAPI document when one is configured', (t) => {
+  const dir = project(t, {
+    'openapi.json': JSON.stringify({
+      openapi: '3.0.3',
+      paths: { '/api/users/{id}/orders': { get: { responses: { 200: { description: 'Orders' } } } } }
+    })
+  });
+  const routes = loadServerRoutes(dir, resolveSettings({ openapi: 'openapi.json' }));
+  assert.equal(routes.source, 'openapi.json');
+  assert.equal(routes.find('GET', '/api/users/{param}/orders'), true);
+  assert.equal(routes.find('POST', '/api/users/7/orders'), false);
+});
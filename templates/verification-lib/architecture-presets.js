@@ -0,0 +1,179 @@
+/**
+ * Architecture Presets
+ * Default layers and checks per project_config.architecture_type, merged into the config document
+ * before it is validated; entries the project writes itself override the preset's by key
+ */
+
+// Layer keys match the templates/architecture-patterns files, so their layers pick up the patterns and targets
+const ARCHITECTURE_PRESETS = {
+  microservices: {
+    architectural_layers: {
+      data_layer: {
+        name: 'data_layer',
+        dependencies: [],
+        file_patterns: ['services/*/src/{db,models,repositories,migrations}/**', 'services/*/{db,migrations}/**']
+      },
+      service_layer: {
+        name: 'service_layer',
+        dependencies: ['data_layer'],
+        file_patterns: ['services/*/src/{services,domain,handlers,routes}/**']
+      },
+      communication_layer: {
+        name: 'communication_layer',
+        dependencies: ['service_layer'],
+        file_patterns: ['services/*/src/{clients,messaging,events}/**']
+      },
+      gateway_layer: {
+        name: 'gateway_layer',
+        dependencies: ['communication_layer'],
+        file_patterns: ['gateway/**', 'api-gateway/**']
+      },
+      infrastructure_layer: {
+        name: 'infrastructure_layer',
+        dependencies: ['gateway_layer'],
+        file_patterns: ['infrastructure/**', 'k8s/**', 'helm/**']
+      }
+    },
+    integration_points: [
+      {
+        type: 'SERVICE_HEALTH',
+        description: 'Health endpoint of every running service',
+        check_method: 'checkServiceHealth'
+      },
+      {
+        type: 'SERVICE_CONTRACT_MATRIX',
+        description: 'Requests each service makes to another, against the provider\'s OpenAPI document',
+        check_method: 'checkServiceContracts'
+      }
+    ]
+  },
+
+  web_app: {
+    architectural_layers: {
+      database_layer: {
+        name: 'database_layer',
+        dependencies: [],
+        file_patterns: ['src/{db,models,migrations}/**', 'server/{db,models,migrations}/**', 'prisma/**']
+      },
+      api_layer: {
+        name: 'api_layer',
+        dependencies: ['database_layer'],
+        file_patterns: ['src/{api,server}/**', 'server/**', 'pages/api/**', 'app/api/**']
+      },
+      frontend_layer: {
+        name: 'frontend_layer',
+        dependencies: ['api_layer'],
+        file_patterns: ['src/{components,pages,app,hooks,views,styles}/**'],
+        performance_targets: [
+          { metric: 'bundle_size', target: '<250KB', check_method: 'checkBundleSize' }
+        ]
+      }
+    },
+    integration_points: [
+      {
+        type: 'API_ROUTES',
+        description: 'API calls of the web client, against the server\'s routes',
+        check_method: 'checkApiRoutes'
+      }
+    ]
+  },
+
+  mobile_app: {
+    architectural_layers: {
+      presentation_layer: {
+        name: 'presentation_layer',
+        dependencies: [],
+        file_patterns: ['src/{screens,components,navigation}/**']
+      },
+      business_logic_layer: {
+        name: 'business_logic_layer',
+        dependencies: ['presentation_layer'],
+        file_patterns: ['src/{store,state,hooks,services}/**']
+      },
+      data_layer: {
+        name: 'data_layer',
+        dependencies: ['business_logic_layer'],
+        file_patterns: ['src/{api,db,storage,repositories}/**']
+      },
+      platform_layer: {
+        name: 'platform_layer',
+        dependencies: ['data_layer'],
+        file_patterns: ['src/native/**', 'ios/**', 'android/**']
+      }
+    },
+    integration_points: [
+      {
+        type: 'NAVIGATION_MANIFEST',
+        description: 'Screens, navigator registrations, navigate() targets and the navigation manifest',
+        check_method: 'checkNavigation'
+      }
+    ]
+  }
+};
+
+/**
+ * Merge the preset of the document's architecture_type into it
+ * - architectural_layers: the preset's layers when the document has none; a document layer with a
+ *   preset layer's key gets the fields it does not set, and performance_targets are merged by metric
+ * - integration_points are merged by type; preset points the document does not list are added
+ * An entry with `enabled: false` drops the preset entry it names. `architecture_checks.enabled: false`
+ * turns the preset off.
+ *
+ * @returns {object} a new document; the input is left unchanged
+ */
+function applyArchitecturePreset(document) {
+  if (!isObject(document)) return document;
+
+  const project = isObject(document.project_config) ? document.project_config : {};
+  const settings = isObject(document.architecture_checks) ? document.architecture_checks : {};
+  const preset = settings.enabled === false ? {} : ARCHITECTURE_PRESETS[project.architecture_type] || {};
+  const merged = { ...document };
+
+  const layers = mergeLayers(preset.architectural_layers, document.architectural_layers);
+  if (layers !== undefined) merged.architectural_layers = layers;
+  const points = mergeEntries(preset.integration_points, document.integration_points, 'type');
+  if (points !== undefined) merged.integration_points = points;
+
+  return merged;
+}
+
+function mergeLayers(presetLayers, layers) {
+  if (layers === undefined) return presetLayers && structuredClone(presetLayers);
+  if (!isObject(layers)) return layers;
+
+  return Object.fromEntries(Object.entries(layers).map(([key, layer]) => {
+    if (!isObject(layer)) return [key, layer];
+    const base = presetLayers && presetLayers[key] ? structuredClone(presetLayers[key]) : {};
+    const targets = mergeEntries(base.performance_targets, layer.performance_targets, 'metric');
+    return [key, { ...base, ...layer, ...(targets !== undefined && { performance_targets: targets }) }];
+  }));
+}
+
+/**
+ * Document entries first, each merged over the preset entry with the same key, then the remaining
+ * preset entries; entries with `enabled: false` are dropped
+ */
+function mergeEntries(presetEntries = [], entries, key) {
+  if (entries !== undefined && !Array.isArray(entries)) return entries;
+  if (entries === undefined && presetEntries.length === 0) return undefined;
+
+  const own = entries || [];
+  const keys = new Set(own.filter(isObject).map(entry => entry[key]));
+  const merged = [
+    ...own.map(entry => {
+      const base = isObject(entry) && presetEntries.find(candidate => candidate[key] === entry[key]);
+      return base ? { ...structuredClone(base), ...entry } : entry;
+    }),
+    ...presetEntries.filter(entry => !keys.has(entry[key])).map(entry => structuredClone(entry))
+  ];
+  return merged.filter(entry => !(isObject(entry) && entry.enabled === false));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  applyArchitecturePreset,
+  ARCHITECTURE_PRESETS
+};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { applyArchitecturePreset, ARCHITECTURE_PRESETS } = require('./architecture-presets');
+const { loadProjectConfig, validateConfigDocument } = require('./config-loader');
+const { GenericVerificationFramework } = require('../verification-script-template');
+
+const PATTERNS_DIR = path.join(__dirname, '..', 'architecture-patterns');
+
+/**
+ * Verifier for a config, with the check references validated the way a run does
+ */
+function checkErrors(verifier) {
+  verifier.output = { log: () => {} };
+  verifier.validateChecks();
+  return verifier.violations.map(violation => violation.description);
+}
+
+for (const type of Object.keys(ARCHITECTURE_PRESETS)) {
+  test(`the ${type} preset renders to a valid config whose checks all exist`, (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preset-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'project-config.yaml'), yaml.dump({ project_config: { name: 'Preset', architecture_type: type } }));
+
+    const document = applyArchitecturePreset(yaml.load(fs.readFileSync(path.join(dir, 'project-config.yaml'), 'utf8')));
+    assert.deepEqual(validateConfigDocument(document), []);
+    assert.deepEqual(checkErrors(new GenericVerificationFramework(loadProjectConfig('project-config.yaml', { rootDir: dir }))), []);
+  });
+}
+
+for (const file of fs.readdirSync(PATTERNS_DIR).filter(name => name.endsWith('.yaml'))) {
+  test(`architecture-patterns/${file} loads with its preset and references only registered checks`, () => {
+    const verifier = GenericVerificationFramework.fromPreset(file, { rootDir: os.tmpdir() });
+    assert.deepEqual(checkErrors(verifier), []);
+  });
+}
+
+test('document entries override preset entries by key and enabled: false drops them', () => {
+  const document = applyArchitecturePreset({
+    project_config: { name: 'Shop', architecture_type: 'web_app' },
+    architectural_layers: {
+      frontend_layer: { file_patterns: ['web/**'], performance_targets: [{ metric: 'bundle_size', target: '<180KB' }] }
+    },
+    integration_points: [{ type: 'API_ROUTES', enabled: false }]
+  });
+
+  assert.deepEqual(Object.keys(document.architectural_layers), ['frontend_layer']);
+  assert.deepEqual(document.architectural_layers.frontend_layer, {
+    name: 'frontend_layer',
+    dependencies: ['api_layer'],
+    file_patterns: ['web/**'],
+    performance_targets: [{ metric: 'bundle_size', target: '<180KB', check_method: 'checkBundleSize' }]
+  });
+  assert.deepEqual(document.integration_points, []);
+  assert.equal(ARCHITECTURE_PRESETS.web_app.architectural_layers.frontend_layer.file_patterns[0], 'src/{components,pages,app,hooks,views,styles}/**');
+
+  const disabled = applyArchitecturePreset({ project_config: { name: 'Shop', architecture_type: 'web_app' }, architecture_checks: { enabled: false } });
+  assert.equal(disabled.architectural_layers, undefined);
+});
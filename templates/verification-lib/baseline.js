@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * Baseline Comparison and Trends
+ * Reads saved verification reports back: classifies violations against a baseline report,
+ * flags measurements that regressed and shows how checks drift over the last N runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_PATTERN = /^verification-.*\.json$/;
+const DEFAULT_MAX_REGRESSION = 10;
+
+// Fields that identify what a violation is about; line numbers and measured values are left out
+// so a violation keeps its identity when code moves or numbers change
+const IDENTITY_FIELDS = ['type', 'layer', 'contract', 'flow', 'hop', 'benchmark', 'gate', 'file', 'importPath', 'route', 'field', 'kind', 'schema', 'path', 'rule', 'function'];
+
+/**
+ * Saved reports in a directory, oldest first
+ *
+ * @param {string} reportsDir
+ * @param {object} [options] - { instance } keeps only reports of that instance
+ * @returns {Array<{path: string, report: object}>}
+ */
+function listReports(reportsDir, { instance } = {}) {
+  if (!fs.existsSync(reportsDir)) return [];
+
+  return fs.readdirSync(reportsDir)
+    .filter(name => REPORT_PATTERN.test(name))
+    .sort()
+    .map(name => {
+      const reportPath = path.join(reportsDir, name);
+      try {
+        return { path: reportPath, report: JSON.parse(fs.readFileSync(reportPath, 'utf8')) };
+      } catch (error) {
+        return null; // Partially written or hand-edited; not usable as a baseline
+      }
+    })
+    .filter(entry => entry && (!instance || !entry.report.projectConfig || entry.report.projectConfig.instance === instance));
+}
+
+/**
+ * Load the pinned baseline, or the most recent saved report of a full run that passed
+ */
+function loadBaseline({ reportsDir, pinned, instance, rootDir }) {
+  if (pinned) {
+    const pinnedPath = path.resolve(rootDir || process.cwd(), pinned);
+    if (!fs.existsSync(pinnedPath)) {
+      throw new Error(`Pinned baseline report not found: ${pinned}`);
+    }
+    return { path: pinnedPath, report: JSON.parse(fs.readFileSync(pinnedPath, 'utf8')) };
+  }
+
+  return latestPassing(listReports(reportsDir, { instance }));
+}
+
+/**
+ * Runs limited with --only/--skip are missing violations, and failed runs would turn their new
+ * violations into existing ones, so neither serves as the baseline
+ */
+function latestPassing(reports) {
+  const candidates = reports.filter(entry => entry.report.success === true && !entry.report.selection);
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+}
+
+function fingerprint(violation) {
+  return JSON.stringify(IDENTITY_FIELDS.map(field => violation[field]));
+}
+
+/**
+ * Classify violations as new or existing, and list baseline violations that are gone
+ * Identical violations are counted, so a second copy of an existing one is new
+ *
+ * @returns {{ newViolations: object[], existing: object[], fixed: object[] }}
+ */
+function compareViolations(violations, baselineViolations = []) {
+  const remaining = new Map();
+  for (const violation of baselineViolations) {
+    const key = fingerprint(violation);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(violation);
+  }
+
+  const newViolations = [];
+  const existing = [];
+  for (const violation of violations) {
+    const matches = remaining.get(fingerprint(violation));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      existing.push(violation);
+    } else {
+      newViolations.push(violation);
+    }
+  }
+
+  const fixed = Array.from(remaining.values()).flat();
+  return { newViolations, existing, fixed };
+}
+
+/**
+ * Measurements that got worse than the baseline by more than the allowed percentage
+ *
+ * @param {object[]} checks - report.checks of the current run
+ * @param {object[]} baselineChecks - report.checks of the baseline
+ * @param {object} [options] - { maxRegressionPercent, regressionThresholds: { checkName: percent } }
+ * @returns {Array<{check: object, baseline: number, current: number, changePercent: number, allowed: number}>}
+ */
+function findRegressions(checks = [], baselineChecks = [], options = {}) {
+  const baselineByKey = new Map(baselineChecks.filter(check => check.measurement).map(check => [checkKey(check), check]));
+  const regressions = [];
+
+  for (const check of checks) {
+    const before = baselineByKey.get(checkKey(check));
+    if (!check.measurement || !before || before.measurement.unit !== check.measurement.unit) continue;
+
+    const changePercent = worsening(before.measurement.value, check.measurement.value, check.measurement.better);
+    const allowed = (options.regressionThresholds || {})[check.name] !== undefined
+      ? options.regressionThresholds[check.name]
+      : options.maxRegressionPercent !== undefined ? options.maxRegressionPercent : DEFAULT_MAX_REGRESSION;
+
+    if (changePercent > allowed) {
+      regressions.push({ check, baseline: before.measurement.value, current: check.measurement.value, changePercent, allowed });
+    }
+  }
+
+  return regressions;
+}
+
+/**
+ * Compare a run with its baseline report: measurements that regressed become BASELINE_REGRESSION
+ * violations, and every violation (regressions included) is tagged `baseline: 'new'|'existing'`
+ *
+ * @param {object[]} violations - The run's violations; tagged in place
+ * @param {object[]} checks - report.checks of the current run
+ * @param {object} baselineReport - {} when there is no baseline yet, so every violation is new
+ * @param {object} [options] - findRegressions() options
+ * @returns {{regressions: object[], newViolations: object[], existing: object[], fixed: object[]}}
+ *   regressions are violations the caller adds to the run
+ */
+function compareWithBaseline(violations, checks, baselineReport, options) {
+  const regressions = findRegressions(checks, baselineReport.checks, options).map(({ check, baseline, current, changePercent, allowed }) => {
+    const unit = check.measurement.unit || '';
+    return {
+      type: 'BASELINE_REGRESSION',
+      severity: 'HIGH',
+      [check.phase === 'qualityGates' ? 'gate' : 'benchmark']: check.name,
+      expected: `${baseline}${unit} (±${allowed}%)`,
+      actual: `${current}${unit}`,
+      description: `${check.name} is ${changePercent}% worse than the baseline (${baseline}${unit} → ${current}${unit}, allowed ${allowed}%)`
+    };
+  });
+
+  const comparison = compareViolations([...violations, ...regressions], baselineReport.violations);
+  comparison.newViolations.forEach(violation => { violation.baseline = 'new'; });
+  comparison.existing.forEach(violation => { violation.baseline = 'existing'; });
+  return { regressions, ...comparison };
+}
+
+function checkKey(check) {
+  return `${check.phase}:${check.name}:${check.check}`;
+}
+
+/**
+ * How much worse `current` is than `baseline`, in percent of the baseline (negative when better)
+ */
+function worsening(baseline, current, better = 'lower') {
+  if (baseline === 0) return current === 0 ? 0 : (better === 'lower' ? Infinity : -Infinity);
+  const change = ((current - baseline) / Math.abs(baseline)) * 100;
+  return Math.round((better === 'lower' ? change : -change) * 10) / 10;
+}
+
+/**
+ * Per-check series over the last N reports
+ *
+ * @returns {Array<{name, phase, unit, better, values: Array<number|null>, results: Array<boolean|null>, changePercent, drifting}>}
+ */
+function buildTrend(reports, { last = 10 } = {}) {
+  const window = reports.slice(-last);
+  const series = new Map();
+
+  window.forEach(({ report }, index) => {
+    for (const check of report.checks || []) {
+      const key = checkKey(check);
+      if (!series.has(key)) {
+        series.set(key, {
+          name: check.name,
+          phase: check.phase,
+          unit: check.measurement ? check.measurement.unit : undefined,
+          better: check.measurement ? check.measurement.better : undefined,
+          values: new Array(window.length).fill(null),
+          results: new Array(window.length).fill(null)
+        });
+      }
+      const entry = series.get(key);
+      entry.values[index] = check.measurement ? check.measurement.value : null;
+      entry.results[index] = check.status === 'skipped' ? null : Boolean(check.success);
+    }
+  });
+
+  return Array.from(series.values()).map(entry => {
+    const measured = entry.values.filter(value => value !== null);
+    const changePercent = measured.length >= 2 ? worsening(measured[0], measured[measured.length - 1], entry.better) : null;
+    // Drifting: got worse at least twice in a row without ever improving
+    const steps = measured.slice(1).map((value, i) => worsening(measured[i], value, entry.better));
+    const drifting = steps.length >= 2 && steps.every(step => step >= 0) && steps.filter(step => step > 0).length >= 2;
+    return { ...entry, changePercent, drifting };
+  });
+}
+
+function formatTrend(trend, reports) {
+  const lines = [`Trend over ${reports.length} reports (${reports.length > 0 ? `${reports[0].report.timestamp} → ${reports[reports.length - 1].report.timestamp}` : 'none'})`, ''];
+  for (const entry of trend) {
+    const values = entry.unit
+      ? entry.values.map(value => (value === null ? '-' : `${value}`)).join(' → ') + ` ${entry.unit}`
+      : entry.results.map(result => (result === null ? '·' : result ? '✓' : '✗')).join(' ');
+    const change = entry.changePercent === null ? ''
+      : entry.changePercent > 0 ? ` (${entry.changePercent}% worse)`
+        : entry.changePercent < 0 ? ` (${-entry.changePercent}% better)` : ' (unchanged)';
+    lines.push(`${entry.drifting ? '⚠️ ' : '   '}${entry.phase}/${entry.name}: ${values}${change}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Command line: trend [--last N] [--instance NAME] | pin <report>
+ * Reports are read from REPORTS_DIR (default docs/verification-reports)
+ */
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const reportsDir = path.resolve(process.env.REPORTS_DIR || 'docs/verification-reports');
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  switch (command) {
+    case 'trend': {
+      const reports = listReports(reportsDir, { instance: option('--instance') }).slice(-(Number(option('--last')) || 10));
+      console.log(formatTrend(buildTrend(reports, { last: reports.length }), reports));
+      break;
+    }
+    case 'pin': {
+      const source = args[0] || (latestPassing(listReports(reportsDir)) || {}).path;
+      if (!source) throw new Error(`No passing full-run report in ${reportsDir} to pin`);
+      const target = path.join(reportsDir, 'baseline.json');
+      fs.copyFileSync(source, target);
+      console.log(`📌 Pinned ${source} as ${target}`);
+      break;
+    }
+    default:
+      console.log('Usage: baseline.js trend [--last N] [--instance NAME] | pin [report]');
+      process.exit(command ? 1 : 0);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { listReports, loadBaseline, compareViolations, findRegressions, compareWithBaseline, buildTrend, formatTrend };
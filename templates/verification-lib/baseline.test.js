@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBaseline, compareViolations, findRegressions, compareWithBaseline, buildTrend } = require('./baseline');
+
+function reportsDir(t, reports) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  reports.forEach((report, index) => {
+    fs.writeFileSync(path.join(dir, `verification-2026-01-0${index + 1}.json`), JSON.stringify(report));
+  });
+  return dir;
+}
+
+const check = (value, extra = {}) => ({
+  name: 'api_response_time', phase: 'benchmarks', check: 'checkResponseTime', status: 'passed', success: true,
+  measurement: { value, unit: 'ms', better: 'lower' }, ...extra
+});
+
+test('"previous" is the last passing full-run report of the instance', (t) => {
+  const dir = reportsDir(t, [
+    { success: true, timestamp: 'first' },
+    { success: true, timestamp: 'other instance', projectConfig: { instance: 'frontend' } },
+    { success: true, timestamp: 'partial', selection: { only: ['layers'], skip: [] } },
+    { success: false, timestamp: 'failed' }
+  ]);
+  fs.writeFileSync(path.join(dir, 'verification-2026-01-09.json'), '{ truncated');
+
+  assert.equal(loadBaseline({ reportsDir: dir, instance: 'backend' }).report.timestamp, 'first');
+  assert.equal(loadBaseline({ reportsDir: dir, instance: 'frontend' }).report.timestamp, 'other instance');
+  assert.equal(loadBaseline({ reportsDir: path.join(dir, 'missing') }), null);
+});
+
+test('a pinned report is used as-is and must exist', (t) => {
+  const dir = reportsDir(t, [{ success: false, timestamp: 'pinned' }]);
+  const pinned = path.join(dir, 'verification-2026-01-01.json');
+  assert.equal(loadBaseline({ reportsDir: dir, pinned }).report.timestamp, 'pinned');
+  assert.throws(() => loadBaseline({ reportsDir: dir, pinned: 'baseline.json', rootDir: dir }), /Pinned baseline report not found: baseline.json/);
+});
+
+test('compareViolations matches by identity, not by line or count', () => {
+  const violation = (file, line) => ({ type: 'LAYER_BOUNDARY_VIOLATION', severity: 'CRITICAL', layer: 'api_layer', file, line, description: 'x' });
+  const { newViolations, existing, fixed } = compareViolations(
+    [violation('a.js', 12), violation('a.js', 30), violation('b.js', 1)],
+    [violation('a.js', 10), violation('c.js', 5)]
+  );
+  assert.deepEqual(existing.map(v => v.line), [12]);
+  assert.deepEqual(newViolations.map(v => `${v.file}:${v.line}`), ['a.js:30', 'b.js:1']);
+  assert.deepEqual(fixed.map(v => v.file), ['c.js']);
+});
+
+test('findRegressions applies the default and per-check thresholds', () => {
+  assert.deepEqual(findRegressions([check(115)], [check(100)]).map(r => r.changePercent), [15]);
+  assert.deepEqual(findRegressions([check(105)], [check(100)]), []);
+  assert.deepEqual(findRegressions([check(115)], [check(100)], { regressionThresholds: { api_response_time: 20 } }), []);
+
+  const throughput = value => check(value, { name: 'throughput', check: 'checkThroughput', measurement: { value, unit: '/sec', better: 'higher' } });
+  assert.deepEqual(findRegressions([throughput(800)], [throughput(1000)], { maxRegressionPercent: 5 }).map(r => r.changePercent), [20]);
+  assert.deepEqual(findRegressions([check(115)], [{ ...check(100), measurement: { value: 100, unit: 's' } }]), []);
+});
+
+test('compareWithBaseline adds regressions and tags every violation', () => {
+  const existing = { type: 'UNOWNED_FILE', severity: 'MEDIUM', file: 'tools.sh', description: 'unowned' };
+  const added = { type: 'UNOWNED_FILE', severity: 'MEDIUM', file: 'deploy.sh', description: 'unowned' };
+  const baselineReport = { checks: [check(100)], violations: [{ ...existing }] };
+
+  const result = compareWithBaseline([existing, added], [check(150)], baselineReport, {});
+  assert.equal(result.regressions.length, 1);
+  assert.equal(result.regressions[0].type, 'BASELINE_REGRESSION');
+  assert.equal(result.regressions[0].benchmark, 'api_response_time');
+  assert.equal(result.regressions[0].baseline, 'new');
+  assert.deepEqual([existing.baseline, added.baseline], ['existing', 'new']);
+  assert.deepEqual(compareWithBaseline([added], [], {}, {}).newViolations, [added]);
+});
+
+test('buildTrend flags checks that keep getting worse', () => {
+  const reports = [100, 110, 120].map(value => ({ report: { checks: [check(value)] } }));
+  const [entry] = buildTrend(reports);
+  assert.deepEqual(entry.values, [100, 110, 120]);
+  assert.equal(entry.changePercent, 20);
+  assert.equal(entry.drifting, true);
+  assert.equal(buildTrend([100, 120, 110].map(value => ({ report: { checks: [check(value)] } })))[0].drifting, false);
+});
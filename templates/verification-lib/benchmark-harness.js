@@ -0,0 +1,380 @@
+/**
+ * Local Performance Benchmark Harness
+ * Starts a target on localhost, drives it with warmup and measured iterations,
+ * and samples CPU/RSS of the target process tree while it runs
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { spawn, execFileSync } = require('child_process');
+
+const DEFAULTS = {
+  warmupIterations: 5,
+  iterations: 50,
+  concurrency: 1,
+  sampleInterval: 100,
+  readyTimeout: 30000,
+  requestTimeout: 10000,
+  // Percentage of measured iterations allowed to fail before the run counts as failed
+  maxErrorRate: 1
+};
+
+// Linux reports /proc CPU times in clock ticks; USER_HZ is 100 on every mainstream kernel
+const CLOCK_TICKS_PER_SECOND = 100;
+
+/**
+ * Start a server command and wait until it accepts requests
+ *
+ * @param {object} options
+ * @param {string} options.command - Shell command, e.g. "npm start"
+ * @param {string} [options.readyUrl] - URL polled until it answers; without it the first stdout line counts as ready
+ * @returns {Promise<{pid: number, stop: Function}>}
+ */
+function startTarget(options) {
+  const readyTimeout = options.readyTimeout || DEFAULTS.readyTimeout;
+  const child = spawn(options.command, {
+    cwd: options.cwd,
+    env: { ...process.env, ...options.env },
+    shell: true,
+    detached: process.platform !== 'win32',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const collect = chunk => { output = (output + chunk).slice(-4000); };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+
+  const stop = () => stopProcessTree(child);
+  const handle = { pid: child.pid, stop };
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        stop();
+        reject(error);
+      } else {
+        resolve(handle);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      finish(new Error(`Benchmark target "${options.command}" not ready after ${readyTimeout}ms\n${output}`));
+    }, readyTimeout);
+
+    child.on('error', finish);
+    child.on('exit', code => {
+      finish(new Error(`Benchmark target "${options.command}" exited early with code ${code}\n${output}`));
+    });
+
+    if (options.readyUrl) {
+      const poll = () => {
+        if (settled) return;
+        httpRequest({ url: options.readyUrl, timeout: 1000 })
+          .then(() => finish())
+          .catch(() => setTimeout(poll, 100));
+      };
+      poll();
+    } else {
+      child.stdout.once('data', () => finish());
+    }
+  });
+}
+
+function stopProcessTree(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    if (process.platform === 'win32') {
+      child.kill();
+    } else {
+      process.kill(-child.pid, 'SIGTERM');
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Perform one HTTP request and resolve with its status code; 4xx/5xx responses reject
+ * An aborted `signal` destroys the request
+ */
+function httpRequest({ url, method = 'GET', headers = {}, body, timeout = DEFAULTS.requestTimeout, signal }) {
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, { method, headers, timeout, signal }, response => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 400) {
+          reject(new Error(`${method} ${url} returned ${response.statusCode}`));
+        } else {
+          resolve(response.statusCode);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`${method} ${url} timed out after ${timeout}ms`)));
+    request.on('error', reject);
+    if (body !== undefined) {
+      request.write(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+    request.end();
+  });
+}
+
+/**
+ * Run a command to completion; non-zero exit codes reject
+ * An aborted `signal` stops the command's whole process tree and rejects with the abort reason
+ */
+function runCommand({ command, cwd, env, signal }, onSpawn) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const child = spawn(command, {
+      cwd,
+      env: { ...process.env, ...env },
+      shell: true,
+      detached: process.platform !== 'win32',
+      stdio: 'ignore'
+    });
+    const abort = () => stopProcessTree(child);
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+    if (onSpawn) onSpawn(child.pid);
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (signal) signal.removeEventListener('abort', abort);
+      if (signal && signal.aborted) reject(signal.reason);
+      else if (code === 0) resolve(code);
+      else reject(new Error(`"${command}" exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Samples peak CPU% and RSS of a set of root processes and their descendants
+ */
+class ResourceSampler {
+  constructor(interval = DEFAULTS.sampleInterval) {
+    this.interval = interval;
+    this.rootPids = new Set();
+    this.previousTicks = new Map();
+    this.peakCpuPercent = 0;
+    this.peakRssMb = 0;
+    this.samples = 0;
+    this.timer = null;
+  }
+
+  track(pid) {
+    if (pid) this.rootPids.add(pid);
+  }
+
+  start() {
+    // Baseline reading, so the first interval (or a run shorter than one) has ticks to compare against
+    this.lastSampleAt = process.hrtime.bigint();
+    this.sample();
+    this.timer = setInterval(() => this.sample(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.sample();
+    return { peakCpuPercent: round(this.peakCpuPercent, 1), peakRssMb: round(this.peakRssMb, 1), samples: this.samples };
+  }
+
+  sample() {
+    if (this.rootPids.size === 0) return;
+
+    const now = process.hrtime.bigint();
+    const elapsedSeconds = Number(now - this.lastSampleAt) / 1e9;
+    this.lastSampleAt = now;
+
+    const stats = process.platform === 'linux' ? readProcTree(this.rootPids) : readPsTree(this.rootPids);
+    if (stats.length === 0) return;
+
+    let rssMb = 0;
+    let cpuPercent = 0;
+    for (const stat of stats) {
+      rssMb += stat.rssMb;
+      if (stat.cpuTicks !== undefined) {
+        const previous = this.previousTicks.get(stat.pid);
+        if (previous !== undefined && elapsedSeconds > 0) {
+          cpuPercent += ((stat.cpuTicks - previous) / CLOCK_TICKS_PER_SECOND / elapsedSeconds) * 100;
+        }
+        this.previousTicks.set(stat.pid, stat.cpuTicks);
+      } else {
+        cpuPercent += stat.cpuPercent;
+      }
+    }
+
+    this.samples++;
+    this.peakRssMb = Math.max(this.peakRssMb, rssMb);
+    this.peakCpuPercent = Math.max(this.peakCpuPercent, cpuPercent);
+  }
+}
+
+function readProcTree(rootPids) {
+  const processes = new Map();
+  for (const entry of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      // Fields after the parenthesised command name: state ppid ... utime(14) stime(15) ... rss(24, in 4 KiB pages)
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      processes.set(Number(entry), {
+        pid: Number(entry),
+        ppid: Number(fields[1]),
+        cpuTicks: Number(fields[11]) + Number(fields[12]),
+        rssMb: (Number(fields[21]) * 4096) / (1024 * 1024)
+      });
+    } catch (error) {
+      // Process exited between readdir and read
+    }
+  }
+  return collectTree(processes, rootPids);
+}
+
+function readPsTree(rootPids) {
+  let output;
+  try {
+    output = execFileSync('ps', ['-A', '-o', 'pid=,ppid=,rss=,%cpu='], { encoding: 'utf8' });
+  } catch (error) {
+    return [];
+  }
+
+  const processes = new Map();
+  for (const line of output.trim().split('\n')) {
+    const [pid, ppid, rssKb, cpu] = line.trim().split(/\s+/).map(Number);
+    processes.set(pid, { pid, ppid, rssMb: rssKb / 1024, cpuPercent: cpu });
+  }
+  return collectTree(processes, rootPids);
+}
+
+function collectTree(processes, rootPids) {
+  const selected = new Set(Array.from(rootPids).filter(pid => processes.has(pid)));
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const proc of processes.values()) {
+      if (!selected.has(proc.pid) && selected.has(proc.ppid)) {
+        selected.add(proc.pid);
+        grew = true;
+      }
+    }
+  }
+  return Array.from(selected, pid => processes.get(pid));
+}
+
+/**
+ * Run warmup and measured iterations against an HTTP endpoint or a command
+ *
+ * @param {object} options
+ * @param {string} [options.url] - Endpoint requested once per iteration
+ * @param {string} [options.command] - Command run once per iteration (when no url is given)
+ * @param {number} [options.concurrency] - Iterations in flight at once
+ * @param {number[]} [options.samplePids] - Extra processes to sample (e.g. a started server)
+ * @param {number|string} [options.maxErrorRate] - Failed iterations allowed, in percent (e.g. 1 or "1%")
+ * @param {AbortSignal} [options.signal] - Stops the iterations, their requests and commands; the run rejects
+ * @returns {Promise<object>} { latency: {p50, p95, p99, mean, min, max}, opsPerSec, resources, errors, iterations,
+ *   errorRate, maxErrorRate, withinErrorRate }; latency and throughput only cover successful iterations
+ */
+async function runBenchmark(options) {
+  const settings = { ...DEFAULTS, ...options };
+  if (!settings.url && !settings.command) {
+    throw new Error('Benchmark needs a url or a command to measure');
+  }
+
+  const sampler = new ResourceSampler(settings.sampleInterval);
+  (settings.samplePids || []).forEach(pid => sampler.track(pid));
+
+  const { signal } = settings;
+  const iteration = settings.url
+    ? () => httpRequest({ url: settings.url, method: settings.method, headers: settings.headers, body: settings.body, timeout: settings.requestTimeout, signal })
+    : () => runCommand(settings, pid => sampler.track(pid));
+
+  await runIterations(iteration, settings.warmupIterations, settings.concurrency, signal);
+
+  sampler.start();
+  const startedAt = process.hrtime.bigint();
+  let measured;
+  let resources;
+  try {
+    measured = await runIterations(iteration, settings.iterations, settings.concurrency, signal);
+  } finally {
+    resources = sampler.stop();
+  }
+  const { latencies, errors } = measured;
+  const elapsedSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+  if (latencies.length === 0) {
+    throw new Error(`All ${settings.iterations} benchmark iterations failed: ${errors[0]}`);
+  }
+
+  latencies.sort((a, b) => a - b);
+  const errorRate = round((errors.length / settings.iterations) * 100, 2);
+  const maxErrorRate = parseFloat(settings.maxErrorRate);
+  return {
+    iterations: settings.iterations,
+    concurrency: settings.concurrency,
+    errors: errors.length,
+    errorRate,
+    maxErrorRate,
+    withinErrorRate: errorRate <= maxErrorRate,
+    firstError: errors[0],
+    latency: {
+      p50: round(percentile(latencies, 50), 2),
+      p95: round(percentile(latencies, 95), 2),
+      p99: round(percentile(latencies, 99), 2),
+      mean: round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length, 2),
+      min: round(latencies[0], 2),
+      max: round(latencies[latencies.length - 1], 2)
+    },
+    opsPerSec: round(latencies.length / elapsedSeconds, 1),
+    resources
+  };
+}
+
+async function runIterations(iteration, count, concurrency, signal) {
+  const latencies = [];
+  const errors = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < count && !(signal && signal.aborted)) {
+      next++;
+      const startedAt = process.hrtime.bigint();
+      try {
+        await iteration();
+        latencies.push(Number(process.hrtime.bigint() - startedAt) / 1e6);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, count)) }, worker));
+  // Requests and commands cut short by the abort are not measurements
+  if (signal && signal.aborted) throw signal.reason;
+  return { latencies, errors };
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { startTarget, runBenchmark, httpRequest, ResourceSampler, percentile, DEFAULTS };
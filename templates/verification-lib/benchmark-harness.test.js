@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { runBenchmark, ResourceSampler, percentile } = require('./benchmark-harness');
+
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+test('percentile uses the nearest rank', () => {
+  const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  assert.equal(percentile(sorted, 50), 5);
+  assert.equal(percentile(sorted, 95), 10);
+  assert.equal(percentile([7], 99), 7);
+});
+
+test('runs whose error rate exceeds maxErrorRate are flagged', async (t) => {
+  let count = 0;
+  const { server, url } = await listen((request, response) => {
+    response.statusCode = ++count % 10 === 0 ? 200 : 500;
+    response.end();
+  });
+  t.after(() => server.close());
+
+  const run = await runBenchmark({ url, warmupIterations: 0, iterations: 20 });
+  assert.equal(run.errors, 18);
+  assert.equal(run.errorRate, 90);
+  assert.equal(run.maxErrorRate, 1);
+  assert.equal(run.withinErrorRate, false);
+  assert.match(run.firstError, /returned 500/);
+
+  const lenient = await runBenchmark({ url, warmupIterations: 0, iterations: 20, maxErrorRate: '95%' });
+  assert.equal(lenient.withinErrorRate, true);
+});
+
+test('all-failing runs reject', async (t) => {
+  const { server, url } = await listen((request, response) => {
+    response.statusCode = 503;
+    response.end();
+  });
+  t.after(() => server.close());
+
+  await assert.rejects(runBenchmark({ url, warmupIterations: 0, iterations: 3 }), /All 3 benchmark iterations failed/);
+});
+
+test('ResourceSampler measures CPU of runs shorter than one interval', { skip: process.platform !== 'linux' }, () => {
+  const sampler = new ResourceSampler(60000);
+  sampler.track(process.pid);
+  sampler.start();
+  const until = Date.now() + 200;
+  while (Date.now() < until) { /* busy */ }
+  const resources = sampler.stop();
+  assert.equal(resources.samples, 2);
+  assert.ok(resources.peakCpuPercent > 0);
+  assert.ok(resources.peakRssMb > 0);
+});
+
+test('an aborted run stops its commands and rejects with the abort reason', async () => {
+  const controller = new AbortController();
+  const reason = new Error('Timed out');
+  setTimeout(() => controller.abort(reason), 100);
+
+  const started = Date.now();
+  await assert.rejects(
+    runBenchmark({ command: 'sleep 5', warmupIterations: 0, iterations: 3, signal: controller.signal }),
+    error => error === reason
+  );
+  assert.ok(Date.now() - started < 2000);
+});
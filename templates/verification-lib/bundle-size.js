@@ -0,0 +1,78 @@
+/**
+ * Bundle Size Budgets
+ * Measures a web app's built assets (gzipped by default) for the bundle size benchmark and checks
+ * per-glob budgets such as "assets/vendor-*.js": "<150KB"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { findFiles, matchesAny, matchesGlob } = require('./glob');
+const { parseTarget, meetsTarget } = require('./targets');
+
+const DEFAULTS = {
+  dir: 'dist',
+  include: ['**/*.{js,mjs,css}'],
+  exclude: ['**/*.map'],
+  gzip: true,
+  // Glob (relative to dir) → size target for the assets it matches together
+  budgets: {}
+};
+
+/**
+ * Bundle settings with defaults
+ */
+function resolveSettings(settings = {}) {
+  return { ...DEFAULTS, ...settings };
+}
+
+/**
+ * Size of every built asset, as counted for budgets: gzipped or raw bytes
+ *
+ * @returns {Array<{file: string, bytes: number}>|null} files relative to the build directory,
+ *   largest first; null when the build directory does not exist
+ */
+function measureAssets(rootDir, settings) {
+  const buildDir = path.resolve(rootDir, settings.dir);
+  if (!fs.existsSync(buildDir)) return null;
+
+  return findFiles(buildDir, settings.include)
+    .filter(file => !matchesAny(file, settings.exclude))
+    .map(file => {
+      const content = fs.readFileSync(path.join(buildDir, file));
+      return { file, bytes: settings.gzip ? zlib.gzipSync(content).length : content.length };
+    })
+    .sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Budgets whose assets add up to more than their target; budgets that match no asset are ignored
+ *
+ * @returns {Array<{pattern: string, target: string, sizeKb: number, files: string[]}>}
+ */
+function findExceededBudgets(assets, budgets) {
+  const exceeded = [];
+  for (const [pattern, target] of Object.entries(budgets)) {
+    const spec = parseTarget(target);
+    const matched = assets.filter(asset => matchesGlob(asset.file, pattern));
+    if (matched.length === 0) continue;
+
+    const sizeKb = toKb(matched.reduce((sum, asset) => sum + asset.bytes, 0));
+    if (!meetsTarget({ value: sizeKb, unit: 'KB' }, spec.comparator ? spec : { ...spec, comparator: '<=' })) {
+      exceeded.push({ pattern, target: String(target), sizeKb, files: matched.map(asset => `${asset.file} (${toKb(asset.bytes)}KB)`) });
+    }
+  }
+  return exceeded;
+}
+
+function toKb(bytes) {
+  return Math.round(bytes / 1024 * 10) / 10;
+}
+
+module.exports = {
+  resolveSettings,
+  measureAssets,
+  findExceededBudgets,
+  toKb,
+  DEFAULTS
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { resolveSettings, measureAssets, findExceededBudgets, toKb } = require('./bundle-size');
+
+const KB = 1024;
+
+test('measureAssets sizes built assets gzipped or raw, largest first', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'dist/assets'), { recursive: true });
+  const vendor = 'export const data = ['.concat(Array.from({ length: 2000 }, (_, i) => i).join(','), '];');
+  fs.writeFileSync(path.join(dir, 'dist/assets/vendor-3f2a.js'), vendor);
+  fs.writeFileSync(path.join(dir, 'dist/assets/app-91bc.css'), 'body { margin: 0 }');
+  fs.writeFileSync(path.join(dir, 'dist/assets/vendor-3f2a.js.map'), '{}');
+  fs.writeFileSync(path.join(dir, 'dist/index.html'), '<html></html>');
+
+  const gzipped = measureAssets(dir, resolveSettings());
+  assert.deepEqual(gzipped.map(asset => asset.file), ['assets/vendor-3f2a.js', 'assets/app-91bc.css']);
+  assert.equal(gzipped[0].bytes, zlib.gzipSync(vendor).length);
+
+  const raw = measureAssets(dir, resolveSettings({ gzip: false }));
+  assert.equal(raw[0].bytes, Buffer.byteLength(vendor));
+  assert.equal(measureAssets(dir, resolveSettings({ dir: 'build' })), null);
+});
+
+test('findExceededBudgets sums the assets a glob matches and compares with the target', () => {
+  const assets = [
+    { file: 'assets/vendor-a.js', bytes: 100 * KB },
+    { file: 'assets/vendor-b.js', bytes: 60 * KB },
+    { file: 'assets/app.js', bytes: 40 * KB },
+    { file: 'assets/app.css', bytes: 12.5 * KB }
+  ];
+  assert.deepEqual(findExceededBudgets(assets, {
+    'assets/vendor-*.js': '<150KB',
+    'assets/app.js': '<=40KB',
+    'assets/*.css': '10KB',
+    'assets/admin-*.js': '<1KB'
+  }), [
+    { pattern: 'assets/vendor-*.js', target: '<150KB', sizeKb: 160, files: ['assets/vendor-a.js (100KB)', 'assets/vendor-b.js (60KB)'] },
+    { pattern: 'assets/*.css', target: '10KB', sizeKb: 12.5, files: ['assets/app.css (12.5KB)'] }
+  ]);
+});
+
+test('toKb rounds to one decimal', () => {
+  assert.equal(toKb(1536), 1.5);
+  assert.equal(toKb(1000), 1);
+});
@@ -0,0 +1,240 @@
+/**
+ * Changed-Files Selection
+ * Lists the files changed against a base ref with plain git, maps them to layers and instances
+ * through their file_patterns and decides which checks an incremental run needs
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const { matchesAny } = require('./glob');
+
+// How many file names a reason lists before summarizing the rest
+const LISTED_FILES = 3;
+
+/**
+ * Files changed since the merge base of `base` and HEAD: commits, uncommitted edits and untracked files
+ * Paths are relative to rootDir, which may be any worktree or a subdirectory of one
+ *
+ * @returns {{base: string, mergeBase: string, files: string[]}}
+ */
+function getChangedFiles(rootDir, base = resolveBaseRef(rootDir)) {
+  if (!base) {
+    throw new Error('Cannot determine the base ref to compare with; set project_config.base_ref or pass --since <ref>');
+  }
+
+  let mergeBase;
+  try {
+    mergeBase = git(rootDir, ['merge-base', base, 'HEAD']).trim();
+  } catch (error) {
+    throw new Error(`Cannot compare with "${base}": ${firstLine(error)}`);
+  }
+
+  // --no-renames lists both sides of a move, so the layer a file left counts as changed too
+  const changed = git(rootDir, ['diff', '--name-only', '--no-renames', '--relative', '-z', mergeBase]);
+  const untracked = git(rootDir, ['ls-files', '--others', '--exclude-standard', '-z']);
+  const files = Array.from(new Set([...changed.split('\0'), ...untracked.split('\0')].filter(Boolean))).sort();
+
+  return { base, mergeBase, files };
+}
+
+/**
+ * Base ref used when none is given: a linked worktree is compared with the branch of the main
+ * worktree (see docs/git-worktree-workflow.md), the main worktree with origin/HEAD, main or master
+ *
+ * When HEAD is that base itself (e.g. a run on main), the comparison would only see uncommitted
+ * edits, so HEAD is compared with its upstream branch if it is ahead of it, else with HEAD~1
+ *
+ * @returns {string|null} null when none of them exists (e.g. a new repository on another branch)
+ */
+function resolveBaseRef(rootDir) {
+  const top = fs.realpathSync(git(rootDir, ['rev-parse', '--show-toplevel']).trim());
+  const [mainWorktree] = listWorktrees(rootDir);
+  if (mainWorktree && mainWorktree.branch && fs.existsSync(mainWorktree.path) &&
+      fs.realpathSync(mainWorktree.path) !== top) {
+    return mainWorktree.branch;
+  }
+
+  const head = resolveCommit(rootDir, 'HEAD');
+  const candidate = ['origin/HEAD', 'main', 'master'].find(ref => resolveCommit(rootDir, ref));
+  if (!candidate || resolveCommit(rootDir, candidate) !== head) return candidate || null;
+
+  return [upstreamBranch(rootDir), 'HEAD~1']
+    .find(ref => ref && resolveCommit(rootDir, ref) && resolveCommit(rootDir, ref) !== head) || null;
+}
+
+/**
+ * Commit a ref points to, or null when it does not exist
+ */
+function resolveCommit(rootDir, ref) {
+  try {
+    return git(rootDir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function upstreamBranch(rootDir) {
+  try {
+    return git(rootDir, ['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}']).trim();
+  } catch (error) {
+    return null; // Detached HEAD or no tracking branch
+  }
+}
+
+/**
+ * Worktrees registered with the repository, the main worktree first
+ *
+ * @returns {Array<{path: string, branch?: string, head?: string, bare?: boolean}>}
+ */
+function listWorktrees(rootDir) {
+  return git(rootDir, ['worktree', 'list', '--porcelain']).split('\n\n').filter(Boolean).map(block => {
+    const worktree = {};
+    for (const line of block.split('\n')) {
+      if (line.startsWith('worktree ')) worktree.path = line.slice('worktree '.length);
+      if (line.startsWith('HEAD ')) worktree.head = line.slice('HEAD '.length);
+      if (line.startsWith('branch ')) worktree.branch = line.slice('branch '.length).replace(/^refs\/heads\//, '');
+      if (line === 'bare') worktree.bare = true;
+    }
+    return worktree;
+  });
+}
+
+/**
+ * Group changed files by the layers and instances whose file_patterns match them
+ *
+ * @param {string[]} files
+ * @param {object} config - { layers: [{ name, filePatterns }], instances: { id: { filePatterns } } }
+ * @returns {{layers: Object<string, string[]>, instances: Object<string, string[]>, unowned: string[]}}
+ */
+function mapChangedFiles(files, { layers = [], instances = {} }) {
+  const byLayer = {};
+  const byInstance = {};
+  const unowned = [];
+
+  for (const file of files) {
+    const owningLayers = layers.filter(layer => matchesAny(file, layer.filePatterns || []));
+    const owningInstances = Object.entries(instances).filter(([, instance]) => matchesAny(file, instance.filePatterns || []));
+
+    owningLayers.forEach(layer => { (byLayer[layer.name] = byLayer[layer.name] || []).push(file); });
+    owningInstances.forEach(([id]) => { (byInstance[id] = byInstance[id] || []).push(file); });
+    if (owningLayers.length === 0 && owningInstances.length === 0) unowned.push(file);
+  }
+
+  return { layers: byLayer, instances: byInstance, unowned };
+}
+
+/**
+ * Decide for every config entry whether an incremental run needs it, and why
+ *
+ * Layers run when their files changed or a layer they depend on (transitively) runs; benchmarks
+ * when their layer runs; contracts, data flows and instance-scoped gates when one of their
+ * instances or their own contract files changed; project-wide checks on any change
+ *
+ * @param {object} phaseEntries - { layers: [...], contracts: [...], ... }
+ * @param {object} changes - getChangedFiles() result plus mapChangedFiles() groups
+ * @param {object} [options]
+ * @param {function(object): string[]} [options.contractPatterns] - Globs of an entry's own spec, fixture and schema files
+ * @param {string[]} [options.fullRunPatterns] - Files that change what every check does (config, checks)
+ * @returns {Map<object, {selected: boolean, reason: string}>} keyed by entry
+ */
+function selectAffectedChecks(phaseEntries, changes, options = {}) {
+  const decisions = new Map();
+  const allEntries = Object.entries(phaseEntries).flatMap(([phase, entries]) => (entries || []).map(entry => [phase, entry]));
+
+  if (changes.files.length === 0) {
+    allEntries.forEach(([, entry]) => decisions.set(entry, { selected: false, reason: `no files changed since ${changes.base}` }));
+    return decisions;
+  }
+
+  const setupChanges = changes.files.filter(file => matchesAny(file, options.fullRunPatterns || []));
+  if (setupChanges.length > 0) {
+    const reason = `verification setup changed: ${listFiles(setupChanges)}`;
+    allEntries.forEach(([, entry]) => decisions.set(entry, { selected: true, reason }));
+    return decisions;
+  }
+
+  const layerReasons = affectedLayers(phaseEntries.layers || [], changes.layers);
+  const instanceChange = (ids) => ids.filter(id => changes.instances[id])
+    .map(id => `${id} changed: ${listFiles(changes.instances[id])}`);
+
+  for (const [phase, entry] of allEntries) {
+    const name = entry.name || entry.type;
+    let decision;
+
+    if (phase === 'layers') {
+      decision = layerReasons.has(name)
+        ? { selected: true, reason: layerReasons.get(name) }
+        : { selected: false, reason: `no changed files in ${name} or the layers it depends on` };
+
+    } else if (phase === 'benchmarks' && entry.layer) {
+      decision = layerReasons.has(entry.layer)
+        ? { selected: true, reason: `layer ${entry.layer} is affected (${layerReasons.get(entry.layer)})` }
+        : { selected: false, reason: `layer ${entry.layer} is not affected` };
+
+    } else if (phase === 'contracts' || phase === 'dataFlows') {
+      const instances = entry.affectedInstances || [];
+      const ownFiles = changes.files.filter(file => matchesAny(file, options.contractPatterns ? options.contractPatterns(entry) : []));
+      const reasons = [...instanceChange(instances), ...(ownFiles.length > 0 ? [`contract files changed: ${listFiles(ownFiles)}`] : [])];
+      if (reasons.length > 0) {
+        decision = { selected: true, reason: reasons.join('; ') };
+      } else if (instances.length === 0) {
+        decision = { selected: true, reason: 'no affected_instances configured; runs on any change' };
+      } else {
+        decision = { selected: false, reason: `no changes in ${instances.join(', ')} or the contract's files` };
+      }
+
+    } else if (phase === 'qualityGates' && entry.instance) {
+      const reasons = instanceChange([entry.instance]);
+      decision = reasons.length > 0
+        ? { selected: true, reason: reasons[0] }
+        : { selected: false, reason: `no changes in ${entry.instance}` };
+
+    } else {
+      decision = { selected: true, reason: `project-wide check; ${changes.files.length} files changed` };
+    }
+
+    decisions.set(entry, decision);
+  }
+
+  return decisions;
+}
+
+/**
+ * Layers whose files changed, plus every layer that depends on one of them, with the reason
+ */
+function affectedLayers(layers, changedLayers) {
+  const reasons = new Map();
+  for (const layer of layers) {
+    if (changedLayers[layer.name]) reasons.set(layer.name, `changed: ${listFiles(changedLayers[layer.name])}`);
+  }
+
+  // Propagate to dependents until nothing new is added (declared dependencies are acyclic)
+  let added = true;
+  while (added) {
+    added = false;
+    for (const layer of layers) {
+      if (reasons.has(layer.name)) continue;
+      const dependency = (layer.dependencies || []).find(name => reasons.has(name));
+      if (dependency) {
+        reasons.set(layer.name, `depends on ${dependency}, which is affected`);
+        added = true;
+      }
+    }
+  }
+  return reasons;
+}
+
+function listFiles(files) {
+  const listed = files.slice(0, LISTED_FILES).join(', ');
+  return files.length > LISTED_FILES ? `${listed} (+${files.length - LISTED_FILES} more)` : listed;
+}
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+}
+
+function firstLine(error) {
+  return String(error.stderr || error.message).trim().split('\n')[0];
+}
+
+module.exports = { getChangedFiles, resolveBaseRef, listWorktrees, mapChangedFiles, selectAffectedChecks, git };
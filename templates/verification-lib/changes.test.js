@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getChangedFiles, resolveBaseRef, git } = require('./changes');
+
+function repository(t, branch) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  git(dir, ['init', '--quiet', '--initial-branch', branch]);
+  git(dir, ['config', 'user.email', 'dev@example.com']);
+  git(dir, ['config', 'user.name', 'Dev']);
+  fs.writeFileSync(path.join(dir, 'README.md'), '# app\n');
+  git(dir, ['add', '.']);
+  git(dir, ['commit', '--quiet', '-m', 'init']);
+  return dir;
+}
+
+test('changed files include commits, edits and untracked files since the base', (t) => {
+  const dir = repository(t, 'main');
+  git(dir, ['checkout', '--quiet', '-b', 'feature']);
+  fs.mkdirSync(path.join(dir, 'src'));
+  fs.writeFileSync(path.join(dir, 'src/app.js'), 'module.exports = 1;\n');
+  git(dir, ['add', '.']);
+  git(dir, ['commit', '--quiet', '-m', 'app']);
+  fs.writeFileSync(path.join(dir, 'README.md'), '# app\n\nEdited\n');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'draft\n');
+
+  assert.equal(resolveBaseRef(dir), 'main');
+  const changes = getChangedFiles(dir);
+  assert.equal(changes.base, 'main');
+  assert.deepEqual(changes.files, ['README.md', 'notes.txt', 'src/app.js']);
+});
+
+test('no base ref resolves without origin/HEAD, main or master', (t) => {
+  const dir = repository(t, 'trunk');
+  assert.equal(resolveBaseRef(dir), null);
+  assert.throws(() => getChangedFiles(dir), /set project_config\.base_ref or pass --since/);
+  assert.deepEqual(getChangedFiles(dir, 'trunk').files, []);
+});
+
+test('on the base branch itself, HEAD is compared with its upstream or the previous commit', (t) => {
+  const dir = repository(t, 'main');
+  assert.equal(resolveBaseRef(dir), null);
+
+  fs.writeFileSync(path.join(dir, 'app.js'), 'module.exports = 1;\n');
+  git(dir, ['add', '.']);
+  git(dir, ['commit', '--quiet', '-m', 'app']);
+  assert.equal(resolveBaseRef(dir), 'HEAD~1');
+  assert.deepEqual(getChangedFiles(dir).files, ['app.js']);
+
+  const remote = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-remote-'));
+  t.after(() => fs.rmSync(remote, { recursive: true, force: true }));
+  git(remote, ['init', '--quiet', '--bare']);
+  git(dir, ['remote', 'add', 'origin', remote]);
+  git(dir, ['push', '--quiet', '--set-upstream', 'origin', 'main']);
+  fs.writeFileSync(path.join(dir, 'lib.js'), 'module.exports = 2;\n');
+  git(dir, ['add', '.']);
+  git(dir, ['commit', '--quiet', '-m', 'lib']);
+  assert.equal(resolveBaseRef(dir), 'origin/main');
+});
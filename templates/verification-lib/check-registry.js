@@ -0,0 +1,181 @@
+/**
+ * Verification Check Registry
+ * Named checks that config entries reference through `verificationMethod`
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Phase names match the projectConfig keys that list their entries
+const PHASES = ['layers', 'contracts', 'dataFlows', 'benchmarks', 'qualityGates'];
+
+// Config field that carries the target/threshold for phases that take one
+const TARGET_FIELDS = { benchmarks: 'target', qualityGates: 'threshold' };
+
+class CheckRegistry {
+  constructor() {
+    this.checks = new Map();
+  }
+
+  /**
+   * Register a named check
+   *
+   * @param {string} name - Name referenced by config entries (`verificationMethod`)
+   * @param {object} definition
+   * @param {string} definition.phase - One of PHASES
+   * @param {string[]} [definition.inputs] - Config keys the check reads: the entry's own (a YAML key such as
+   *   bundle_dir for the input bundleDir), then projectConfig
+   * @param {boolean} [definition.acceptsTarget] - Whether the check compares against a target/threshold
+   * @param {Function} definition.run - async ({ framework, config, entry, target, inputs, signal, attempt }) => { success, value, message }
+   *   `signal` aborts when the check times out; checks that start servers or processes should stop them.
+   *   `attempt` is 1, then 2, 3 ... on retries; checks caching work should redo it on a retry
+   * @param {boolean} [definition.override] - Replace an existing check with the same name
+   */
+  register(name, definition) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Check name must be a non-empty string');
+    }
+    if (!definition || typeof definition.run !== 'function') {
+      throw new Error(`Check "${name}" must provide a run() function`);
+    }
+    if (!PHASES.includes(definition.phase)) {
+      throw new Error(`Check "${name}" has unknown phase "${definition.phase}" (expected one of: ${PHASES.join(', ')})`);
+    }
+    if (this.checks.has(name) && !definition.override) {
+      throw new Error(`Check "${name}" is already registered (set override: true to replace it)`);
+    }
+
+    this.checks.set(name, {
+      name,
+      phase: definition.phase,
+      inputs: definition.inputs || [],
+      acceptsTarget: Boolean(definition.acceptsTarget),
+      description: definition.description || '',
+      source: definition.source || 'inline',
+      run: definition.run
+    });
+    return this;
+  }
+
+  has(name) {
+    return this.checks.has(name);
+  }
+
+  get(name) {
+    return this.checks.get(name);
+  }
+
+  list(phase) {
+    const checks = Array.from(this.checks.values());
+    return phase ? checks.filter(check => check.phase === phase) : checks;
+  }
+
+  /**
+   * Register every check module in a directory (e.g. scripts/verification/checks/)
+   *
+   * A module may export a single definition with a `name`, an array of definitions,
+   * or a function that receives the registry and registers checks itself.
+   *
+   * @returns {string[]} names of the checks that were registered
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const before = new Set(this.checks.keys());
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+      const modulePath = path.resolve(dir, file);
+      const exported = require(modulePath);
+
+      if (typeof exported === 'function') {
+        exported(this);
+        continue;
+      }
+
+      const definitions = Array.isArray(exported) ? exported : [exported];
+      for (const definition of definitions) {
+        if (!definition || typeof definition.name !== 'string') {
+          throw new Error(`Check module ${modulePath} must export a definition with a name`);
+        }
+        this.register(definition.name, { source: modulePath, ...definition });
+      }
+    }
+
+    return Array.from(this.checks.keys()).filter(name => !before.has(name));
+  }
+
+  /**
+   * Validate that every check referenced by the config exists and fits where it is used
+   *
+   * @param {object} phaseEntries - { layers: [...], contracts: [...], ... }
+   * @param {object} config - projectConfig, used to resolve declared inputs
+   * @returns {string[]} list of problems (empty when valid)
+   */
+  validateConfig(phaseEntries, config = {}) {
+    const errors = [];
+
+    for (const phase of PHASES) {
+      for (const entry of phaseEntries[phase] || []) {
+        const label = `${phase}[${entry.name || entry.type}]`;
+        const check = this.checks.get(entry.verificationMethod);
+
+        if (!check) {
+          const known = this.list(phase).map(c => c.name);
+          errors.push(`${label} references unknown check "${entry.verificationMethod}"` +
+            (known.length > 0 ? ` (registered ${phase} checks: ${known.join(', ')})` : ''));
+          continue;
+        }
+        if (check.phase !== phase) {
+          errors.push(`${label} uses check "${check.name}", which is registered for phase ${check.phase}`);
+        }
+
+        const targetField = TARGET_FIELDS[phase];
+        const hasTarget = targetField !== undefined && entry[targetField] !== undefined;
+        if (hasTarget && !check.acceptsTarget) {
+          errors.push(`${label} sets ${targetField}, but check "${check.name}" does not accept one`);
+        }
+        if (check.acceptsTarget && !hasTarget) {
+          errors.push(`${label} uses check "${check.name}", which requires a ${targetField || 'target'}`);
+        }
+
+        for (const input of check.inputs) {
+          if (readInput(input, entry, config) === undefined) {
+            errors.push(`${label} uses check "${check.name}", which requires input "${input}"`);
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run a registered check for a config entry
+   */
+  async run(name, context) {
+    const check = this.checks.get(name);
+    if (!check) {
+      throw new Error(`Unknown check "${name}"`);
+    }
+
+    const inputs = {};
+    for (const input of check.inputs) {
+      inputs[input] = readInput(input, context.entry, context.config);
+    }
+
+    return check.run({ ...context, inputs });
+  }
+}
+
+/**
+ * Value of a declared input: the entry's mapped field, any other key of its YAML entry (entry.options),
+ * then projectConfig
+ */
+function readInput(input, entry = {}, config = {}) {
+  if (entry[input] !== undefined) return entry[input];
+  if (entry.options && entry.options[input] !== undefined) return entry.options[input];
+  return config[input];
+}
+
+module.exports = { CheckRegistry, PHASES, TARGET_FIELDS };
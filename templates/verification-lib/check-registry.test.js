@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CheckRegistry } = require('./check-registry');
+
+const run = async () => ({ success: true });
+
+test('register rejects invalid and duplicate checks', () => {
+  const registry = new CheckRegistry();
+  registry.register('checkBundle', { phase: 'benchmarks', run });
+  assert.throws(() => registry.register('checkBundle', { phase: 'benchmarks', run }), /already registered/);
+  assert.throws(() => registry.register('checkOther', { phase: 'deploy', run }), /unknown phase "deploy"/);
+  assert.throws(() => registry.register('checkOther', { phase: 'layers' }), /must provide a run\(\) function/);
+  registry.register('checkBundle', { phase: 'benchmarks', run, override: true });
+  assert.equal(registry.list('benchmarks').length, 1);
+});
+
+test('validateConfig reports unknown checks, wrong phases, targets and inputs', () => {
+  const registry = new CheckRegistry()
+    .register('checkBundle', { phase: 'benchmarks', acceptsTarget: true, inputs: ['bundleDir'], run })
+    .register('checkLayer', { phase: 'layers', run });
+
+  const errors = registry.validateConfig({
+    layers: [{ name: 'api_layer', verificationMethod: 'checkBundle' }],
+    contracts: [{ type: 'api', verificationMethod: 'checkMissing' }],
+    benchmarks: [{ name: 'bundle_size', verificationMethod: 'checkBundle' }]
+  });
+  assert.deepEqual(errors, [
+    'layers[api_layer] uses check "checkBundle", which is registered for phase benchmarks',
+    'layers[api_layer] uses check "checkBundle", which requires a target',
+    'layers[api_layer] uses check "checkBundle", which requires input "bundleDir"',
+    'contracts[api] references unknown check "checkMissing"',
+    'benchmarks[bundle_size] uses check "checkBundle", which requires a target',
+    'benchmarks[bundle_size] uses check "checkBundle", which requires input "bundleDir"'
+  ]);
+});
+
+test('inputs come from the entry, its YAML keys, then projectConfig', async () => {
+  const registry = new CheckRegistry().register('checkBundle', {
+    phase: 'benchmarks',
+    acceptsTarget: true,
+    inputs: ['bundleDir', 'gzip'],
+    run: async ({ inputs }) => inputs
+  });
+  const entry = { name: 'bundle_size', target: 0.2, verificationMethod: 'checkBundle', options: { bundleDir: 'dist' } };
+  const config = { gzip: true };
+
+  assert.deepEqual(registry.validateConfig({ benchmarks: [entry] }, config), []);
+  assert.deepEqual(await registry.run('checkBundle', { entry, config }), { bundleDir: 'dist', gzip: true });
+  assert.deepEqual(await registry.run('checkBundle', { entry: { ...entry, bundleDir: 'build' }, config }), { bundleDir: 'build', gzip: true });
+});
+
+test('loadDirectory registers definitions, arrays and registrar functions', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'a.js'), "module.exports = { name: 'checkA', phase: 'layers', run: async () => ({ success: true }) };");
+  fs.writeFileSync(path.join(dir, 'b.js'), "module.exports = [{ name: 'checkB', phase: 'contracts', run: async () => ({ success: true }) }];");
+  fs.writeFileSync(path.join(dir, 'c.js'), "module.exports = registry => registry.register('checkC', { phase: 'dataFlows', run: async () => ({ success: true }) });");
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a module');
+
+  const registry = new CheckRegistry();
+  assert.deepEqual(registry.loadDirectory(dir), ['checkA', 'checkB', 'checkC']);
+  assert.equal(registry.get('checkA').source, path.join(dir, 'a.js'));
+  assert.deepEqual(registry.loadDirectory(path.join(dir, 'missing')), []);
+});
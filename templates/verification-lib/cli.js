@@ -0,0 +1,107 @@
+/**
+ * Verification Command Line
+ * Options, usage text and exit codes of the verification script; environment variables supply the
+ * defaults so hooks and CI can configure a run without arguments
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { validateFormat } = require('./reporters');
+
+// Process exit codes of the CLI: hooks and CI tell a failed verification from a broken run
+const EXIT_CODES = {
+  PASS: 0,
+  FAIL: 1,
+  ERROR: 2
+};
+
+/**
+ * Usage text listing the suite's phases
+ */
+function formatUsage(phases) {
+  return `Usage: node project-verification.js [options]
+
+Options:
+  --config <file>        Project config (YAML/JSON), default $VERIFICATION_CONFIG or project-config.yaml
+  --preset <name>        Use an architecture preset instead of a config file
+  --instance <name>      Instance whose file_patterns apply, default $INSTANCE_NAME
+  --only <names>         Run only these phases or checks (comma-separated, repeatable)
+  --skip <names>         Skip these phases or checks
+  --fail-on <severity>   Lowest severity that fails the run: critical | high | medium | low (default high)
+  --format <formats>     Extra report formats: junit, sarif, markdown, html or a reporter module path
+  --reports-dir <dir>    Where reports are written, default docs/verification-reports
+  --baseline <report>    Fail only on violations not in the baseline: "previous" (last passing run) or a report path
+  --events <file>        Write lifecycle events as NDJSON to a file, or "-" for stdout (the console
+                         output then goes to stderr); default $VERIFICATION_EVENTS
+  --changed              Run only the checks affected by files changed against the base ref
+  --since <ref>          Base ref for --changed (implies it); default: project_config.base_ref,
+                         the main worktree's branch, origin/HEAD, main or master
+  --worktree <path>      Verify this worktree; the config and changed files are read from it
+  --dry-run              List the phases and checks that would run, then exit
+  -h, --help             Show this help
+
+Phases: ${phases.join(', ')}
+Exit codes: ${EXIT_CODES.PASS} passed, ${EXIT_CODES.FAIL} verification failed, ${EXIT_CODES.ERROR} configuration or internal error`;
+}
+
+/**
+ * Parse command-line arguments; environment variables supply the defaults
+ *
+ * @param {string[]} argv
+ * @param {object} [env] - Defaults to process.env
+ * @returns {object} { help, dryRun, configPath, preset, only, skip, changed, since, options: loadProjectConfig() options }
+ */
+function parseCliArgs(argv, env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      preset: { type: 'string' },
+      instance: { type: 'string' },
+      only: { type: 'string', multiple: true },
+      skip: { type: 'string', multiple: true },
+      'fail-on': { type: 'string' },
+      format: { type: 'string', multiple: true },
+      'reports-dir': { type: 'string' },
+      baseline: { type: 'string' },
+      events: { type: 'string' },
+      changed: { type: 'boolean' },
+      since: { type: 'string' },
+      worktree: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const list = (items) => (items || []).flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+  const baseline = values.baseline || env.VERIFICATION_BASELINE;
+  const formats = list(values.format || (env.VERIFICATION_REPORTERS ? [env.VERIFICATION_REPORTERS] : undefined));
+  const formatProblem = formats.map(validateFormat).find(Boolean);
+  if (formatProblem) {
+    throw new Error(`${values.format ? '--format' : 'VERIFICATION_REPORTERS'}: ${formatProblem}`);
+  }
+
+  return {
+    help: values.help,
+    dryRun: values['dry-run'],
+    configPath: values.config || env.VERIFICATION_CONFIG || 'project-config.yaml',
+    preset: values.preset || env.VERIFICATION_PRESET,
+    only: list(values.only),
+    skip: list(values.skip),
+    changed: Boolean(values.changed || values.since),
+    since: values.since,
+    options: {
+      rootDir: values.worktree ? path.resolve(values.worktree) : undefined,
+      instance: values.instance || env.INSTANCE_NAME,
+      presetsDir: env.VERIFICATION_PRESETS_DIR,
+      reportsDir: values['reports-dir'] || env.REPORTS_DIR,
+      reporters: formats.length > 0 ? formats : undefined,
+      failOn: values['fail-on'],
+      events: values.events || env.VERIFICATION_EVENTS,
+      // "previous" compares with the last passing full-run report, anything else is a pinned baseline report
+      baseline: baseline ? { report: baseline === 'previous' ? undefined : baseline } : undefined
+    }
+  };
+}
+
+module.exports = { parseCliArgs, formatUsage, EXIT_CODES };
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseCliArgs, formatUsage, EXIT_CODES } = require('./cli');
+
+test('options override the environment defaults', () => {
+  const env = { VERIFICATION_CONFIG: 'env.yaml', INSTANCE_NAME: 'backend', VERIFICATION_REPORTERS: 'junit', VERIFICATION_BASELINE: 'previous' };
+  const fromEnv = parseCliArgs([], env);
+  assert.equal(fromEnv.configPath, 'env.yaml');
+  assert.equal(fromEnv.options.instance, 'backend');
+  assert.deepEqual(fromEnv.options.reporters, ['junit']);
+  assert.deepEqual(fromEnv.options.baseline, { report: undefined });
+
+  const cli = parseCliArgs(['--config', 'cli.yaml', '--only', 'layers,contracts', '--only', 'planning', '--format', 'sarif',
+    '--baseline', 'reports/base.json', '--since', 'origin/develop', '--worktree', '../app-ui'], env);
+  assert.equal(cli.configPath, 'cli.yaml');
+  assert.deepEqual(cli.only, ['layers', 'contracts', 'planning']);
+  assert.deepEqual(cli.options.reporters, ['sarif']);
+  assert.deepEqual(cli.options.baseline, { report: 'reports/base.json' });
+  assert.equal(cli.changed, true);
+  assert.equal(cli.options.rootDir, path.resolve('../app-ui'));
+});
+
+test('unknown options and report formats are rejected', () => {
+  assert.throws(() => parseCliArgs(['--verbose'], {}), error => error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION');
+  assert.throws(() => parseCliArgs(['--format', 'pdf'], {}), /^Error: --format: Unknown report format "pdf"/);
+  assert.throws(() => parseCliArgs([], { VERIFICATION_REPORTERS: 'pdf' }), /^Error: VERIFICATION_REPORTERS: /);
+});
+
+test('usage lists the phases and exit codes', () => {
+  const usage = formatUsage(['configuration', 'layers']);
+  assert.match(usage, /Phases: configuration, layers/);
+  assert.match(usage, new RegExp(`Exit codes: ${EXIT_CODES.PASS} passed, ${EXIT_CODES.FAIL} verification failed, ${EXIT_CODES.ERROR} configuration`));
+});
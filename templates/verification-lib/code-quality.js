@@ -0,0 +1,322 @@
+/**
+ * Code Quality Metrics
+ * Parses the project's JS/TS files with @babel/parser and measures cyclomatic complexity, function and
+ * file length, nesting depth, duplicated blocks and TODO/FIXME markers, combined into a 0-10 score
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny } = require('./glob');
+const { collectSourceFiles } = require('./import-graph');
+
+const DEFAULTS = {
+  include: undefined,
+  // The framework's own modules, copied next to the verification script, are not the project's code
+  exclude: ['**/verification-lib/**'],
+  thresholds: { complexity: 10, functionLength: 50, fileLength: 400, nesting: 4 },
+  duplication: { minLines: 6 },
+  // Share of each metric's sub-score in the overall score
+  weights: { complexity: 0.3, functionLength: 0.15, nesting: 0.15, fileLength: 0.1, duplication: 0.2, todos: 0.1 }
+};
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+
+// Each adds a path through the function
+const BRANCH_TYPES = new Set([
+  'IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'WhileStatement', 'DoWhileStatement', 'CatchClause'
+]);
+
+// Each opens a nesting level
+const NESTING_TYPES = new Set([
+  'IfStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement',
+  'SwitchStatement', 'TryStatement'
+]);
+
+const MARKER = /\b(TODO|FIXME)\b/;
+
+/**
+ * Code quality settings with defaults; `exclude` adds to the defaults, threshold overrides per layer
+ * and path are merged later
+ */
+function resolveSettings(settings = {}) {
+  return {
+    ...DEFAULTS,
+    ...settings,
+    exclude: [...DEFAULTS.exclude, ...(settings.exclude || [])],
+    thresholds: { ...DEFAULTS.thresholds, ...settings.thresholds },
+    duplication: { ...DEFAULTS.duplication, ...settings.duplication },
+    weights: { ...DEFAULTS.weights, ...settings.weights }
+  };
+}
+
+/**
+ * Parse a file with the plugins its extension needs; @babel/parser is only required when this gate runs
+ */
+function parseSource(source, file) {
+  let parser;
+  try {
+    parser = require('@babel/parser');
+  } catch (error) {
+    throw new Error('Code quality metrics require @babel/parser (npm install --save-dev @babel/parser)');
+  }
+
+  const extension = path.extname(file);
+  const plugins = ['decorators-legacy', 'classProperties'];
+  if (extension === '.ts' || extension === '.tsx') plugins.push('typescript');
+  if (extension !== '.ts') plugins.push('jsx');
+  return parser.parse(source, { sourceType: 'unambiguous', errorRecovery: true, allowReturnOutsideFunction: true, plugins });
+}
+
+/**
+ * Metrics of one file
+ *
+ * @returns {{lines: number, functions: Array<{name, line, length, complexity, nesting}>, markers: Array<{line, text}>}}
+ */
+function analyzeSource(source, file) {
+  const ast = parseSource(source, file);
+  const functions = [];
+  collectFunctions(ast.program, null, functions);
+
+  return {
+    lines: source.split('\n').length,
+    functions,
+    markers: (ast.comments || []).flatMap(comment => comment.value.split('\n')
+      .map((text, index) => ({ line: comment.loc.start.line + index, text: text.trim() }))
+      .filter(({ text }) => MARKER.test(text)))
+  };
+}
+
+function collectFunctions(node, parent, functions) {
+  if (FUNCTION_TYPES.has(node.type)) {
+    const metrics = { complexity: 1, nesting: 0 };
+    measure(node.body, 0, metrics);
+    functions.push({
+      name: functionName(node, parent),
+      line: node.loc.start.line,
+      length: node.loc.end.line - node.loc.start.line + 1,
+      complexity: metrics.complexity,
+      nesting: metrics.nesting
+    });
+  }
+  for (const child of children(node)) collectFunctions(child, node, functions);
+}
+
+/**
+ * Complexity and deepest nesting of a function body, not counting nested functions
+ */
+function measure(node, depth, metrics) {
+  if (FUNCTION_TYPES.has(node.type)) return;
+
+  if (BRANCH_TYPES.has(node.type)) metrics.complexity++;
+  if (node.type === 'SwitchCase' && node.test) metrics.complexity++;
+  if (node.type === 'LogicalExpression') metrics.complexity++;
+
+  const level = NESTING_TYPES.has(node.type) ? depth + 1 : depth;
+  metrics.nesting = Math.max(metrics.nesting, level);
+
+  for (const child of children(node)) {
+    // else-if chains stay on the level of their first if
+    const elseIf = node.type === 'IfStatement' && child === node.alternate && child.type === 'IfStatement';
+    measure(child, elseIf ? depth : level, metrics);
+  }
+}
+
+function children(node) {
+  const result = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') continue;
+    if (Array.isArray(value)) {
+      for (const item of value) if (item && typeof item.type === 'string') result.push(item);
+    } else if (value && typeof value.type === 'string') {
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+function functionName(node, parent) {
+  if (node.id && node.id.name) return node.id.name;
+  if (node.key) return node.key.name || node.key.value || (node.key.id && `#${node.key.id.name}`) || '<computed>';
+  if (parent && parent.type === 'VariableDeclarator' && parent.id.name) return parent.id.name;
+  if (parent && (parent.type === 'AssignmentExpression' || parent.type === 'AssignmentPattern') && parent.left) {
+    return parent.left.name || (parent.left.property && parent.left.property.name) || '<anonymous>';
+  }
+  if (parent && parent.type === 'ObjectProperty' && parent.key) return parent.key.name || parent.key.value || '<anonymous>';
+  return '<anonymous>';
+}
+
+/**
+ * Blocks of at least `minLines` consecutive lines that appear more than once; lines are compared
+ * trimmed, blank lines, comments and lone brackets left out
+ *
+ * @param {Map<string, string>} sources - file → source
+ * @returns {Array<{lines: number, locations: Array<{file: string, line: number}>}>}
+ */
+function findDuplicateBlocks(sources, minLines) {
+  const windows = new Map();
+  const fileLines = new Map();
+
+  for (const [file, source] of sources) {
+    const lines = source.split('\n')
+      .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+      .filter(({ text }) => text && !/^(\/\/|\/\*|\*)/.test(text) && !/^[{}()[\];,]+$/.test(text));
+    fileLines.set(file, lines);
+
+    for (let i = 0; i + minLines <= lines.length; i++) {
+      const key = lines.slice(i, i + minLines).map(({ text }) => text).join('\n');
+      if (!windows.has(key)) windows.set(key, []);
+      windows.get(key).push({ file, index: i });
+    }
+  }
+
+  // Grow each repeated window over the following lines while all copies still match
+  const blocks = [];
+  const covered = new Set();
+  for (const occurrences of windows.values()) {
+    if (occurrences.length < 2 || occurrences.some(({ file, index }) => covered.has(`${file}:${index}`))) continue;
+
+    let size = minLines;
+    const textAt = ({ file, index }, offset) => (fileLines.get(file)[index + offset] || {}).text;
+    while (occurrences.every(occurrence => textAt(occurrence, size) !== undefined && textAt(occurrence, size) === textAt(occurrences[0], size))) {
+      size++;
+    }
+    // Overlapping copies of a repetitive run are one block
+    const distinct = occurrences.filter((occurrence, i) => !occurrences.slice(0, i).some(other =>
+      other.file === occurrence.file && occurrence.index - other.index < size));
+    if (distinct.length < 2) continue;
+
+    for (const { file, index } of occurrences) {
+      for (let offset = 0; offset < size; offset++) covered.add(`${file}:${index + offset}`);
+    }
+    blocks.push({
+      lines: size,
+      locations: distinct.map(({ file, index }) => ({ file, line: fileLines.get(file)[index].line }))
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Analyze the project and score it
+ *
+ * @param {string} rootDir
+ * @param {object} settings - resolveSettings() result
+ * @param {object} [options] - { layers: [{ name, filePatterns }] } for code_quality.layers
+ * @returns {{score: number, scores: object, files: number, functions: number, issues: object[], duplicates: object[],
+ *   markers: number, failed: Array<{file: string, error: string}>}}
+ */
+function analyzeProject(rootDir, settings, { layers = [] } = {}) {
+  const files = collectSourceFiles(rootDir, { include: settings.include, exclude: settings.exclude });
+  const sources = new Map();
+  const issues = [];
+  const failed = [];
+  let functionCount = 0;
+  let lineCount = 0;
+  let markerCount = 0;
+  const offending = { complexity: new Set(), functionLength: new Set(), nesting: new Set(), fileLength: new Set() };
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    let metrics;
+    try {
+      metrics = analyzeSource(source, file);
+    } catch (error) {
+      if (/require @babel\/parser/.test(error.message)) throw error;
+      failed.push({ file, error: error.message.split('\n')[0] });
+      continue;
+    }
+    sources.set(file, source);
+
+    const limits = thresholdsFor(file, settings, layers);
+    functionCount += metrics.functions.length;
+    lineCount += metrics.lines;
+    markerCount += metrics.markers.length;
+
+    if (metrics.lines > limits.fileLength) {
+      offending.fileLength.add(file);
+      issues.push({ rule: 'file-length', file, line: 1, actual: metrics.lines, limit: limits.fileLength, description: `${file} has ${metrics.lines} lines (limit ${limits.fileLength})` });
+    }
+    for (const fn of metrics.functions) {
+      const id = `${file}:${fn.line}`;
+      const checks = [
+        ['complexity', fn.complexity, `cyclomatic complexity ${fn.complexity}`],
+        ['functionLength', fn.length, `${fn.length} lines`],
+        ['nesting', fn.nesting, `nesting depth ${fn.nesting}`]
+      ];
+      for (const [metric, actual, label] of checks) {
+        if (actual <= limits[metric]) continue;
+        offending[metric].add(id);
+        issues.push({
+          rule: metric === 'functionLength' ? 'function-length' : metric,
+          file,
+          line: fn.line,
+          function: fn.name,
+          actual,
+          limit: limits[metric],
+          description: `${fn.name} has ${label} (limit ${limits[metric]})`
+        });
+      }
+    }
+  }
+
+  const duplicates = findDuplicateBlocks(sources, settings.duplication.minLines);
+  const duplicatedLines = duplicates.reduce((sum, block) => sum + block.lines * (block.locations.length - 1), 0);
+
+  const share = (count, total) => total === 0 ? 0 : count / total;
+  const scores = {
+    complexity: 10 * (1 - share(offending.complexity.size, functionCount)),
+    functionLength: 10 * (1 - share(offending.functionLength.size, functionCount)),
+    nesting: 10 * (1 - share(offending.nesting.size, functionCount)),
+    fileLength: 10 * (1 - share(offending.fileLength.size, sources.size)),
+    duplication: 10 * (1 - Math.min(1, share(duplicatedLines, lineCount))),
+    // One point per marker per 1000 lines
+    todos: Math.max(0, 10 - share(markerCount * 1000, lineCount))
+  };
+
+  return {
+    score: combineScores(scores, settings.weights),
+    scores: Object.fromEntries(Object.entries(scores).map(([metric, value]) => [metric, round(value)])),
+    files: sources.size,
+    functions: functionCount,
+    issues,
+    duplicates,
+    markers: markerCount,
+    failed
+  };
+}
+
+/**
+ * Weighted average of the metric sub-scores, rounded to one decimal
+ */
+function combineScores(scores, weights) {
+  const entries = Object.entries(scores).filter(([metric]) => weights[metric] > 0);
+  const total = entries.reduce((sum, [metric]) => sum + weights[metric], 0);
+  if (total === 0) return 10;
+  return round(entries.reduce((sum, [metric, value]) => sum + value * weights[metric], 0) / total);
+}
+
+/**
+ * Limits for a file: defaults, then its layer (code_quality.layers), then matching globs (code_quality.paths)
+ */
+function thresholdsFor(file, settings, layers) {
+  const layer = layers.find(entry => matchesAny(file, entry.filePatterns || []));
+  const byPath = Object.entries(settings.paths || {}).filter(([pattern]) => matchesAny(file, [pattern])).map(([, limits]) => limits);
+  return Object.assign({}, settings.thresholds, layer && (settings.layers || {})[layer.name], ...byPath);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  resolveSettings,
+  analyzeSource,
+  analyzeProject,
+  findDuplicateBlocks,
+  combineScores,
+  thresholdsFor,
+  DEFAULTS
+};
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSettings, analyzeSource, analyzeProject, findDuplicateBlocks, combineScores, thresholdsFor } = require('./code-quality');
+
+const BRANCHY = `function simple(a) {
+  return a + 1;
+}
+
+function branchy(a, b) {
+  if (a) {
+    for (const x of b) {
+      if (x && a) {
+        while (x > 0) {
+          x--;
+        }
+      }
+    }
+  } else if (b) {
+    return a ? 1 : 2;
+  }
+  return 0;
+}
+`;
+
+const checkout = name => `// TODO: move to a shared module
+function ${name}(items, coupon) {
+  const total = items.reduce((sum, item) => sum + item.price, 0);
+  const tax = total * 0.2;
+  const shipping = total > 100 ? 0 : 10;
+  const discount = coupon ? total * coupon.rate : 0;
+  const grand = total + tax + shipping - discount;
+  console.log(grand);
+  return grand;
+}
+`;
+
+function project(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('analyzeSource measures complexity, nesting and length per function', () => {
+  const { lines, functions, markers } = analyzeSource(BRANCHY, 'branchy.js');
+  assert.equal(lines, 19);
+  assert.deepEqual(functions, [
+    { name: 'simple', line: 1, length: 3, complexity: 1, nesting: 0 },
+    // if, for…of, if, &&, while, else if, ?:
+    { name: 'branchy', line: 5, length: 14, complexity: 8, nesting: 4 }
+  ]);
+  assert.deepEqual(markers, []);
+
+  const named = analyzeSource('const handler = () => {};\nclass A { #run() {} }\nexports.load = function () {};\n', 'names.js');
+  assert.deepEqual(named.functions.map(fn => fn.name), ['handler', '#run', 'load']);
+});
+
+test('findDuplicateBlocks grows repeated windows and skips comments and brackets', () => {
+  const sources = new Map([['a.js', checkout('checkoutA')], ['b.js', checkout('checkoutB')]]);
+  assert.deepEqual(findDuplicateBlocks(sources, 6), [
+    { lines: 7, locations: [{ file: 'a.js', line: 3 }, { file: 'b.js', line: 3 }] }
+  ]);
+  assert.deepEqual(findDuplicateBlocks(sources, 8), []);
+});
+
+test('analyzeProject reports issues, duplicates and TODOs and weights the sub-scores', (t) => {
+  const dir = project(t, {
+    'src/branchy.js': BRANCHY,
+    'src/checkout-a.js': checkout('checkoutA'),
+    'src/checkout-b.js': checkout('checkoutB'),
+    'src/broken.js': 'function (',
+    'scripts/verification/verification-lib/cli.js': BRANCHY
+  });
+  const settings = resolveSettings({ thresholds: { complexity: 5, functionLength: 10, nesting: 3 } });
+  const analysis = analyzeProject(dir, settings);
+
+  assert.equal(analysis.files, 3);
+  assert.equal(analysis.functions, 6);
+  assert.deepEqual(analysis.issues.map(issue => `${issue.rule}:${issue.function}:${issue.actual}`), [
+    'complexity:branchy:8', 'function-length:branchy:14', 'nesting:branchy:4'
+  ]);
+  assert.equal(analysis.duplicates.length, 1);
+  assert.equal(analysis.markers, 2);
+  assert.deepEqual(analysis.failed.map(({ file }) => file), ['src/broken.js']);
+
+  // 41 lines: 7 duplicated, 2 markers; one of six functions over each function limit
+  assert.deepEqual(analysis.scores, { complexity: 8.3, functionLength: 8.3, nesting: 8.3, fileLength: 10, duplication: 8.3, todos: 0 });
+  assert.equal(analysis.score, 7.7);
+});
+
+test('the copied verification-lib is excluded by default and exclude adds to it', () => {
+  assert.deepEqual(resolveSettings().exclude, ['**/verification-lib/**']);
+  assert.deepEqual(resolveSettings({ exclude: ['src/generated/**'] }).exclude, ['**/verification-lib/**', 'src/generated/**']);
+});
+
+test('thresholdsFor applies the layer, then matching paths', () => {
+  const settings = resolveSettings({
+    layers: { ui: { functionLength: 120 } },
+    paths: { 'src/ui/legacy/**': { complexity: 25 } }
+  });
+  const layers = [{ name: 'ui', filePatterns: ['src/ui/**'] }];
+  assert.deepEqual(thresholdsFor('src/ui/legacy/form.js', settings, layers), { complexity: 25, functionLength: 120, fileLength: 400, nesting: 4 });
+  assert.deepEqual(thresholdsFor('src/core/math.js', settings, layers), settings.thresholds);
+});
+
+test('combineScores ignores metrics without weight', () => {
+  assert.equal(combineScores({ complexity: 5, todos: 0 }, { complexity: 1, todos: 0 }), 5);
+  assert.equal(combineScores({ complexity: 5 }, {}), 10);
+});
@@ -0,0 +1,889 @@
+/**
+ * Verification Config Loader
+ * Builds GenericVerificationFramework's projectConfig from a multi-instance YAML
+ * (multi-instance-setup-template.yaml or an architecture-patterns/*.yaml preset)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTarget } = require('./targets');
+const { EVENTS } = require('./events');
+const { validateFormat } = require('./reporters');
+const { applyArchitecturePreset } = require('./architecture-presets');
+
+const ARCHITECTURE_TYPES = ['web_app', 'mobile_app', 'microservices', 'data_system', 'desktop_app'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+// integration_points[].type → verification phase and check method
+const INTEGRATION_CHECKS = {
+  API_CONTRACTS: { phase: 'contracts', verificationMethod: 'checkApiContracts' },
+  SERVICE_CONTRACTS: { phase: 'contracts', verificationMethod: 'checkApiContracts' },
+  API_INTEGRATION: { phase: 'contracts', verificationMethod: 'checkApiContracts' },
+  DATA_CONTRACTS: { phase: 'contracts', verificationMethod: 'checkDataContracts' },
+  IPC_HANDLERS: { phase: 'contracts', verificationMethod: 'checkInterfaceContracts' },
+  MESSAGE_QUEUES: { phase: 'contracts', verificationMethod: 'checkInterfaceContracts' },
+  CACHE_INVALIDATION: { phase: 'dataFlows', verificationMethod: 'checkCacheDataFlow' },
+  DATA_SYNC: { phase: 'dataFlows', verificationMethod: 'checkPrimaryDataFlow' },
+  STATE_MANAGEMENT: { phase: 'dataFlows', verificationMethod: 'checkPrimaryDataFlow' },
+  STATE_SYNCHRONIZATION: { phase: 'dataFlows', verificationMethod: 'checkPrimaryDataFlow' },
+  OFFLINE_SYNC: { phase: 'dataFlows', verificationMethod: 'checkPrimaryDataFlow' }
+};
+
+// Per-target keys forwarded to the benchmark harness (see performance_harness)
+const HARNESS_OVERRIDES = ['url', 'method', 'command', 'percentile', 'resource', 'iterations', 'warmup_iterations', 'concurrency', 'max_error_rate'];
+
+// Per-gate keys passed through to quality gate checks
+const GATE_OPTIONS = ['reports', 'instance', 'thresholds'];
+
+// Per-integration-point keys overriding contract_verification for that contract
+const CONTRACT_OPTIONS = ['openapi', 'openapi_baseline', 'openapi_baseline_ref', 'fixtures', 'schemas'];
+
+// Per-integration-point keys for sentinel tracing of data flows (see verification-lib/data-flow.js)
+const TRACE_OPTIONS = ['trace', 'hop_timeout', 'poll_interval'];
+
+// Keys any layer, target, integration point or gate can set to override execution defaults
+const SCHEDULING_OPTIONS = ['timeout', 'retries'];
+
+// Settings sections of the architecture_type checks, with the keys that hold lists of globs
+const ARCHITECTURE_CHECK_GLOBS = {
+  services: [],
+  api_routes: ['client', 'server', 'exclude'],
+  bundle: ['include', 'exclude'],
+  navigation: ['screens', 'navigators', 'sources', 'exclude']
+};
+
+// Limits and score weights of the code quality gate (see verification-lib/code-quality.js)
+const QUALITY_LIMITS = ['complexity', 'function_length', 'file_length', 'nesting'];
+const QUALITY_WEIGHTS = ['complexity', 'function_length', 'nesting', 'file_length', 'duplication', 'todos'];
+
+/**
+ * Load a project config file (YAML or JSON) and build the framework's projectConfig
+ * The preset of its architecture_type is merged in first (see architecture-presets.js)
+ * Throws when the document does not match the expected schema
+ */
+function loadProjectConfig(configPath, options = {}) {
+  const resolvedPath = path.resolve(options.rootDir || process.cwd(), configPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Verification config not found: ${resolvedPath}`);
+  }
+
+  const document = applyArchitecturePreset(parseConfigSource(fs.readFileSync(resolvedPath, 'utf8'), resolvedPath));
+  const errors = validateConfigDocument(document);
+  if (errors.length > 0) {
+    throw new Error(`Invalid verification config ${resolvedPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return buildProjectConfig(document, { ...options, configPath: resolvedPath });
+}
+
+/**
+ * Resolve an architecture preset name (e.g. "web-application") to its YAML file
+ */
+function resolvePresetPath(presetName, presetsDir = path.join(__dirname, '..', 'architecture-patterns')) {
+  const fileName = presetName.endsWith('.yaml') ? presetName : `${presetName}.yaml`;
+  const presetPath = path.join(presetsDir, fileName);
+  if (!fs.existsSync(presetPath)) {
+    const available = fs.existsSync(presetsDir)
+      ? fs.readdirSync(presetsDir).filter(f => f.endsWith('.yaml')).map(f => f.replace(/\.yaml$/, ''))
+      : [];
+    throw new Error(`Unknown architecture preset "${presetName}" (available: ${available.join(', ') || 'none'})`);
+  }
+  return presetPath;
+}
+
+/**
+ * Parse YAML or JSON text; js-yaml is only required for YAML files
+ */
+function parseConfigSource(text, filePath = '') {
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(text);
+  }
+
+  let yaml;
+  try {
+    yaml = require('js-yaml');
+  } catch (error) {
+    throw new Error('Loading YAML verification configs requires js-yaml (npm install --save-dev js-yaml)');
+  }
+  return yaml.load(text);
+}
+
+/**
+ * Validate the structure of a multi-instance config document
+ * Values that are still {{PLACEHOLDERS}} are not schema errors; findPlaceholders() reports them
+ *
+ * @returns {string[]} list of schema errors (empty when valid)
+ */
+function validateConfigDocument(document) {
+  const errors = [];
+
+  if (!isObject(document)) {
+    return ['config must be a YAML/JSON object'];
+  }
+
+  const project = document.project_config;
+  if (!isObject(project)) {
+    errors.push('project_config is required');
+  } else {
+    if (typeof project.name !== 'string' || project.name.trim() === '') {
+      errors.push('project_config.name must be a non-empty string');
+    }
+    if (project.architecture_type !== undefined && !hasPlaceholder(project.architecture_type) &&
+        !ARCHITECTURE_TYPES.includes(project.architecture_type)) {
+      errors.push(`project_config.architecture_type must be one of: ${ARCHITECTURE_TYPES.join(', ')}`);
+    }
+    if (project.monitoring_interval !== undefined && !Number.isInteger(project.monitoring_interval)) {
+      errors.push('project_config.monitoring_interval must be an integer (milliseconds)');
+    }
+    if (project.base_ref !== undefined && (typeof project.base_ref !== 'string' || project.base_ref.trim() === '')) {
+      errors.push('project_config.base_ref must be a git ref (e.g. origin/develop)');
+    }
+  }
+
+  if (document.instances !== undefined) {
+    if (!isObject(document.instances)) {
+      errors.push('instances must be a map of instance definitions');
+    } else {
+      for (const [id, instance] of Object.entries(document.instances)) {
+        if (!isObject(instance)) {
+          errors.push(`instances.${id} must be an object`);
+          continue;
+        }
+        if (typeof instance.role !== 'string') errors.push(`instances.${id}.role must be a string`);
+        if (!isStringArray(instance.file_patterns)) errors.push(`instances.${id}.file_patterns must be a list of globs`);
+        if (instance.verification_scripts !== undefined && !isStringArray(instance.verification_scripts)) {
+          errors.push(`instances.${id}.verification_scripts must be a list of names`);
+        }
+        for (const key of ['worktree', 'branch']) {
+          if (instance[key] !== undefined && typeof instance[key] !== 'string') errors.push(`instances.${id}.${key} must be a string`);
+        }
+      }
+    }
+  }
+
+  const layers = document.architectural_layers;
+  if (!isObject(layers)) {
+    errors.push('architectural_layers is required');
+  } else {
+    const layerNames = Object.values(layers).filter(isObject).map(layer => layer.name);
+
+    for (const [key, layer] of Object.entries(layers)) {
+      const where = `architectural_layers.${key}`;
+      if (!isObject(layer)) {
+        errors.push(`${where} must be an object`);
+        continue;
+      }
+      if (typeof layer.name !== 'string') errors.push(`${where}.name must be a string`);
+      if (layer.verification_script !== undefined && typeof layer.verification_script !== 'string') {
+        errors.push(`${where}.verification_script must be a string`);
+      }
+      if (layer.file_patterns !== undefined && !isStringArray(layer.file_patterns)) {
+        errors.push(`${where}.file_patterns must be a list of globs`);
+      }
+      validateSchedulingOptions(layer, where, errors);
+
+      if (!Array.isArray(layer.dependencies)) {
+        errors.push(`${where}.dependencies must be a list (use [] for none)`);
+      } else {
+        for (const dependency of layer.dependencies) {
+          if (!hasPlaceholder(dependency) && !layerNames.includes(dependency)) {
+            errors.push(`${where}.dependencies references unknown layer "${dependency}"`);
+          }
+        }
+      }
+
+      if (layer.performance_targets !== undefined) {
+        if (!Array.isArray(layer.performance_targets)) {
+          errors.push(`${where}.performance_targets must be a list`);
+        } else {
+          layer.performance_targets.forEach((entry, index) => {
+            validateTargetEntry(entry, `${where}.performance_targets[${index}]`, 'target', errors);
+          });
+        }
+      }
+    }
+
+    // Layer checks run after the layers they depend on, so declared dependencies must not loop
+    const cycle = findDependencyCycle(Object.values(layers).filter(layer => isObject(layer) && Array.isArray(layer.dependencies)));
+    if (cycle) {
+      errors.push(`architectural_layers dependencies form a cycle: ${cycle.join(' → ')}`);
+    }
+  }
+
+  if (document.integration_points !== undefined) {
+    if (!Array.isArray(document.integration_points)) {
+      errors.push('integration_points must be a list');
+    } else {
+      document.integration_points.forEach((point, index) => {
+        if (!isObject(point) || typeof point.type !== 'string') {
+          errors.push(`integration_points[${index}].type must be a string`);
+        } else {
+          validateSchedulingOptions(point, `integration_points[${index}]`, errors);
+        }
+      });
+    }
+  }
+
+  const gates = document.verification_requirements && document.verification_requirements.quality_gates;
+  if (gates !== undefined) {
+    if (!Array.isArray(gates)) {
+      errors.push('verification_requirements.quality_gates must be a list');
+    } else {
+      gates.forEach((entry, index) => {
+        validateTargetEntry(entry, `verification_requirements.quality_gates[${index}]`, 'threshold', errors);
+      });
+    }
+  }
+
+  const execution = document.execution;
+  if (execution !== undefined) {
+    if (!isObject(execution)) {
+      errors.push('execution must be an object');
+    } else {
+      if (execution.concurrency !== undefined && !(Number.isInteger(execution.concurrency) && execution.concurrency > 0)) {
+        errors.push('execution.concurrency must be a positive integer');
+      }
+      for (const key of ['check_timeout', 'retry_delay']) {
+        if (execution[key] !== undefined && toMilliseconds(execution[key]) === null) {
+          errors.push(`execution.${key} "${execution[key]}" is not a duration (expected e.g. "90s", "500ms")`);
+        }
+      }
+      if (execution.retries !== undefined && !(isObject(execution.retries) &&
+          Object.values(execution.retries).every(value => Number.isInteger(value) && value >= 0))) {
+        errors.push('execution.retries must map phases to a number of retries (e.g. benchmarks: 2)');
+      }
+    }
+  }
+
+  const memoryBank = document.memory_bank;
+  if (memoryBank !== undefined) {
+    if (!isObject(memoryBank)) {
+      errors.push('memory_bank must be an object');
+    } else {
+      for (const key of ['dir', 'feature_template']) {
+        if (memoryBank[key] !== undefined && typeof memoryBank[key] !== 'string') errors.push(`memory_bank.${key} must be a path`);
+      }
+      for (const key of ['required', 'must_update', 'ignore']) {
+        if (memoryBank[key] !== undefined && !isStringArray(memoryBank[key])) errors.push(`memory_bank.${key} must be a list of paths`);
+      }
+    }
+  }
+
+  const planning = document.planning;
+  if (planning !== undefined) {
+    if (!isObject(planning)) {
+      errors.push('planning must be an object');
+    } else {
+      if (planning.dir !== undefined && typeof planning.dir !== 'string') errors.push('planning.dir must be a path');
+      for (const key of ['complex_threshold', 'min_files', 'min_layers']) {
+        if (planning[key] !== undefined && !(Number.isInteger(planning[key]) && planning[key] > 0)) {
+          errors.push(`planning.${key} must be a positive integer`);
+        }
+      }
+      for (const key of ['schema_patterns', 'contract_patterns', 'ignore']) {
+        if (planning[key] !== undefined && !isStringArray(planning[key])) errors.push(`planning.${key} must be a list of globs`);
+      }
+      if (planning.required_sections !== undefined && !isStringArray(planning.required_sections)) {
+        errors.push('planning.required_sections must be a list of section headings');
+      }
+    }
+  }
+
+  const security = document.security;
+  if (security !== undefined) {
+    if (!isObject(security)) {
+      errors.push('security must be an object');
+    } else {
+      for (const key of ['advisories', 'lockfile']) {
+        if (security[key] !== undefined && typeof security[key] !== 'string') errors.push(`security.${key} must be a path`);
+      }
+      if (security.weights !== undefined && !(isObject(security.weights) && Object.entries(security.weights).every(([severity, weight]) =>
+        ['critical', 'high', 'medium', 'low'].includes(severity) && typeof weight === 'number' && weight >= 0))) {
+        errors.push('security.weights must map critical, high, medium and low to a non-negative number');
+      }
+      if (security.entropy !== undefined && !(isObject(security.entropy) &&
+          Object.values(security.entropy).every(value => typeof value === 'number' && value > 0))) {
+        errors.push('security.entropy must set min_length and threshold to positive numbers');
+      }
+      for (const key of ['ignore', 'disabled_rules']) {
+        if (security[key] !== undefined && !isStringArray(security[key])) errors.push(`security.${key} must be a list`);
+      }
+    }
+  }
+
+  const codeQuality = document.code_quality;
+  if (codeQuality !== undefined) {
+    if (!isObject(codeQuality)) {
+      errors.push('code_quality must be an object');
+    } else {
+      for (const key of ['include', 'exclude']) {
+        if (codeQuality[key] !== undefined && !isStringArray(codeQuality[key])) errors.push(`code_quality.${key} must be a list of globs`);
+      }
+      validateQualityLimits(codeQuality.thresholds, 'code_quality.thresholds', errors);
+      const layerNames = isObject(layers) ? Object.values(layers).filter(isObject).map(layer => layer.name) : [];
+      for (const group of ['layers', 'paths']) {
+        if (codeQuality[group] === undefined) continue;
+        if (!isObject(codeQuality[group])) {
+          errors.push(`code_quality.${group} must map ${group === 'layers' ? 'layer names' : 'globs'} to thresholds`);
+          continue;
+        }
+        for (const [name, limits] of Object.entries(codeQuality[group])) {
+          if (group === 'layers' && !layerNames.includes(name)) errors.push(`code_quality.layers references unknown layer "${name}"`);
+          validateQualityLimits(limits, `code_quality.${group}.${name}`, errors);
+        }
+      }
+      if (codeQuality.duplication !== undefined && !(isObject(codeQuality.duplication) &&
+          (codeQuality.duplication.min_lines === undefined || (Number.isInteger(codeQuality.duplication.min_lines) && codeQuality.duplication.min_lines > 1)))) {
+        errors.push('code_quality.duplication.min_lines must be an integer above 1');
+      }
+      if (codeQuality.weights !== undefined && !(isObject(codeQuality.weights) && Object.entries(codeQuality.weights).every(([metric, weight]) =>
+        QUALITY_WEIGHTS.includes(metric) && typeof weight === 'number' && weight >= 0))) {
+        errors.push(`code_quality.weights must map ${QUALITY_WEIGHTS.join(', ')} to a non-negative number`);
+      }
+    }
+  }
+
+  if (document.architecture_checks !== undefined) {
+    validateArchitectureChecks(document.architecture_checks, errors);
+  }
+
+  if (document.waivers !== undefined && typeof document.waivers !== 'string') {
+    errors.push('waivers must be the path of a waivers file');
+  }
+
+  const reporting = document.reporting;
+  if (reporting !== undefined) {
+    if (!isObject(reporting)) {
+      errors.push('reporting must be an object');
+    } else if (reporting.formats !== undefined) {
+      if (!isStringArray(reporting.formats)) {
+        errors.push('reporting.formats must be a list of format names or reporter module paths');
+      } else {
+        reporting.formats.map(validateFormat).filter(Boolean).forEach(problem => errors.push(`reporting.formats: ${problem}`));
+      }
+    }
+  }
+
+  const events = document.events;
+  if (events !== undefined) {
+    if (!isObject(events)) {
+      errors.push('events must be an object');
+    } else {
+      if (events.ndjson !== undefined && typeof events.ndjson !== 'string') {
+        errors.push('events.ndjson must be a file path or "-" for stdout');
+      }
+      if (events.webhooks !== undefined && !Array.isArray(events.webhooks)) {
+        errors.push('events.webhooks must be a list');
+      }
+      (Array.isArray(events.webhooks) ? events.webhooks : []).forEach((webhook, index) => {
+        validateWebhook(webhook, `events.webhooks[${index}]`, errors);
+      });
+    }
+  }
+
+  const ownership = document.file_ownership;
+  if (ownership !== undefined) {
+    if (!isObject(ownership)) {
+      errors.push('file_ownership must be an object');
+    } else if (ownership.shared !== undefined && !isStringArray(ownership.shared)) {
+      errors.push('file_ownership.shared must be a list of globs');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * First cycle in the layers' declared dependencies, as a list of layer names, or null
+ */
+function findDependencyCycle(layers) {
+  const dependencies = new Map(layers.map(layer => [layer.name, layer.dependencies.filter(name => !hasPlaceholder(name))]));
+  const visiting = [];
+  const done = new Set();
+
+  const visit = (name) => {
+    if (done.has(name) || !dependencies.has(name)) return null;
+    const index = visiting.indexOf(name);
+    if (index !== -1) return [...visiting.slice(index), name];
+
+    visiting.push(name);
+    for (const dependency of dependencies.get(name)) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    visiting.pop();
+    done.add(name);
+    return null;
+  };
+
+  for (const name of dependencies.keys()) {
+    const cycle = visit(name);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+function validateQualityLimits(limits, where, errors) {
+  if (limits === undefined) return;
+  if (!isObject(limits)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(limits)) {
+    if (!QUALITY_LIMITS.includes(key)) errors.push(`${where}.${key} is not a code quality limit (${QUALITY_LIMITS.join(', ')})`);
+    else if (!(Number.isInteger(value) && value > 0)) errors.push(`${where}.${key} must be a positive integer`);
+  }
+}
+
+function validateArchitectureChecks(section, errors) {
+  if (!isObject(section)) {
+    errors.push('architecture_checks must be an object');
+    return;
+  }
+  if (section.enabled !== undefined && typeof section.enabled !== 'boolean') {
+    errors.push('architecture_checks.enabled must be true or false');
+  }
+
+  for (const [name, settings] of Object.entries(section)) {
+    const where = `architecture_checks.${name}`;
+    if (name === 'enabled') continue;
+    if (!ARCHITECTURE_CHECK_GLOBS[name]) {
+      errors.push(`${where} is not a check section (${Object.keys(ARCHITECTURE_CHECK_GLOBS).join(', ')})`);
+      continue;
+    }
+    if (!isObject(settings)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    for (const key of ARCHITECTURE_CHECK_GLOBS[name]) {
+      if (settings[key] !== undefined && !isStringArray(settings[key])) errors.push(`${where}.${key} must be a list of globs`);
+    }
+    for (const key of ['dir', 'health_path', 'contracts_dir', 'openapi', 'base_path', 'manifest']) {
+      if (settings[key] !== undefined && typeof settings[key] !== 'string') errors.push(`${where}.${key} must be a string`);
+    }
+  }
+
+  const services = isObject(section.services) ? section.services : {};
+  if (services.timeout !== undefined && toMilliseconds(services.timeout) === null) {
+    errors.push(`architecture_checks.services.timeout "${services.timeout}" is not a duration (expected e.g. "2s", "500ms")`);
+  }
+  if (services.endpoints !== undefined && !(isObject(services.endpoints) &&
+      Object.values(services.endpoints).every(url => typeof url === 'string' && /^https?:\/\//.test(url)))) {
+    errors.push('architecture_checks.services.endpoints must map service names to http(s) URLs');
+  }
+
+  const bundle = isObject(section.bundle) ? section.bundle : {};
+  if (bundle.gzip !== undefined && typeof bundle.gzip !== 'boolean') {
+    errors.push('architecture_checks.bundle.gzip must be true or false');
+  }
+  if (bundle.budgets !== undefined && !(isObject(bundle.budgets) && Object.values(bundle.budgets).every(target => {
+    const spec = parseTarget(target);
+    return spec && spec.dimension === 'size' && spec.comparator !== 'range';
+  }))) {
+    errors.push('architecture_checks.bundle.budgets must map globs to size targets (e.g. "<150KB")');
+  }
+}
+
+function validateWebhook(webhook, where, errors) {
+  if (!isObject(webhook) || typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url)) {
+    errors.push(`${where}.url must be an http(s) URL`);
+    return;
+  }
+  if (webhook.secret_env !== undefined && typeof webhook.secret_env !== 'string') {
+    errors.push(`${where}.secret_env must name an environment variable`);
+  }
+  if (webhook.events !== undefined && !(isStringArray(webhook.events) && webhook.events.every(event => EVENTS.includes(event)))) {
+    errors.push(`${where}.events must be a list of ${EVENTS.join(', ')}`);
+  }
+  for (const key of ['timeout', 'retry_delay']) {
+    if (webhook[key] !== undefined && toMilliseconds(webhook[key]) === null) {
+      errors.push(`${where}.${key} "${webhook[key]}" is not a duration (expected e.g. "5s", "500ms")`);
+    }
+  }
+  if (webhook.retries !== undefined && !(Number.isInteger(webhook.retries) && webhook.retries >= 0)) {
+    errors.push(`${where}.retries must be a non-negative integer`);
+  }
+  if (webhook.headers !== undefined && !(isObject(webhook.headers) && Object.values(webhook.headers).every(value => typeof value === 'string'))) {
+    errors.push(`${where}.headers must map header names to strings`);
+  }
+}
+
+function validateSchedulingOptions(entry, where, errors) {
+  if (entry.timeout !== undefined && !hasPlaceholder(entry.timeout) && toMilliseconds(entry.timeout) === null) {
+    errors.push(`${where}.timeout "${entry.timeout}" is not a duration (expected e.g. "90s", "500ms")`);
+  }
+  if (entry.retries !== undefined && !(Number.isInteger(entry.retries) && entry.retries >= 0)) {
+    errors.push(`${where}.retries must be a non-negative integer`);
+  }
+}
+
+function validateTargetEntry(entry, where, field, errors) {
+  if (!isObject(entry) || typeof entry.metric !== 'string') {
+    errors.push(`${where}.metric must be a string`);
+    return;
+  }
+  const value = entry[field];
+  if (value === undefined) {
+    errors.push(`${where}.${field} is required`);
+  } else if (!hasPlaceholder(value) && parseTarget(value) === null) {
+    errors.push(`${where}.${field} "${value}" is not a valid target (expected e.g. "<100ms", ">80%", "60-80%")`);
+  }
+  validateSchedulingOptions(entry, where, errors);
+}
+
+/**
+ * Find every unreplaced {{VARIABLE}} in a parsed config document
+ *
+ * @returns {Array<{path: string, variable: string}>}
+ */
+function findPlaceholders(node, currentPath = '') {
+  if (typeof node === 'string') {
+    return Array.from(node.matchAll(PLACEHOLDER_PATTERN), match => ({ path: currentPath, variable: match[1] }));
+  }
+  if (Array.isArray(node)) {
+    return node.flatMap((item, index) => findPlaceholders(item, `${currentPath}[${index}]`));
+  }
+  if (isObject(node)) {
+    return Object.entries(node).flatMap(([key, value]) =>
+      findPlaceholders(value, currentPath ? `${currentPath}.${key}` : key));
+  }
+  return [];
+}
+
+/**
+ * Map a validated config document onto the projectConfig shape used by GenericVerificationFramework
+ * Entries that still hold placeholders are left out; they are listed in configDiagnostics instead
+ * Any entry can name its check explicitly with `check_method`; otherwise one is inferred
+ * Every entry keeps its YAML keys, camelized, in `options`, where custom checks read their declared inputs
+ */
+function buildProjectConfig(document, options = {}) {
+  const project = document.project_config;
+  const instances = document.instances || {};
+  const instanceId = options.instance || process.env.INSTANCE_NAME;
+  const warnings = [];
+
+  const layers = [];
+  const benchmarks = [];
+  for (const layer of Object.values(document.architectural_layers)) {
+    if (hasPlaceholder(layer.name)) continue;
+
+    layers.push({
+      ...schedulingOptions(layer),
+      name: layer.name,
+      description: layer.description,
+      dependencies: layer.dependencies.filter(dependency => !hasPlaceholder(dependency)),
+      filePatterns: (layer.file_patterns || []).filter(pattern => !hasPlaceholder(pattern)),
+      verificationScript: layer.verification_script,
+      verificationMethod: layer.check_method || 'checkLayerDependencies',
+      options: entryOptions(layer, ['performance_targets'])
+    });
+
+    for (const entry of layer.performance_targets || []) {
+      if (hasPlaceholder(entry.metric) || hasPlaceholder(entry.target)) continue;
+
+      const targetSpec = parseTarget(entry.target);
+      const verificationMethod = entry.check_method || inferBenchmarkMethod(entry.metric, targetSpec);
+      if (!verificationMethod) {
+        warnings.push(`No benchmark check for ${layer.name}.${entry.metric} (${entry.target}): only request latency, ` +
+          'throughput and CPU/memory targets are measured by default; set check_method to enable it');
+        continue;
+      }
+      benchmarks.push({
+        ...camelizeKeys(pick(entry, HARNESS_OVERRIDES)),
+        ...schedulingOptions(entry),
+        name: entry.metric,
+        layer: layer.name,
+        target: targetSpec.value,
+        targetSpec,
+        verificationMethod,
+        options: entryOptions(entry)
+      });
+    }
+  }
+
+  const contracts = [];
+  const dataFlows = [];
+  for (const point of document.integration_points || []) {
+    if (hasPlaceholder(point.type)) continue;
+
+    const mapping = point.check_method
+      ? { phase: point.phase || 'contracts', verificationMethod: point.check_method }
+      : INTEGRATION_CHECKS[point.type];
+    if (!mapping) {
+      warnings.push(`No check for integration point ${point.type}; set check_method to enable it`);
+      continue;
+    }
+
+    const entry = {
+      ...camelizeKeys(pick(point, CONTRACT_OPTIONS)),
+      ...traceOptions(point),
+      ...schedulingOptions(point),
+      description: point.description,
+      affectedInstances: point.affected_instances || [],
+      verificationScript: point.verification_method,
+      verificationMethod: mapping.verificationMethod,
+      options: entryOptions(point)
+    };
+    if (mapping.phase === 'dataFlows') {
+      dataFlows.push({ name: point.type.toLowerCase(), ...entry });
+    } else {
+      contracts.push({ type: point.type.toLowerCase(), ...entry });
+    }
+  }
+
+  const qualityGates = [];
+  const requirements = document.verification_requirements || {};
+  for (const entry of requirements.quality_gates || []) {
+    if (hasPlaceholder(entry.metric) || hasPlaceholder(entry.threshold)) continue;
+
+    const thresholdSpec = parseTarget(entry.threshold);
+    const verificationMethod = entry.check_method || inferQualityGateMethod(entry.metric);
+    if (!verificationMethod) {
+      warnings.push(`No quality gate check for ${entry.metric}; set check_method to enable it`);
+      continue;
+    }
+    qualityGates.push({
+      ...pick(entry, GATE_OPTIONS),
+      ...schedulingOptions(entry),
+      name: entry.metric,
+      threshold: thresholdSpec.value,
+      thresholdSpec,
+      verificationMethod,
+      options: entryOptions(entry)
+    });
+  }
+
+  const structure = document.project_structure || {};
+  const verificationDir = hasPlaceholder(structure.verification_dir) ? undefined : structure.verification_dir;
+
+  const instanceConfig = instanceId ? instances[instanceId] : undefined;
+  if (instanceId && Object.keys(instances).length > 0 && !instanceConfig) {
+    warnings.push(`Instance "${instanceId}" is not defined in instances (known: ${Object.keys(instances).join(', ')})`);
+  }
+
+  return {
+    name: project.name,
+    instance: instanceId || 'Generic Instance',
+    architectureType: project.architecture_type,
+    coordinationMode: project.coordination_mode,
+    monitoringInterval: project.monitoring_interval,
+    baseRef: hasPlaceholder(project.base_ref) ? undefined : project.base_ref,
+    configPath: options.configPath,
+    rootDir: options.rootDir || process.cwd(),
+    reportsDir: options.reportsDir || (document.reporting && document.reporting.output_dir) || 'docs/verification-reports',
+    reporters: (options.reporters || (document.reporting && document.reporting.formats) || []).filter(format => format !== 'json'),
+    failOn: options.failOn || (document.reporting && document.reporting.fail_on),
+    checksDir: options.checksDir || (verificationDir ? path.join(verificationDir, 'checks') : undefined),
+
+    instances: mapInstances(instances),
+    filePatterns: instanceConfig ? instanceConfig.file_patterns : [],
+    verificationScripts: instanceConfig ? instanceConfig.verification_scripts || [] : [],
+
+    performanceHarness: document.performance_harness ? camelizeKeys(document.performance_harness) : undefined,
+    coverage: document.coverage,
+    contractVerification: document.contract_verification ? camelizeKeys(document.contract_verification) : undefined,
+    importGraph: document.import_graph,
+    baseline: buildBaselineConfig(document.baseline, options.baseline),
+    execution: buildExecutionConfig(document.execution),
+    fileOwnership: document.file_ownership ? camelizeKeys(document.file_ownership) : undefined,
+    memoryBank: document.memory_bank ? camelizeKeys(document.memory_bank) : undefined,
+    planning: document.planning ? camelizeKeys(document.planning) : undefined,
+    security: document.security ? camelizeKeys(document.security) : undefined,
+    codeQuality: document.code_quality ? buildCodeQualityConfig(document.code_quality) : undefined,
+    waivers: document.waivers,
+    events: buildEventsConfig(document.events, options.events),
+    architectureChecks: document.architecture_checks ? buildArchitectureChecksConfig(document.architecture_checks) : undefined,
+
+    layers,
+    contracts,
+    dataFlows,
+    benchmarks,
+    qualityGates,
+
+    configDiagnostics: {
+      placeholders: findPlaceholders(document),
+      warnings
+    }
+  };
+}
+
+function mapInstances(instances) {
+  const mapped = {};
+  for (const [id, instance] of Object.entries(instances)) {
+    mapped[id] = {
+      role: instance.role,
+      specializations: instance.specializations || [],
+      filePatterns: instance.file_patterns || [],
+      verificationScripts: instance.verification_scripts || [],
+      worktree: instance.worktree,
+      branch: instance.branch
+    };
+  }
+  return mapped;
+}
+
+/**
+ * Baseline settings; regression_thresholds keys are check names and keep their spelling
+ */
+function buildBaselineConfig(section, override) {
+  if (!section && !override) return undefined;
+  const baseline = section || {};
+  return {
+    report: baseline.report,
+    maxRegressionPercent: baseline.max_regression_percent,
+    regressionThresholds: baseline.regression_thresholds || {},
+    ...override
+  };
+}
+
+/**
+ * Scheduler settings with durations in ms; retries are keyed by phase (benchmarks, quality_gates, ...)
+ */
+function buildExecutionConfig(section = {}) {
+  return {
+    concurrency: section.concurrency,
+    checkTimeout: section.check_timeout !== undefined ? toMilliseconds(section.check_timeout) : undefined,
+    retryDelay: section.retry_delay !== undefined ? toMilliseconds(section.retry_delay) : undefined,
+    retries: camelizeKeys(section.retries || {})
+  };
+}
+
+/**
+ * code_quality with camelized settings; layer names and path globs are kept as written
+ */
+function buildCodeQualityConfig(section) {
+  const { layers, paths, ...settings } = section;
+  const camelizeValues = (group = {}) => Object.fromEntries(Object.entries(group).map(([key, limits]) => [key, camelizeKeys(limits)]));
+  return { ...camelizeKeys(settings), layers: camelizeValues(layers), paths: camelizeValues(paths) };
+}
+
+/**
+ * architecture_checks with camelized settings and the services timeout in ms; service names
+ * (services.endpoints) and budget globs (bundle.budgets) are kept as written
+ */
+function buildArchitectureChecksConfig(section) {
+  const { enabled, ...sections } = section;
+  const config = { enabled };
+  for (const [name, { endpoints, budgets, ...settings }] of Object.entries(sections)) {
+    config[name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())] = {
+      ...camelizeKeys(settings),
+      ...(endpoints && { endpoints }),
+      ...(budgets && { budgets }),
+      ...(settings.timeout !== undefined && { timeout: toMilliseconds(settings.timeout) })
+    };
+  }
+  return config;
+}
+
+/**
+ * Event sinks with webhook durations in ms; header names are kept as written
+ * The --events option replaces the configured NDJSON target
+ */
+function buildEventsConfig(section = {}, ndjsonOverride) {
+  if (!section.ndjson && !section.webhooks && !ndjsonOverride) return undefined;
+  return {
+    ndjson: ndjsonOverride || section.ndjson,
+    webhooks: (section.webhooks || []).map(({ headers, timeout, retry_delay: retryDelay, ...webhook }) => ({
+      ...camelizeKeys(webhook),
+      headers,
+      timeout: timeout !== undefined ? toMilliseconds(timeout) : undefined,
+      retryDelay: retryDelay !== undefined ? toMilliseconds(retryDelay) : undefined
+    }))
+  };
+}
+
+/**
+ * Per-entry timeout (in ms) and retries, when set
+ */
+function schedulingOptions(entry) {
+  const options = pick(entry, SCHEDULING_OPTIONS);
+  if (options.timeout !== undefined) {
+    options.timeout = hasPlaceholder(options.timeout) ? undefined : toMilliseconds(options.timeout);
+  }
+  return options;
+}
+
+/**
+ * Trace module path and polling settings (durations in ms) of a data flow
+ */
+function traceOptions(point) {
+  const options = camelizeKeys(pick(point, TRACE_OPTIONS));
+  for (const key of ['hopTimeout', 'pollInterval']) {
+    if (options[key] !== undefined) options[key] = toMilliseconds(options[key]);
+  }
+  return options;
+}
+
+/**
+ * "90s", "2min", "500ms" → milliseconds; bare numbers are milliseconds already
+ */
+function toMilliseconds(value) {
+  const spec = parseTarget(value);
+  if (!spec || spec.comparator === 'range' || (spec.dimension !== 'time' && spec.dimension !== 'scalar')) return null;
+  return spec.value;
+}
+
+/**
+ * Harness check for a performance target, inferred only from names that clearly mean request latency,
+ * request throughput or process resources; page load, render, startup or deployment times and frame
+ * rates are not what the harness measures, so they need an explicit check_method
+ */
+function inferBenchmarkMethod(metric, targetSpec) {
+  if (/^(?:(?:cpu|memory|resource)_(?:usage|utilization)|peak_(?:cpu|memory|rss))$/i.test(metric)) return 'checkResourceUsage';
+  if (/^(?:(?:api|service|gateway|endpoint|http|request)_)?(?:response_time|latency)$/i.test(metric) && targetSpec.dimension === 'time') {
+    return 'checkResponseTime';
+  }
+  if (/^(?:(?:api|service|gateway|http|request)_)?throughput$|^requests?_per_(?:sec|second)$/i.test(metric) && targetSpec.dimension === 'rate') {
+    return 'checkThroughput';
+  }
+  return null;
+}
+
+function inferQualityGateMethod(metric) {
+  if (/coverage/i.test(metric)) return 'checkTestCoverage';
+  if (/security/i.test(metric)) return 'checkSecurityScore';
+  if (/quality/i.test(metric)) return 'checkCodeQuality';
+  return null;
+}
+
+/**
+ * A YAML entry's keys, camelized (bundle_dir → bundleDir), for the inputs custom checks declare
+ */
+function entryOptions(entry, omit = []) {
+  return camelizeKeys(Object.fromEntries(Object.entries(entry).filter(([key]) => !omit.includes(key))));
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+/**
+ * { ready_url: ..., server: { ready_timeout } } → { readyUrl: ..., server: { readyTimeout } }
+ */
+function camelizeKeys(value) {
+  if (Array.isArray(value)) return value.map(camelizeKeys);
+  if (!isObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, nested]) =>
+    [key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()), camelizeKeys(nested)]));
+}
+
+function hasPlaceholder(value) {
+  return typeof value === 'string' && /\{\{\s*[A-Za-z0-9_]+\s*\}\}/.test(value);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+module.exports = {
+  loadProjectConfig,
+  resolvePresetPath,
+  parseConfigSource,
+  validateConfigDocument,
+  findPlaceholders,
+  buildProjectConfig
+};
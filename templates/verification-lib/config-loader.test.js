@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfigDocument, buildProjectConfig, findPlaceholders } = require('./config-loader');
+
+function document(overrides = {}) {
+  return {
+    project_config: { name: 'Shop' },
+    architectural_layers: {
+      api: { name: 'api_layer', dependencies: [], file_patterns: ['src/api/**'] }
+    },
+    ...overrides
+  };
+}
+
+function withTargets(targets) {
+  return document({
+    architectural_layers: {
+      api: { name: 'api_layer', dependencies: [], performance_targets: targets }
+    }
+  });
+}
+
+test('validateConfigDocument reports schema errors with their path', () => {
+  assert.deepEqual(validateConfigDocument(document()), []);
+  const errors = validateConfigDocument({
+    project_config: { name: '', architecture_type: 'mainframe' },
+    architectural_layers: { api: { name: 'api_layer', dependencies: ['db_layer'] } }
+  });
+  assert.deepEqual(errors, [
+    'project_config.name must be a non-empty string',
+    'project_config.architecture_type must be one of: web_app, mobile_app, microservices, data_system, desktop_app',
+    'architectural_layers.api.dependencies references unknown layer "db_layer"'
+  ]);
+});
+
+test('validateConfigDocument rejects dependency cycles', () => {
+  const errors = validateConfigDocument(document({
+    architectural_layers: {
+      a: { name: 'a', dependencies: ['b'] },
+      b: { name: 'b', dependencies: ['a'] }
+    }
+  }));
+  assert.deepEqual(errors, ['architectural_layers dependencies form a cycle: a → b → a']);
+});
+
+test('request latency, throughput and resource targets get a harness check', () => {
+  const config = buildProjectConfig(withTargets([
+    { metric: 'api_response_time', target: '<200ms' },
+    { metric: 'latency', target: '<50ms' },
+    { metric: 'throughput', target: '>1000/sec' },
+    { metric: 'memory_usage', target: '<100MB' },
+    { metric: 'resource_utilization', target: '60-80%' }
+  ]));
+  assert.deepEqual(config.benchmarks.map(entry => [entry.name, entry.verificationMethod]), [
+    ['api_response_time', 'checkResponseTime'],
+    ['latency', 'checkResponseTime'],
+    ['throughput', 'checkThroughput'],
+    ['memory_usage', 'checkResourceUsage'],
+    ['resource_utilization', 'checkResourceUsage']
+  ]);
+  assert.deepEqual(config.configDiagnostics.warnings, []);
+});
+
+test('other time and rate targets need an explicit check_method', () => {
+  const config = buildProjectConfig(withTargets([
+    { metric: 'deployment_time', target: '<5min' },
+    { metric: 'page_load_time', target: '<3s' },
+    { metric: 'first_contentful_paint', target: '<1.5s' },
+    { metric: 'animation_frame_rate', target: '>58fps' },
+    { metric: 'message_throughput', target: '>10000/sec' },
+    { metric: 'page_load_time', target: '<3s', check_method: 'checkPageLoad' }
+  ]));
+  assert.deepEqual(config.benchmarks.map(entry => [entry.name, entry.verificationMethod]), [['page_load_time', 'checkPageLoad']]);
+  assert.equal(config.configDiagnostics.warnings.length, 5);
+  assert.match(config.configDiagnostics.warnings[0], /api_layer\.deployment_time \(<5min\).*set check_method/);
+});
+
+test('integration points map to contract and data flow checks', () => {
+  const config = buildProjectConfig(document({
+    integration_points: [
+      { type: 'API_CONTRACTS', openapi: 'openapi.yaml' },
+      { type: 'CACHE_INVALIDATION', trace: 'traces/cache.js', hop_timeout: '2s' },
+      { type: 'CARRIER_PIGEON' }
+    ]
+  }));
+  assert.deepEqual(config.contracts.map(entry => [entry.type, entry.verificationMethod, entry.openapi]),
+    [['api_contracts', 'checkApiContracts', 'openapi.yaml']]);
+  assert.deepEqual(config.dataFlows.map(entry => [entry.name, entry.verificationMethod, entry.hopTimeout]),
+    [['cache_invalidation', 'checkCacheDataFlow', 2000]]);
+  assert.match(config.configDiagnostics.warnings[0], /CARRIER_PIGEON/);
+});
+
+test('entries holding placeholders are left out and listed', () => {
+  const doc = withTargets([{ metric: '{{LAYER_METRIC}}', target: '<100ms' }]);
+  assert.deepEqual(buildProjectConfig(doc).benchmarks, []);
+  assert.deepEqual(findPlaceholders(doc), [{ path: 'architectural_layers.api.performance_targets[0].metric', variable: 'LAYER_METRIC' }]);
+});
+
+test('report formats are checked with the config', () => {
+  assert.deepEqual(validateConfigDocument(document({ reporting: { formats: ['junit', './reporters/slack.js', 'json'] } })), []);
+  assert.deepEqual(validateConfigDocument(document({ reporting: { formats: ['junit', 'pdf'] } })), [
+    'reporting.formats: Unknown report format "pdf" (available: junit, sarif, markdown, html or a reporter module path)'
+  ]);
+  assert.deepEqual(buildProjectConfig(document({ reporting: { formats: ['json', 'sarif'] } })).reporters, ['sarif']);
+});
+
+test('project_config.base_ref sets the base ref for changed files', () => {
+  const config = document({ project_config: { name: 'Shop', base_ref: 'origin/develop' } });
+  assert.deepEqual(validateConfigDocument(config), []);
+  assert.equal(buildProjectConfig(config).baseRef, 'origin/develop');
+  assert.deepEqual(validateConfigDocument(document({ project_config: { name: 'Shop', base_ref: '' } })), [
+    'project_config.base_ref must be a git ref (e.g. origin/develop)'
+  ]);
+});
@@ -0,0 +1,453 @@
+/**
+ * Contract Verification
+ * Checks recorded API fixtures (or a live local server) against an OpenAPI 3 document,
+ * detects breaking changes against a baseline document, and validates data/IPC samples
+ * against JSON Schema files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseConfigSource } = require('./config-loader');
+const { findFiles } = require('./glob');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const SPEC_ID = 'openapi.json';
+
+/**
+ * Create an Ajv instance; ajv is only required when contract checks run
+ */
+function createAjv() {
+  let Ajv;
+  try {
+    Ajv = require('ajv');
+  } catch (error) {
+    throw new Error('Contract verification requires ajv (npm install --save-dev ajv)');
+  }
+  const ajv = new (Ajv.default || Ajv)({ allErrors: true, strict: false });
+  try {
+    require('ajv-formats')(ajv);
+  } catch (error) {
+    // Formats ("date-time", "email", ...) are only checked when ajv-formats is installed
+  }
+  return ajv;
+}
+
+/**
+ * Load an OpenAPI document from a file, or from a git revision when `ref` is given
+ */
+function loadOpenApi(specPath, { rootDir, ref } = {}) {
+  const text = ref
+    ? execFileSync('git', ['show', `${ref}:${toGitPath(specPath)}`], { cwd: rootDir, encoding: 'utf8' })
+    : fs.readFileSync(path.resolve(rootDir || process.cwd(), specPath), 'utf8');
+  const spec = parseConfigSource(text, specPath);
+
+  if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+    throw new Error(`${specPath}${ref ? ` at ${ref}` : ''} is not an OpenAPI 3 document`);
+  }
+  return spec;
+}
+
+function toGitPath(specPath) {
+  return specPath.split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+/**
+ * Validator bound to one OpenAPI document
+ */
+class OpenApiValidator {
+  constructor(spec) {
+    this.spec = spec;
+    this.ajv = createAjv();
+    this.ajv.addSchema(rewriteRefs(spec), SPEC_ID);
+    this.routes = buildRoutes(spec);
+  }
+
+  /**
+   * Find the operation for a concrete request path, e.g. GET /items/42 → /items/{id}
+   * Path and method match together: DELETE /users/me falls through /users/me (GET only) to /users/{id}.
+   * Without an operation for the method, `route` is the most specific path that matched.
+   */
+  findOperation(method, requestPath) {
+    const pathname = requestPath.split('?')[0];
+    const matches = this.routes.filter(candidate => candidate.pattern.test(pathname));
+    if (matches.length === 0) return { route: null, operation: null };
+
+    const route = matches.find(candidate => candidate.item[method.toLowerCase()]);
+    return route
+      ? { route: route.template, operation: route.item[method.toLowerCase()] }
+      : { route: matches[0].template, operation: null };
+  }
+
+  /**
+   * Validate a recorded or live exchange
+   *
+   * @returns {Array<{kind: string, route: string, field?: string, description: string}>}
+   */
+  validateExchange({ method, path: requestPath, requestBody, status, responseBody }) {
+    const label = `${method.toUpperCase()} ${requestPath}`;
+    const { route, operation } = this.findOperation(method, requestPath);
+
+    if (!route) {
+      return [{ kind: 'missing_route', route: label, description: `${label} is not documented in the OpenAPI document` }];
+    }
+    if (!operation) {
+      return [{ kind: 'missing_route', route: label, description: `${method.toUpperCase()} is not documented for ${route}` }];
+    }
+
+    const operationLabel = `${method.toUpperCase()} ${route}`;
+    const pointer = `#/paths/${escapePointer(route)}/${method.toLowerCase()}`;
+    const problems = [];
+
+    if (requestBody !== undefined && jsonSchemaAt(operation.requestBody)) {
+      problems.push(...this.validateAt(`${pointer}/requestBody/content/application~1json/schema`, requestBody)
+        .map(error => ({ kind: 'field_mismatch', route: operationLabel, field: `request${error.field}`, description: `Request ${error.message}` })));
+    }
+
+    const statusKey = matchStatus(operation.responses || {}, status);
+    if (!statusKey) {
+      problems.push({
+        kind: 'status_drift',
+        route: operationLabel,
+        description: `${operationLabel} returned ${status}, which is not a documented response (${Object.keys(operation.responses || {}).join(', ')})`
+      });
+    } else if (responseBody !== undefined && jsonSchemaAt(operation.responses[statusKey])) {
+      problems.push(...this.validateAt(`${pointer}/responses/${escapePointer(statusKey)}/content/application~1json/schema`, responseBody)
+        .map(error => ({ kind: 'field_mismatch', route: operationLabel, field: `response${error.field}`, description: `Response ${error.message}` })));
+    }
+
+    return problems;
+  }
+
+  validateAt(pointer, data) {
+    const validate = this.ajv.compile({ $ref: `${SPEC_ID}${pointer}` });
+    if (validate(data)) return [];
+    return validate.errors.map(error => formatAjvError(error));
+  }
+}
+
+function buildRoutes(spec) {
+  return Object.entries(spec.paths || {})
+    .map(([template, item]) => ({
+      template,
+      item,
+      segments: template.split('/').map(segment => /\{[^}]+\}/.test(segment)),
+      pattern: new RegExp('^' + template.replace(/[.+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{[^}]+\\?\}/g, '[^/]+') + '/?$')
+    }))
+    // Literal segments win over parameters, left to right: /items/new before /items/{id}, /a/{x}/c before /{w}/b/c
+    .sort(compareSpecificity);
+}
+
+function compareSpecificity(a, b) {
+  for (let i = 0; i < Math.min(a.segments.length, b.segments.length); i++) {
+    if (a.segments[i] !== b.segments[i]) return a.segments[i] ? 1 : -1;
+  }
+  return a.segments.filter(Boolean).length - b.segments.filter(Boolean).length;
+}
+
+function matchStatus(responses, status) {
+  const code = String(status);
+  if (responses[code]) return code;
+  if (responses[`${code[0]}XX`]) return `${code[0]}XX`;
+  if (responses.default) return 'default';
+  return null;
+}
+
+function jsonSchemaAt(node) {
+  return node && node.content && node.content['application/json'] && node.content['application/json'].schema;
+}
+
+/**
+ * Point local "#/components/..." refs at the registered document so Ajv can resolve them
+ */
+function rewriteRefs(node) {
+  if (Array.isArray(node)) return node.map(rewriteRefs);
+  if (!node || typeof node !== 'object') return node;
+  return Object.fromEntries(Object.entries(node).map(([key, value]) =>
+    [key, key === '$ref' && typeof value === 'string' && value.startsWith('#') ? `${SPEC_ID}${value}` : rewriteRefs(value)]));
+}
+
+function escapePointer(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function formatAjvError(error) {
+  const field = error.instancePath || '';
+  if (error.keyword === 'required') {
+    return { field: `${field}/${error.params.missingProperty}`, message: `field ${field}/${error.params.missingProperty} is required but missing` };
+  }
+  if (error.keyword === 'additionalProperties') {
+    return { field: `${field}/${error.params.additionalProperty}`, message: `field ${field}/${error.params.additionalProperty} is not allowed` };
+  }
+  return { field: field || '/', message: `field ${field || '/'} ${error.message}` };
+}
+
+/**
+ * Load recorded exchanges: each JSON file holds one fixture or an array of
+ * { name?, request: { method, path, body? }, response: { status, body? } }
+ */
+function loadFixtures(rootDir, patterns) {
+  const fixtures = [];
+  for (const file of findFiles(rootDir, patterns)) {
+    const content = JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf8'));
+    for (const fixture of Array.isArray(content) ? content : [content]) {
+      if (!fixture.request || !fixture.response) {
+        throw new Error(`${file}: fixtures need "request" and "response" objects`);
+      }
+      fixtures.push({ ...fixture, file });
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Replay a fixture's request against a live server
+ */
+async function replayFixture(baseUrl, fixture) {
+  const { method = 'GET', path: requestPath, body, headers = {} } = fixture.request;
+  const response = await fetch(new URL(requestPath, baseUrl), {
+    method,
+    headers: body !== undefined ? { 'content-type': 'application/json', ...headers } : headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const text = await response.text();
+  let responseBody;
+  try {
+    responseBody = text ? JSON.parse(text) : undefined;
+  } catch (error) {
+    responseBody = text;
+  }
+  return { status: response.status, body: responseBody };
+}
+
+/**
+ * Problems of an API contract: recorded fixtures (replayed against `baseUrl` when given) that do not
+ * match the OpenAPI document, responses whose status drifted from the recording, and breaking changes
+ * against the baseline document
+ *
+ * @param {object} settings - contract_verification settings: { openapi, fixtures, openapiBaseline, openapiBaselineRef }
+ * @param {object} options - { rootDir, baseUrl }
+ * @returns {Promise<{fixtures: number, baselineChecked: boolean, problems: object[]}>}
+ */
+async function checkOpenApiContract(settings, { rootDir, baseUrl }) {
+  const validator = new OpenApiValidator(loadOpenApi(settings.openapi, { rootDir }));
+  const fixtures = loadFixtures(rootDir, settings.fixtures || []);
+  const problems = [];
+
+  if (settings.fixtures && fixtures.length === 0) {
+    problems.push({ kind: 'missing_fixtures', description: `No fixtures match ${settings.fixtures.join(', ')}` });
+  }
+
+  for (const fixture of fixtures) {
+    const { request, response } = fixture;
+    const method = request.method || 'GET';
+    let actual = response;
+
+    if (baseUrl) {
+      actual = await replayFixture(baseUrl, fixture);
+      if (response.status !== undefined && actual.status !== response.status) {
+        problems.push({
+          kind: 'status_drift',
+          file: fixture.file,
+          route: `${method.toUpperCase()} ${request.path}`,
+          description: `${method.toUpperCase()} ${request.path} returned ${actual.status}, fixture recorded ${response.status}`
+        });
+      }
+    }
+
+    problems.push(...validator.validateExchange({
+      method,
+      path: request.path,
+      requestBody: request.body,
+      status: actual.status,
+      responseBody: actual.body
+    }).map(problem => ({ ...problem, file: fixture.file })));
+  }
+
+  const baselineChecked = Boolean(settings.openapiBaseline || settings.openapiBaselineRef);
+  if (baselineChecked) {
+    const baseline = loadOpenApi(settings.openapiBaseline || settings.openapi, { rootDir, ref: settings.openapiBaselineRef });
+    problems.push(...findBreakingChanges(baseline, validator.spec));
+  }
+
+  return { fixtures: fixtures.length, baselineChecked, problems };
+}
+
+/**
+ * Breaking changes from a baseline document to the current one
+ *
+ * @returns {Array<{kind: 'breaking_change', route: string, field?: string, description: string}>}
+ */
+function findBreakingChanges(baselineSpec, currentSpec) {
+  const changes = [];
+  const baseline = dereference(baselineSpec);
+  const current = dereference(currentSpec);
+  const add = (route, description, field) => changes.push({ kind: 'breaking_change', route, field, description });
+
+  for (const [template, baselineItem] of Object.entries(baseline.paths || {})) {
+    const currentItem = (current.paths || {})[template];
+
+    for (const method of HTTP_METHODS.filter(m => baselineItem[m])) {
+      const route = `${method.toUpperCase()} ${template}`;
+      const before = baselineItem[method];
+      const after = currentItem && currentItem[method];
+      if (!after) {
+        add(route, `${route} was removed`);
+        continue;
+      }
+
+      const baselineParams = new Set((before.parameters || []).map(p => `${p.in}:${p.name}`));
+      for (const parameter of after.parameters || []) {
+        if (parameter.required && !baselineParams.has(`${parameter.in}:${parameter.name}`)) {
+          add(route, `New required ${parameter.in} parameter "${parameter.name}"`, parameter.name);
+        }
+      }
+
+      compareSchemas(jsonSchemaAt(before.requestBody), jsonSchemaAt(after.requestBody), 'request', '', (field, description) =>
+        add(route, description, field));
+
+      for (const [status, response] of Object.entries(before.responses || {})) {
+        const currentResponse = (after.responses || {})[status];
+        if (!currentResponse) {
+          add(route, `Response ${status} was removed`);
+          continue;
+        }
+        compareSchemas(jsonSchemaAt(response), jsonSchemaAt(currentResponse), 'response', '', (field, description) =>
+          add(route, `${status} ${description}`, field));
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two schemas; requests break when they demand more, responses when they promise less
+ */
+function compareSchemas(before, after, direction, field, report, depth = 0) {
+  if (!before || !after || depth > 10) return;
+
+  const beforeType = schemaType(before);
+  const afterType = schemaType(after);
+  if (beforeType && afterType && beforeType !== afterType) {
+    report(field || '/', `${direction} field ${field || '/'} changed type from ${beforeType} to ${afterType}`);
+    return;
+  }
+
+  if (Array.isArray(before.enum) && Array.isArray(after.enum)) {
+    const removed = before.enum.filter(value => !after.enum.includes(value));
+    const added = after.enum.filter(value => !before.enum.includes(value));
+    if (direction === 'response' ? added.length > 0 : removed.length > 0) {
+      const values = direction === 'response' ? added : removed;
+      report(field || '/', `${direction} field ${field || '/'} enum ${direction === 'response' ? 'gained' : 'lost'} ${values.join(', ')}`);
+    }
+  }
+
+  const beforeProps = before.properties || {};
+  const afterProps = after.properties || {};
+  const beforeRequired = new Set(before.required || []);
+  const afterRequired = new Set(after.required || []);
+
+  if (direction === 'response') {
+    for (const name of Object.keys(beforeProps)) {
+      if (!afterProps[name]) {
+        report(`${field}/${name}`, `response field ${field}/${name} was removed`);
+      } else if (beforeRequired.has(name) && !afterRequired.has(name)) {
+        report(`${field}/${name}`, `response field ${field}/${name} is no longer required`);
+      }
+    }
+  } else {
+    for (const name of afterRequired) {
+      if (!beforeRequired.has(name)) {
+        report(`${field}/${name}`, `request field ${field}/${name} is now required`);
+      }
+    }
+  }
+
+  for (const name of Object.keys(beforeProps)) {
+    if (afterProps[name]) {
+      compareSchemas(beforeProps[name], afterProps[name], direction, `${field}/${name}`, report, depth + 1);
+    }
+  }
+  if (before.items && after.items) {
+    compareSchemas(before.items, after.items, direction, `${field}[]`, report, depth + 1);
+  }
+}
+
+function schemaType(schema) {
+  if (schema.type) return Array.isArray(schema.type) ? schema.type.slice().sort().join('|') : schema.type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return null;
+}
+
+/**
+ * Inline local $refs; recursive references are cut off at the repeat
+ */
+function dereference(root) {
+  const resolve = (node, seen) => {
+    if (Array.isArray(node)) return node.map(item => resolve(item, seen));
+    if (!node || typeof node !== 'object') return node;
+
+    if (typeof node.$ref === 'string' && node.$ref.startsWith('#/')) {
+      if (seen.has(node.$ref)) return {};
+      const target = node.$ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((current, part) => (current ? current[part] : undefined), root);
+      return resolve(target, new Set([...seen, node.$ref]));
+    }
+
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, resolve(value, seen)]));
+  };
+  return resolve(root, new Set());
+}
+
+/**
+ * Validate sample payloads against JSON Schema files
+ *
+ * @param {Array<{schema: string, samples: string[]}>} schemaSets
+ * @returns {Array<{kind: 'field_mismatch', file: string, schema: string, field: string, description: string}>}
+ */
+function validateSamples(rootDir, schemaSets) {
+  const ajv = createAjv();
+  const problems = [];
+
+  for (const set of schemaSets) {
+    const schemaPath = path.resolve(rootDir, set.schema);
+    if (!fs.existsSync(schemaPath)) {
+      throw new Error(`JSON Schema not found: ${set.schema}`);
+    }
+    const schema = parseConfigSource(fs.readFileSync(schemaPath, 'utf8'), schemaPath);
+    const validate = ajv.compile(schema);
+
+    const samples = findFiles(rootDir, set.samples || []);
+    if (samples.length === 0) {
+      problems.push({ kind: 'missing_samples', schema: set.schema, description: `No samples match ${(set.samples || []).join(', ')} for ${set.schema}` });
+    }
+
+    for (const file of samples) {
+      const data = JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf8'));
+      if (validate(data)) continue;
+      for (const error of validate.errors) {
+        const formatted = formatAjvError(error);
+        problems.push({ kind: 'field_mismatch', file, schema: set.schema, field: formatted.field, description: `${path.basename(file)}: ${formatted.message}` });
+      }
+    }
+
+    // Each schema set may use its own $id; drop it so a later set can reuse the id
+    if (schema.$id) ajv.removeSchema(schema.$id);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  loadOpenApi,
+  OpenApiValidator,
+  loadFixtures,
+  replayFixture,
+  checkOpenApiContract,
+  findBreakingChanges,
+  validateSamples
+};
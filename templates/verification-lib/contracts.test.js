@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OpenApiValidator, checkOpenApiContract, findBreakingChanges } = require('./contracts');
+
+const json = schema => ({ content: { 'application/json': { schema } } });
+
+function spec() {
+  return {
+    openapi: '3.0.3',
+    paths: {
+      '/users/{id}': {
+        get: { responses: { 200: json({ $ref: '#/components/schemas/User' }) } },
+        delete: { responses: { 204: { description: 'Deleted' } } }
+      },
+      '/users/me': {
+        get: { responses: { 200: json({ $ref: '#/components/schemas/User' }) } }
+      },
+      '/{tenant}/users/export': { post: { responses: { 202: { description: 'Queued' } } } },
+      '/admin/{section}/export': { post: { responses: { 202: { description: 'Queued' } } } }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: { id: { type: 'string' }, name: { type: 'string' }, role: { type: 'string', enum: ['admin', 'member'] } }
+        }
+      }
+    }
+  };
+}
+
+test('findOperation matches path and method together, preferring literal segments', () => {
+  const validator = new OpenApiValidator(spec());
+  assert.equal(validator.findOperation('GET', '/users/me').route, '/users/me');
+  assert.equal(validator.findOperation('DELETE', '/users/me').route, '/users/{id}');
+  assert.ok(validator.findOperation('DELETE', '/users/me').operation);
+  assert.equal(validator.findOperation('GET', '/users/42?expand=1').route, '/users/{id}');
+  assert.equal(validator.findOperation('POST', '/admin/users/export').route, '/admin/{section}/export');
+  assert.deepEqual(validator.findOperation('PUT', '/users/me'), { route: '/users/me', operation: null });
+  assert.deepEqual(validator.findOperation('GET', '/orders'), { route: null, operation: null });
+});
+
+test('validateExchange reports missing routes, status drift and field mismatches', () => {
+  const validator = new OpenApiValidator(spec());
+  assert.deepEqual(validator.validateExchange({ method: 'get', path: '/users/me', status: 200, responseBody: { id: '1', name: 'Ada' } }), []);
+  assert.deepEqual(validator.validateExchange({ method: 'delete', path: '/users/me', status: 204 }), []);
+
+  assert.equal(validator.validateExchange({ method: 'get', path: '/orders', status: 200 })[0].kind, 'missing_route');
+  assert.match(validator.validateExchange({ method: 'put', path: '/users/me', status: 200 })[0].description,
+    /PUT is not documented for \/users\/me/);
+  assert.equal(validator.validateExchange({ method: 'get', path: '/users/1', status: 500 })[0].kind, 'status_drift');
+
+  const problems = validator.validateExchange({ method: 'get', path: '/users/1', status: 200, responseBody: { id: 1 } });
+  assert.deepEqual(problems.map(problem => [problem.kind, problem.field]), [
+    ['field_mismatch', 'response/name'],
+    ['field_mismatch', 'response/id']
+  ]);
+});
+
+test('findBreakingChanges flags removed operations, response fields and enum growth', () => {
+  const current = spec();
+  delete current.paths['/users/{id}'].delete;
+  delete current.components.schemas.User.properties.name;
+  current.components.schemas.User.required = ['id'];
+  current.components.schemas.User.properties.role.enum.push('owner');
+
+  const changes = findBreakingChanges(spec(), current).map(change => `${change.route}: ${change.description}`);
+  assert.ok(changes.includes('DELETE /users/{id}: DELETE /users/{id} was removed'));
+  assert.ok(changes.includes('GET /users/me: 200 response field /name was removed'));
+  assert.ok(changes.includes('GET /users/me: 200 response field /role enum gained owner'));
+  assert.deepEqual(findBreakingChanges(spec(), spec()), []);
+});
+
+test('checkOpenApiContract validates recorded fixtures and reports empty fixture globs', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contracts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'openapi.json'), JSON.stringify(spec()));
+  fs.mkdirSync(path.join(dir, 'fixtures'));
+  fs.writeFileSync(path.join(dir, 'fixtures', 'users.json'), JSON.stringify([
+    { request: { method: 'GET', path: '/users/42' }, response: { status: 200, body: { id: '42', name: 'Ada' } } },
+    { request: { method: 'GET', path: '/users/me' }, response: { status: 200, body: { id: 'me' } } }
+  ]));
+
+  const result = await checkOpenApiContract({ openapi: 'openapi.json', fixtures: ['fixtures/*.json'] }, { rootDir: dir });
+  assert.equal(result.fixtures, 2);
+  assert.equal(result.baselineChecked, false);
+  assert.equal(result.problems.length, 1);
+  assert.equal(result.problems[0].file, path.join('fixtures', 'users.json'));
+
+  const empty = await checkOpenApiContract({ openapi: 'openapi.json', fixtures: ['missing/*.json'] }, { rootDir: dir });
+  assert.deepEqual(empty.problems.map(p => p.kind), ['missing_fixtures']);
+});
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+/**
+ * Handoff Coordinator
+ * Long-running coordinator loop: picks up instances in HANDOFF_READY, runs the verification suite
+ * against their worktree and approves, denies or escalates the handoff
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HandoffStateMachine, acquireLock, releaseLock, isProcessAlive } = require('./handoff-state');
+const { failingViolations, DEFAULT_FAIL_ON } = require('./outcome');
+
+const COORDINATOR_LOCK = 'coordinator.lock';
+const DEFAULT_INTERVAL = 30000;
+
+class HandoffCoordinator {
+  /**
+   * @param {object} options
+   * @param {function(string, string): object} options.createVerifier - (instance, worktree) → GenericVerificationFramework
+   * @param {HandoffStateMachine} [options.handoffs]
+   * @param {number} [options.interval] - Poll interval in ms (project_config.monitoring_interval)
+   * @param {object} [options.instances] - projectConfig.instances, for configured worktree paths
+   * @param {string} [options.rootDir] - Worktree used for instances that record none
+   */
+  constructor(options) {
+    this.createVerifier = options.createVerifier;
+    this.actor = options.actor || 'coordinator';
+    this.handoffs = options.handoffs || new HandoffStateMachine({ rootDir: options.rootDir, actor: this.actor });
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.instances = options.instances || {};
+    this.rootDir = options.rootDir || process.cwd();
+    this.log = options.log || console.log;
+
+    this.lockPath = path.join(this.handoffs.statusDir, COORDINATOR_LOCK);
+    // A live coordinator refreshes its lock every cycle; older locks belong to a crashed one
+    this.lockStaleAfter = Math.max(this.interval * 5, 10 * 60 * 1000);
+    this.stopping = false;
+    this.current = null;
+    this.wakeUp = null;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Run until stop() or SIGINT/SIGTERM
+   */
+  async start() {
+    await this.acquire();
+    const onSignal = (signal) => this.onSignal(signal);
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    try {
+      this.log(`🛰️  Coordinator started (every ${this.interval / 1000}s, status: ${this.handoffs.statusDir})`);
+      await this.survive('recovery', () => this.recover());
+      while (!this.stopping) {
+        await this.survive('poll', () => this.runOnce());
+        await this.sleep(this.interval);
+      }
+    } finally {
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
+      this.release();
+      this.log('🛰️  Coordinator stopped');
+    }
+  }
+
+  /**
+   * Recover, process pending handoffs once and exit (for cron or CI)
+   */
+  async runSingleCycle() {
+    await this.acquire();
+    try {
+      await this.recover();
+      return await this.runOnce();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Finish the verification in progress, then stop
+   */
+  stop() {
+    this.stopping = true;
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  onSignal(signal) {
+    if (this.stopping) {
+      // Second signal: leave now, the interrupted verification is resumed on the next start
+      this.log(`🛑 ${signal} again, exiting${this.current ? ` (verification of ${this.current} resumes on restart)` : ''}`);
+      this.release();
+      process.exit(130);
+    }
+    this.log(`🛑 ${signal} received, ${this.current ? `finishing verification of ${this.current}` : 'stopping'}`);
+    this.stop();
+  }
+
+  /**
+   * A failing cycle (e.g. an unreadable state file) is logged; the daemon tries again next interval
+   */
+  async survive(label, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      this.log(`⚠️  Coordinator ${label} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resume verifications a crashed coordinator left in VERIFICATION
+   * Instances verified by someone else (HandoffStateMachine.runVerification) are only taken over
+   * once their process is gone
+   */
+  async recover() {
+    for (const [instance, record] of Object.entries(this.handoffs.getAllStates())) {
+      if (this.stopping) break;
+      if (record.state !== 'VERIFICATION' || record.escalation) continue;
+
+      const verifier = record.verifier || { actor: record.updatedBy };
+      if (!this.isOrphaned(verifier)) {
+        this.log(`⏭️  ${instance}: being verified by ${verifier.actor}${verifier.pid ? ` (pid ${verifier.pid} on ${verifier.host})` : ''}`);
+        continue;
+      }
+      this.log(`♻️  Resuming interrupted verification of ${instance}`);
+      await this.verify(instance, record);
+    }
+  }
+
+  /**
+   * Verifications started by this coordinator's actor are ours (only one coordinator holds the lock);
+   * others are orphaned only when their process is known to be dead
+   */
+  isOrphaned(verifier) {
+    if (verifier.actor === this.actor) return true;
+    return Boolean(verifier.pid) && verifier.host === os.hostname() && !isProcessAlive(verifier.pid);
+  }
+
+  /**
+   * One poll: verify every instance waiting in HANDOFF_READY, oldest first
+   *
+   * @returns {Promise<Array<{instance: string, decision: string, reason: string, reportPath?: string}>>}
+   */
+  async runOnce() {
+    this.touchLock();
+    const ready = Object.entries(this.handoffs.getAllStates())
+      .filter(([, record]) => record.state === 'HANDOFF_READY')
+      .sort(([, a], [, b]) => String(a.since).localeCompare(String(b.since)));
+
+    const outcomes = [];
+    for (const [instance, record] of ready) {
+      if (this.stopping) break;
+      const outcome = await this.verify(instance, record);
+      if (outcome) outcomes.push(outcome);
+    }
+    return outcomes;
+  }
+
+  /**
+   * Verify one handoff and record the decision
+   */
+  async verify(instance, record) {
+    const worktree = record.worktree || (this.instances[instance] && this.instances[instance].worktree) || this.rootDir;
+
+    if (record.state === 'HANDOFF_READY') {
+      try {
+        await this.handoffs.transition(instance, 'VERIFICATION', { reason: 'Coordinator verification started', expect: 'HANDOFF_READY' });
+      } catch (error) {
+        // The instance moved on (e.g. back to ACTIVE) between polling and claiming it
+        this.log(`⏭️  ${instance}: ${error.message}`);
+        return null;
+      }
+    }
+
+    this.current = instance;
+    this.log(`🔍 Verifying ${instance} in ${worktree}`);
+    let report;
+    let reportPath;
+    try {
+      if (!fs.existsSync(worktree)) {
+        throw new Error(`Worktree ${worktree} does not exist`);
+      }
+      const verifier = this.createVerifier(instance, worktree);
+      report = await verifier.runVerificationSuite();
+      reportPath = verifier.saveDetailedReport(report);
+    } catch (error) {
+      report = { success: false, error: error.message };
+    } finally {
+      this.current = null;
+    }
+
+    const { decision, reason } = classifyReport(report);
+    try {
+      if (decision === 'escalate') {
+        await this.handoffs.escalate(instance, { reason, reportPath });
+        this.log(`🙋 ${instance}: escalated - ${reason}`);
+      } else {
+        await this.handoffs.recordVerification(instance, report, { reason, reportPath });
+        this.log(`${decision === 'approve' ? '✅' : '❌'} ${instance}: ${decision === 'approve' ? 'APPROVED' : 'FAILED'} - ${reason}`);
+      }
+    } catch (error) {
+      // Lock timeout, or the instance was moved by hand meanwhile; it stays in VERIFICATION for recovery
+      this.log(`⚠️  ${instance}: could not record ${decision} (${error.message})`);
+      return null;
+    }
+    return { instance, decision, reason, reportPath };
+  }
+
+  async acquire() {
+    fs.mkdirSync(this.handoffs.statusDir, { recursive: true });
+    try {
+      await acquireLock(this.lockPath, { actor: this.actor }, { timeout: 0, staleAfter: this.lockStaleAfter });
+    } catch (error) {
+      throw new Error(`Another coordinator is running: ${error.message}`);
+    }
+    // Keep the lock fresh during long verifications
+    this.heartbeat = setInterval(() => this.touchLock(), Math.min(this.interval, this.lockStaleAfter / 3));
+    this.heartbeat.unref();
+  }
+
+  release() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+      releaseLock(this.lockPath);
+    }
+  }
+
+  touchLock() {
+    const now = new Date();
+    try {
+      fs.utimesSync(this.lockPath, now, now);
+    } catch (error) {
+      // Lock removed by hand; the next start re-creates it
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).then(() => {
+      this.wakeUp = null;
+    });
+  }
+}
+
+/**
+ * Approve passing reports, deny on failing findings, escalate when the suite did not complete or
+ * only failed to run checks (verification errors, no findings)
+ * Like report.success, only new, unwaived violations at a failing severity count
+ *
+ * @returns {{decision: 'approve'|'deny'|'escalate', reason: string}}
+ */
+function classifyReport(report) {
+  if (!report || !report.summary || report.error) {
+    return { decision: 'escalate', reason: `Verification did not complete${report && report.error ? `: ${report.error}` : ''}` };
+  }
+
+  if (report.success) {
+    return { decision: 'approve', reason: `No new, unwaived ${(report.failOn || DEFAULT_FAIL_ON).join('/')} violations` };
+  }
+
+  const failing = failingViolations(report);
+  const findings = failing.filter(v => !v.type.endsWith('_ERROR'));
+  if (findings.length === 0) {
+    const types = Array.from(new Set(failing.map(v => v.type))).join(', ');
+    return { decision: 'escalate', reason: `Checks could not run (${types || 'no failing violations recorded'}); the result says nothing about the work` };
+  }
+
+  const counts = {};
+  failing.forEach(v => { counts[v.severity] = (counts[v.severity] || 0) + 1; });
+  return { decision: 'deny', reason: `${Object.entries(counts).map(([severity, count]) => `${count} ${severity}`).join(', ')} new violations` };
+}
+
+/**
+ * Command line: coordinator.js [--once]
+ * CUSTOMIZE: VERIFICATION_SCRIPT points at your copy of verification-script-template.js
+ */
+async function main() {
+  const { GenericVerificationFramework } = require(path.resolve(process.env.VERIFICATION_SCRIPT || 'scripts/verification/project-verification.js'));
+  const configPath = process.env.VERIFICATION_CONFIG || 'project-config.yaml';
+  const reportsDir = path.resolve(process.env.REPORTS_DIR || 'docs/verification-reports');
+  const projectConfig = GenericVerificationFramework.fromConfigFile(configPath).projectConfig;
+
+  const coordinator = new HandoffCoordinator({
+    instances: projectConfig.instances,
+    interval: Number(process.env.COORDINATOR_INTERVAL) || projectConfig.monitoringInterval,
+    createVerifier: (instance, worktree) =>
+      GenericVerificationFramework.fromConfigFile(configPath, { rootDir: worktree, instance, reportsDir })
+  });
+
+  if (process.argv.includes('--once')) {
+    await coordinator.runSingleCycle();
+  } else {
+    await coordinator.start();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { HandoffCoordinator, classifyReport };
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HandoffCoordinator, classifyReport } = require('./coordinator');
+const { HandoffStateMachine } = require('./handoff-state');
+
+const violation = (type, severity, extra = {}) => ({ type, severity, description: type, ...extra });
+
+function setup(t, report) {
+  const statusDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coordinator-'));
+  t.after(() => fs.rmSync(statusDir, { recursive: true, force: true }));
+  const logs = [];
+  const verified = [];
+  const coordinator = new HandoffCoordinator({
+    handoffs: new HandoffStateMachine({ statusDir, actor: 'coordinator' }),
+    rootDir: statusDir,
+    log: message => logs.push(message),
+    createVerifier: instance => ({
+      runVerificationSuite: async () => {
+        verified.push(instance);
+        return report;
+      },
+      saveDetailedReport: () => 'report.json'
+    })
+  });
+  return { coordinator, logs, verified, statusDir };
+}
+
+async function ready(statusDir, instance, actor = instance) {
+  const handoffs = new HandoffStateMachine({ statusDir, actor });
+  await handoffs.transition(instance, 'ACTIVE');
+  await handoffs.transition(instance, 'HANDOFF_READY');
+  return handoffs;
+}
+
+test('classifyReport only counts new, unwaived violations at a failing severity', () => {
+  const base = { success: false, summary: { critical: 2, high: 0, medium: 0, low: 0 }, baseline: { mode: 'previous' } };
+  const waived = violation('SECURITY_SECRET', 'CRITICAL', { waived: { id: 'W1' } });
+  const existing = violation('LAYER_BOUNDARY_VIOLATION', 'CRITICAL', { baseline: 'existing' });
+
+  assert.equal(classifyReport({ ...base, success: true, violations: [waived, existing] }).decision, 'approve');
+  assert.deepEqual(classifyReport({ ...base, violations: [waived, existing, violation('SECURITY_SECRET', 'HIGH', { baseline: 'new' })] }),
+    { decision: 'deny', reason: '1 HIGH new violations' });
+  assert.equal(classifyReport({ ...base, violations: [existing, violation('PERFORMANCE_ERROR', 'CRITICAL', { baseline: 'new' })] }).decision, 'escalate');
+  assert.deepEqual(classifyReport({ ...base, failOn: ['CRITICAL', 'HIGH', 'MEDIUM'], violations: [violation('COVERAGE_BELOW_THRESHOLD', 'MEDIUM')] }),
+    { decision: 'deny', reason: '1 MEDIUM new violations' });
+  assert.match(classifyReport({ success: false, error: 'boom' }).reason, /did not complete: boom/);
+});
+
+test('runOnce verifies ready instances and records the decision', async (t) => {
+  const report = { success: true, summary: { critical: 0, high: 0, medium: 0, low: 0 }, violations: [] };
+  const { coordinator, verified, statusDir } = setup(t, report);
+  await ready(statusDir, 'instance_1');
+
+  const outcomes = await coordinator.runOnce();
+  assert.deepEqual(outcomes, [{ instance: 'instance_1', decision: 'approve', reason: 'No new, unwaived CRITICAL/HIGH violations', reportPath: 'report.json' }]);
+  assert.deepEqual(verified, ['instance_1']);
+  assert.equal(coordinator.handoffs.getState('instance_1').state, 'APPROVED');
+});
+
+test('decisions that cannot be recorded are logged instead of thrown', async (t) => {
+  const report = { success: true, summary: { critical: 0, high: 0, medium: 0, low: 0 }, violations: [] };
+  const { coordinator, logs, statusDir } = setup(t, report);
+  await ready(statusDir, 'instance_1');
+  coordinator.handoffs.recordVerification = async () => {
+    throw new Error('Timed out after 10000ms waiting for handoff-state.lock');
+  };
+
+  assert.deepEqual(await coordinator.runOnce(), []);
+  assert.match(logs.at(-1), /instance_1: could not record approve \(Timed out/);
+  assert.equal(coordinator.handoffs.getState('instance_1').state, 'VERIFICATION');
+});
+
+test('recover resumes only verifications whose verifier is gone', async (t) => {
+  const report = { success: true, summary: { critical: 0, high: 0, medium: 0, low: 0 }, violations: [] };
+  const { coordinator, logs, verified, statusDir } = setup(t, report);
+
+  // Running in this (live) process under another actor, e.g. handoff-state.js runVerification()
+  const running = await ready(statusDir, 'instance_1');
+  await running.transition('instance_1', 'VERIFICATION');
+
+  // Left behind by a previous coordinator
+  await ready(statusDir, 'instance_2');
+  await coordinator.handoffs.transition('instance_2', 'VERIFICATION');
+
+  await coordinator.recover();
+  assert.deepEqual(verified, ['instance_2']);
+  assert.ok(logs.some(message => /instance_1: being verified by instance_1 \(pid \d+/.test(message)));
+
+  // Same actor, but its process has died
+  const state = JSON.parse(fs.readFileSync(path.join(statusDir, 'handoff-state.json'), 'utf8'));
+  state.instances.instance_1.verifier.pid = 2 ** 22 + 1;
+  fs.writeFileSync(path.join(statusDir, 'handoff-state.json'), JSON.stringify(state));
+  await coordinator.recover();
+  assert.deepEqual(verified, ['instance_2', 'instance_1']);
+});
@@ -0,0 +1,297 @@
+/**
+ * Coverage Report Ingestion
+ * Reads istanbul/nyc coverage-summary.json, lcov.info and Cobertura XML into one per-file shape
+ * and evaluates line/branch/function/statement thresholds globally and per path group
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosixRelative, matchesAny } = require('./glob');
+
+const METRICS = ['lines', 'branches', 'functions', 'statements'];
+
+// lcov keys that belong to a file record
+const LCOV_RECORD_KEYS = ['LF', 'LH', 'BRF', 'BRH', 'FNF', 'FNH', 'end_of_record'];
+
+// Locations test runners write to by default, tried in order when no report is configured
+const DEFAULT_REPORTS = [
+  'coverage/coverage-summary.json',
+  'coverage/lcov.info',
+  'coverage/cobertura-coverage.xml',
+  'coverage.xml'
+];
+
+/**
+ * Load and merge coverage reports
+ *
+ * @param {string[]} reportPaths - Report files; format is detected from name and content
+ * @param {string} rootDir - Project root, file paths are reported relative to it
+ * @returns {Map<string, object>} file → { lines, branches, functions, statements } as { total, covered }
+ */
+function loadCoverage(reportPaths, rootDir) {
+  const files = new Map();
+
+  for (const reportPath of reportPaths) {
+    const text = fs.readFileSync(reportPath, 'utf8');
+    const format = detectFormat(reportPath, text);
+    let parsed;
+    try {
+      parsed = format === 'istanbul'
+        ? parseIstanbulSummary(text)
+        : format === 'lcov' ? parseLcov(text) : parseCobertura(text, path.dirname(reportPath));
+    } catch (error) {
+      throw new Error(`Cannot read ${format} coverage report ${reportPath}: ${error.message}`);
+    }
+
+    for (const [file, metrics] of parsed) {
+      const key = toPosixRelative(path.resolve(rootDir, file), rootDir);
+      files.set(key, files.has(key) ? mergeMetrics(files.get(key), metrics) : metrics);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Find the configured reports, or the first default report that exists
+ */
+function resolveReportPaths(configured, rootDir) {
+  if (configured && configured.length > 0) {
+    const paths = configured.map(report => path.resolve(rootDir, report));
+    const missing = paths.filter(reportPath => !fs.existsSync(reportPath));
+    if (missing.length > 0) {
+      throw new Error(`Coverage report not found: ${missing.join(', ')}`);
+    }
+    return paths;
+  }
+
+  const found = DEFAULT_REPORTS.map(report => path.resolve(rootDir, report)).find(fs.existsSync);
+  if (!found) {
+    throw new Error(`No coverage report found (looked for ${DEFAULT_REPORTS.join(', ')}); run your tests with coverage first`);
+  }
+  return [found];
+}
+
+function detectFormat(reportPath, text) {
+  if (reportPath.endsWith('.json')) return 'istanbul';
+  if (reportPath.endsWith('.xml') || text.trimStart().startsWith('<')) return 'cobertura';
+  return 'lcov';
+}
+
+function parseIstanbulSummary(text) {
+  const summary = JSON.parse(text);
+  if (!summary || typeof summary !== 'object' || Array.isArray(summary)) {
+    throw new Error('expected a json-summary object keyed by file');
+  }
+  const files = new Map();
+  for (const [file, entry] of Object.entries(summary)) {
+    if (file === 'total') continue;
+    if (!entry || typeof entry !== 'object') throw new Error(`entry for ${file} is not an object`);
+    files.set(file, Object.fromEntries(METRICS.map(metric => [
+      metric,
+      { total: entry[metric] ? entry[metric].total : 0, covered: entry[metric] ? entry[metric].covered : 0 }
+    ])));
+  }
+  return files;
+}
+
+function parseLcov(text) {
+  const files = new Map();
+  let current = null;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const separator = line.indexOf(':');
+    const key = separator === -1 ? line : line.slice(0, separator);
+    const value = line.slice(separator + 1);
+    if (!current && LCOV_RECORD_KEYS.includes(key)) {
+      throw new Error(`line ${index + 1}: ${key} outside an SF ... end_of_record block`);
+    }
+
+    switch (key) {
+      case 'SF':
+        current = { file: value, metrics: emptyMetrics() };
+        break;
+      case 'LF': current.metrics.lines.total = Number(value); break;
+      case 'LH': current.metrics.lines.covered = Number(value); break;
+      case 'BRF': current.metrics.branches.total = Number(value); break;
+      case 'BRH': current.metrics.branches.covered = Number(value); break;
+      case 'FNF': current.metrics.functions.total = Number(value); break;
+      case 'FNH': current.metrics.functions.covered = Number(value); break;
+      case 'end_of_record':
+        // lcov has no statement records; line coverage is the closest equivalent
+        current.metrics.statements = { ...current.metrics.lines };
+        files.set(current.file, current.metrics);
+        current = null;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (current) throw new Error(`record for ${current.file} has no end_of_record`);
+  return files;
+}
+
+function parseCobertura(text, reportDir) {
+  if (!/<coverage\b/.test(text)) throw new Error('no <coverage> element');
+  const files = new Map();
+  const sourceMatch = text.match(/<source>([^<]+)<\/source>/);
+  const sourceDir = sourceMatch ? path.resolve(reportDir, sourceMatch[1].trim()) : reportDir;
+
+  const classPattern = /<class\b([^>]*)>([\s\S]*?)<\/class>/g;
+  let classMatch;
+  while ((classMatch = classPattern.exec(text)) !== null) {
+    const filename = attribute(classMatch[1], 'filename');
+    if (!filename) continue;
+
+    const metrics = emptyMetrics();
+    const body = classMatch[2];
+
+    // Method lines are repeated in the class <lines> block, so count lines from that block only
+    const methodsBlock = (body.match(/<methods>([\s\S]*?)<\/methods>/) || [])[1] || '';
+    const linesBlock = body.replace(/<methods>[\s\S]*?<\/methods>/, '');
+
+    for (const lineMatch of linesBlock.matchAll(/<line\b([^>]*?)\/?>/g)) {
+      metrics.lines.total++;
+      if (Number(attribute(lineMatch[1], 'hits')) > 0) metrics.lines.covered++;
+
+      const condition = attribute(lineMatch[1], 'condition-coverage');
+      const branchCounts = condition && condition.match(/\((\d+)\/(\d+)\)/);
+      if (branchCounts) {
+        metrics.branches.covered += Number(branchCounts[1]);
+        metrics.branches.total += Number(branchCounts[2]);
+      }
+    }
+
+    for (const methodMatch of methodsBlock.matchAll(/<method\b[^>]*>([\s\S]*?)<\/method>/g)) {
+      metrics.functions.total++;
+      if (/hits="[1-9]/.test(methodMatch[1])) metrics.functions.covered++;
+    }
+
+    metrics.statements = { ...metrics.lines };
+    const file = path.resolve(sourceDir, filename);
+    files.set(file, files.has(file) ? mergeMetrics(files.get(file), metrics) : metrics);
+  }
+
+  return files;
+}
+
+/**
+ * Evaluate coverage against thresholds
+ *
+ * @param {Map<string, object>} files - from loadCoverage()
+ * @param {object} thresholds - { lines, branches, functions, statements } (percent) for all files
+ * @param {Array<{name: string, patterns: string[], thresholds: object}>} pathThresholds -
+ *   groups with their own bar (e.g. one per instance file_patterns); a file uses the first group it matches
+ *   and files matching no group are held to `thresholds` as the "default" group
+ * @returns {{ totals: object, failures: object[], filesBelow: object[] }} totals.total covers every file
+ */
+function evaluateCoverage(files, thresholds, pathThresholds = []) {
+  const defaultGroup = { name: 'default', patterns: null, thresholds, files: [] };
+  const pathGroups = pathThresholds.map(group => ({ ...group, thresholds: { ...thresholds, ...group.thresholds }, files: [] }));
+
+  const filesBelow = [];
+  for (const [file, metrics] of files) {
+    const group = pathGroups.find(candidate => matchesAny(file, candidate.patterns)) || defaultGroup;
+    group.files.push(metrics);
+
+    for (const metric of METRICS) {
+      const pct = percentage(metrics[metric]);
+      if (pct !== null && group.thresholds[metric] !== undefined && pct < group.thresholds[metric]) {
+        filesBelow.push({ file, metric, pct, threshold: group.thresholds[metric], group: group.name });
+      }
+    }
+  }
+
+  const failures = [];
+  const totals = { total: groupPercentages(Array.from(files.values())) };
+  for (const group of [defaultGroup, ...pathGroups]) {
+    totals[group.name] = groupPercentages(group.files);
+
+    for (const metric of METRICS) {
+      const pct = totals[group.name][metric];
+      if (pct !== null && group.thresholds[metric] !== undefined && pct < group.thresholds[metric]) {
+        failures.push({ group: group.name, metric, pct, threshold: group.thresholds[metric] });
+      }
+    }
+  }
+
+  filesBelow.sort((a, b) => a.pct - b.pct);
+  return { totals, failures, filesBelow };
+}
+
+/**
+ * Evaluate one test_coverage gate: its reports (gate.reports, else coverage.reports), limited to an
+ * instance's files when gate.instance is set, against the gate threshold for every metric unless
+ * coverage.thresholds or gate.thresholds override it, with coverage.instances and coverage.paths as groups
+ *
+ * @param {string} rootDir
+ * @param {number} threshold - The gate's threshold, in percent
+ * @param {object} options - { coverage: projectConfig.coverage, gate, instances: projectConfig.instances }
+ * @returns {{files: Map<string, object>, totals: object, failures: object[], filesBelow: object[]}}
+ */
+function evaluateCoverageGate(rootDir, threshold, { coverage = {}, gate = {}, instances = {} }) {
+  let files = loadCoverage(resolveReportPaths(gate.reports || coverage.reports, rootDir), rootDir);
+  if (gate.instance) {
+    if (!instances[gate.instance]) throw new Error(`Unknown instance "${gate.instance}" for ${gate.name}`);
+    const patterns = instances[gate.instance].filePatterns;
+    files = new Map(Array.from(files).filter(([file]) => matchesAny(file, patterns)));
+  }
+
+  const thresholds = {
+    ...Object.fromEntries(METRICS.map(metric => [metric, threshold])),
+    ...coverage.thresholds,
+    ...gate.thresholds
+  };
+  const pathThresholds = [
+    ...Object.entries(coverage.instances || {}).map(([name, instanceThresholds]) => {
+      if (!instances[name]) throw new Error(`coverage.instances.${name} is not a defined instance`);
+      return { name, patterns: instances[name].filePatterns, thresholds: instanceThresholds };
+    }),
+    ...Object.entries(coverage.paths || {}).map(([pattern, pathThreshold]) =>
+      ({ name: pattern, patterns: [pattern], thresholds: pathThreshold }))
+  ];
+
+  return { files, ...evaluateCoverage(files, thresholds, pathThresholds) };
+}
+
+function groupPercentages(metricsList) {
+  const summed = sumMetrics(metricsList);
+  return Object.fromEntries(METRICS.map(metric => [metric, percentage(summed[metric])]));
+}
+
+function emptyMetrics() {
+  return Object.fromEntries(METRICS.map(metric => [metric, { total: 0, covered: 0 }]));
+}
+
+function mergeMetrics(a, b) {
+  // Two reports for the same file (e.g. unit + integration runs): keep the better-covered view
+  return Object.fromEntries(METRICS.map(metric =>
+    [metric, a[metric].covered >= b[metric].covered ? a[metric] : b[metric]]));
+}
+
+function sumMetrics(metricsList) {
+  const summed = emptyMetrics();
+  for (const metrics of metricsList) {
+    for (const metric of METRICS) {
+      summed[metric].total += metrics[metric].total;
+      summed[metric].covered += metrics[metric].covered;
+    }
+  }
+  return summed;
+}
+
+/**
+ * Percent covered rounded to one decimal, or null when there is nothing to cover
+ */
+function percentage({ total, covered }) {
+  return total === 0 ? null : Math.round((covered / total) * 1000) / 10;
+}
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : undefined;
+}
+
+module.exports = { loadCoverage, resolveReportPaths, evaluateCoverage, evaluateCoverageGate, METRICS };
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCoverage, resolveReportPaths, evaluateCoverage, evaluateCoverageGate } = require('./coverage');
+
+const LCOV = `TN:
+SF:src/api/users.js
+FN:1,list
+FNDA:3,list
+FNF:2
+FNH:1
+DA:1,3
+DA:2,0
+LF:10
+LH:8
+BRF:4
+BRH:1
+end_of_record
+SF:src/ui/page.js
+LF:5
+LH:5
+end_of_record
+`;
+
+// istanbul keys files by absolute path
+const summary = rootDir => JSON.stringify({
+  total: { lines: { total: 30, covered: 20 } },
+  [path.join(rootDir, 'src/api/users.js')]: {
+    lines: { total: 10, covered: 6 },
+    branches: { total: 4, covered: 3 },
+    functions: { total: 2, covered: 2 },
+    statements: { total: 12, covered: 7 }
+  }
+});
+
+const COBERTURA = `<?xml version="1.0" ?>
+<coverage line-rate="0.5">
+  <sources><source>.</source></sources>
+  <packages><package name="api"><classes>
+    <class name="orders" filename="src/api/orders.js">
+      <methods>
+        <method name="create"><lines><line number="2" hits="1"/></lines></method>
+        <method name="remove"><lines><line number="6" hits="0"/></lines></method>
+      </methods>
+      <lines>
+        <line number="2" hits="1"/>
+        <line number="3" hits="4" branch="true" condition-coverage="50% (1/2)"/>
+        <line number="6" hits="0"/>
+        <line number="7" hits="0"/>
+      </lines>
+    </class>
+  </classes></package></packages>
+</coverage>
+`;
+
+function reports(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'function' ? content(dir) : content);
+  }
+  return dir;
+}
+
+test('loadCoverage reads lcov records, using line coverage for statements', (t) => {
+  const dir = reports(t, { 'coverage/lcov.info': LCOV });
+  const files = loadCoverage([path.join(dir, 'coverage/lcov.info')], dir);
+  assert.deepEqual(Array.from(files.keys()), ['src/api/users.js', 'src/ui/page.js']);
+  assert.deepEqual(files.get('src/api/users.js'), {
+    lines: { total: 10, covered: 8 },
+    branches: { total: 4, covered: 1 },
+    functions: { total: 2, covered: 1 },
+    statements: { total: 10, covered: 8 }
+  });
+});
+
+test('loadCoverage reads an istanbul json-summary without its total entry', (t) => {
+  const dir = reports(t, { 'coverage/coverage-summary.json': summary });
+  const files = loadCoverage([path.join(dir, 'coverage/coverage-summary.json')], dir);
+  assert.deepEqual(Array.from(files.keys()), ['src/api/users.js']);
+  assert.deepEqual(files.get('src/api/users.js').statements, { total: 12, covered: 7 });
+});
+
+test('loadCoverage reads Cobertura classes relative to <source>, counting method lines once', (t) => {
+  const dir = reports(t, { 'coverage.xml': COBERTURA });
+  const files = loadCoverage([path.join(dir, 'coverage.xml')], dir);
+  assert.deepEqual(files.get('src/api/orders.js'), {
+    lines: { total: 4, covered: 2 },
+    branches: { total: 2, covered: 1 },
+    functions: { total: 2, covered: 1 },
+    statements: { total: 4, covered: 2 }
+  });
+});
+
+test('loadCoverage keeps the better-covered view when reports overlap', (t) => {
+  const dir = reports(t, { 'coverage/lcov.info': LCOV, 'coverage/coverage-summary.json': summary });
+  const files = loadCoverage([path.join(dir, 'coverage/lcov.info'), path.join(dir, 'coverage/coverage-summary.json')], dir);
+  assert.deepEqual(files.get('src/api/users.js').lines, { total: 10, covered: 8 });
+  assert.deepEqual(files.get('src/api/users.js').branches, { total: 4, covered: 3 });
+});
+
+test('malformed reports fail with the report path and the problem', (t) => {
+  const dir = reports(t, {
+    'bad.json': '{"src/a.js": ',
+    'bad.info': 'LF:10\nLH:5\n',
+    'truncated.info': 'SF:src/a.js\nLF:10\n',
+    'bad.xml': '<report></report>'
+  });
+  const load = file => () => loadCoverage([path.join(dir, file)], dir);
+  assert.throws(load('bad.json'), /Cannot read istanbul coverage report .*bad\.json: /);
+  assert.throws(load('bad.info'), /Cannot read lcov coverage report .*bad\.info: line 1: LF outside an SF/);
+  assert.throws(load('truncated.info'), /record for src\/a\.js has no end_of_record/);
+  assert.throws(load('bad.xml'), /Cannot read cobertura coverage report .*bad\.xml: no <coverage> element/);
+});
+
+test('resolveReportPaths reports missing configured files and falls back to default locations', (t) => {
+  const dir = reports(t, { 'coverage/lcov.info': LCOV });
+  assert.throws(() => resolveReportPaths(['coverage/missing.info'], dir), /Coverage report not found: .*missing\.info/);
+  assert.deepEqual(resolveReportPaths([], dir), [path.join(dir, 'coverage/lcov.info')]);
+
+  const empty = reports(t, {});
+  assert.throws(() => resolveReportPaths(undefined, empty), /No coverage report found/);
+});
+
+test('evaluateCoverage holds path groups to their own thresholds', (t) => {
+  const dir = reports(t, { 'coverage/lcov.info': LCOV });
+  const files = loadCoverage([path.join(dir, 'coverage/lcov.info')], dir);
+  const { totals, failures, filesBelow } = evaluateCoverage(files, { lines: 80, branches: 80 }, [
+    { name: 'api', patterns: ['src/api/**'], thresholds: { lines: 90 } }
+  ]);
+
+  assert.equal(totals.total.lines, 86.7);
+  assert.equal(totals.default.branches, null);
+  assert.deepEqual(failures, [
+    { group: 'api', metric: 'lines', pct: 80, threshold: 90 },
+    { group: 'api', metric: 'branches', pct: 25, threshold: 80 }
+  ]);
+  assert.deepEqual(filesBelow.map(({ file, metric }) => `${file}:${metric}`), ['src/api/users.js:branches', 'src/api/users.js:lines']);
+});
+
+test('evaluateCoverageGate limits the files to the gate instance', (t) => {
+  const dir = reports(t, { 'coverage/lcov.info': LCOV });
+  const instances = { frontend: { filePatterns: ['src/ui/**'] } };
+  const result = evaluateCoverageGate(dir, 90, { gate: { name: 'coverage', instance: 'frontend' }, instances });
+  assert.deepEqual(Array.from(result.files.keys()), ['src/ui/page.js']);
+  assert.deepEqual(result.failures, []);
+  assert.throws(() => evaluateCoverageGate(dir, 90, { gate: { name: 'coverage', instance: 'backend' }, instances }), /Unknown instance "backend"/);
+});
@@ -0,0 +1,319 @@
+/**
+ * Sentinel Data-Flow Tracing
+ * Writes a unique sentinel value at the source layer and reads it back hop by hop
+ * (Database → Backend Services → IPC → Frontend Hooks → Cache), naming the first hop where the
+ * value is stale or missing and how long each hop took to see it
+ * See docs/cache-ipc-verification.md for the "invisible barriers" this catches
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  hopTimeout: 5000,
+  pollInterval: 50
+};
+
+// Longest stale value kept in the report
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Write a sentinel at the source and wait for it at every hop, in order
+ *
+ * @param {object} trace - may also have close() to release connections after the trace
+ * @param {object} trace.source - { name, write: async (sentinel) => void, restore?: async () => void }
+ * @param {Array<object>} trace.hops - [{ name, probe: async (sentinel) => value, timeout?, match?: (value, sentinel) => boolean }]
+ * @param {object} [options] - { hopTimeout, pollInterval, sentinel }
+ * @returns {Promise<{sentinel: string, success: boolean, failedHop: string|null, totalMs: number, hops: object[]}>}
+ */
+async function traceSentinel(trace, options = {}) {
+  const { source, hops = [] } = trace;
+  if (!source || typeof source.write !== 'function') {
+    throw new Error('Data flow trace needs a source with a write(sentinel) function');
+  }
+  if (hops.length === 0) {
+    throw new Error('Data flow trace needs at least one hop to read the sentinel back');
+  }
+
+  const sentinel = options.sentinel || createSentinel();
+  const results = [];
+  let failedHop = null;
+  let totalMs;
+
+  try {
+    await source.write(sentinel);
+    const written = Date.now();
+    let previous = written;
+
+    for (const hop of hops) {
+      if (failedHop) {
+        results.push({ name: hop.name, status: 'not_checked' });
+        continue;
+      }
+
+      const result = await waitForSentinel(hop, sentinel, {
+        timeout: hop.timeout || options.hopTimeout || DEFAULTS.hopTimeout,
+        pollInterval: options.pollInterval || DEFAULTS.pollInterval
+      });
+      if (result.status === 'ok') {
+        result.propagationMs = result.seenAt - written;
+        result.hopMs = result.seenAt - previous;
+        previous = result.seenAt;
+      } else {
+        failedHop = hop.name;
+      }
+      delete result.seenAt;
+      results.push(result);
+    }
+    totalMs = Date.now() - written;
+  } finally {
+    if (typeof source.restore === 'function') await source.restore();
+    await Promise.all(hops.map(hop => (hop.probe && typeof hop.probe.close === 'function' ? hop.probe.close() : undefined)));
+    if (typeof trace.close === 'function') await trace.close();
+  }
+
+  return {
+    sentinel,
+    success: failedHop === null,
+    failedHop,
+    totalMs,
+    hops: results
+  };
+}
+
+/**
+ * Poll one hop until its probe returns the sentinel or the hop times out
+ * A probe that keeps returning nothing is "missing", one that returns another value "stale"
+ */
+async function waitForSentinel(hop, sentinel, { timeout, pollInterval }) {
+  const match = hop.match || containsSentinel;
+  const started = Date.now();
+  let attempts = 0;
+  let last;
+
+  for (;;) {
+    attempts++;
+    try {
+      const value = await hop.probe(sentinel);
+      if (match(value, sentinel)) {
+        return { name: hop.name, status: 'ok', attempts, seenAt: Date.now() };
+      }
+      last = { value };
+    } catch (error) {
+      last = { error };
+    }
+
+    if (Date.now() - started >= timeout) break;
+    await delay(pollInterval);
+  }
+
+  const result = { name: hop.name, attempts, waitedMs: Date.now() - started };
+  if (last.error) return { ...result, status: 'error', error: last.error.message };
+  if (last.value === undefined || last.value === null) return { ...result, status: 'missing' };
+  return { ...result, status: 'stale', value: describeValue(last.value) };
+}
+
+/**
+ * Unique value that cannot be mistaken for real data
+ */
+function createSentinel(prefix = 'sentinel') {
+  return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Whether a probe result is or contains the sentinel (strings, nested objects and arrays)
+ */
+function containsSentinel(value, sentinel) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.includes(sentinel);
+  if (typeof value === 'object') return JSON.stringify(value).includes(sentinel);
+  return String(value) === sentinel;
+}
+
+/**
+ * One line per hop for console output and violation details
+ */
+function describeHops(result) {
+  return result.hops.map(hop => {
+    switch (hop.status) {
+      case 'ok': return `✅ ${hop.name}: seen after ${hop.propagationMs}ms (+${hop.hopMs}ms)`;
+      case 'stale': return `❌ ${hop.name}: stale after ${hop.waitedMs}ms, still returned ${hop.value}`;
+      case 'missing': return `❌ ${hop.name}: missing after ${hop.waitedMs}ms, returned nothing`;
+      case 'error': return `💥 ${hop.name}: probe failed after ${hop.waitedMs}ms: ${hop.error}`;
+      default: return `·  ${hop.name}: not checked`;
+    }
+  });
+}
+
+/**
+ * Violation for a trace that did not reach every hop: DATA_FLOW_STALE, DATA_FLOW_MISSING or
+ * DATA_FLOW_PROBE_FAILURE at the first hop where the sentinel was not seen
+ *
+ * @param {object} trace - loadTrace() result
+ * @param {object} result - traceSentinel() result with success false
+ * @param {string} flow - Flow name for the violation
+ */
+function describeTraceFailure(trace, result, flow) {
+  const hop = result.hops.find(candidate => candidate.name === result.failedHop);
+  const reached = result.hops.filter(candidate => candidate.status === 'ok').map(candidate => candidate.name);
+  const source = trace.source.name || 'the source';
+  const outcome = {
+    stale: `still returned a stale value after ${hop.waitedMs}ms (${hop.value})`,
+    missing: `returned nothing after ${hop.waitedMs}ms`,
+    error: `probe failed: ${hop.error}`
+  }[hop.status];
+  return {
+    type: { stale: 'DATA_FLOW_STALE', missing: 'DATA_FLOW_MISSING', error: 'DATA_FLOW_PROBE_FAILURE' }[hop.status],
+    severity: 'HIGH',
+    flow,
+    hop: hop.name,
+    sentinel: result.sentinel,
+    description: `Sentinel written to ${source} ${reached.length > 0 ? `reached ${reached.join(' → ')}, but` : 'was not seen:'} ${hop.name} ${outcome}`,
+    details: describeHops(result)
+  };
+}
+
+function describeValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+/**
+ * Load a trace module: it exports { source, hops } or a (possibly async) function returning them
+ *
+ * @param {string} modulePath - Relative to rootDir
+ * @param {object} context - Passed to function modules: { rootDir, config, entry }
+ */
+async function loadTrace(modulePath, context) {
+  const resolved = path.resolve(context.rootDir || process.cwd(), modulePath);
+  const exported = require(resolved);
+  const trace = typeof exported === 'function' ? await exported(context) : exported;
+  if (!trace || !trace.source || !Array.isArray(trace.hops)) {
+    throw new Error(`Trace module ${modulePath} must export { source, hops } or a function returning them`);
+  }
+  return trace;
+}
+
+/**
+ * SQLite probe: first column of the first row a query returns
+ * `database` is an open handle with prepare().get() (better-sqlite3, node:sqlite) or a file path
+ *
+ * @param {object|string} database
+ * @param {string} query - e.g. 'SELECT price FROM pricing WHERE card_id = ?'
+ * @param {Array|function(string): Array} [params] - Values, or a function of the sentinel
+ */
+function sqliteProbe(database, query, params = []) {
+  return async (sentinel) => {
+    const row = openSqlite(database).prepare(query).get(...(typeof params === 'function' ? params(sentinel) : params));
+    return row === undefined ? undefined : Object.values(row)[0];
+  };
+}
+
+/**
+ * SQLite source: runs `statement` with the sentinel, and `restoreStatement` afterwards if given
+ *
+ * @param {object|string} database
+ * @param {string} statement - e.g. 'UPDATE pricing SET price_label = ? WHERE card_id = ?'
+ * @param {object} [options] - { params: (sentinel) => Array, restoreStatement, restoreParams: Array, name }
+ */
+function sqliteSource(database, statement, options = {}) {
+  return {
+    name: options.name || 'Database',
+    write: async (sentinel) => {
+      openSqlite(database).prepare(statement).run(...(options.params ? options.params(sentinel) : [sentinel]));
+    },
+    restore: options.restoreStatement
+      ? async () => { openSqlite(database).prepare(options.restoreStatement).run(...(options.restoreParams || [])); }
+      : undefined
+  };
+}
+
+const sqliteHandles = new Map();
+
+function openSqlite(database) {
+  if (typeof database !== 'string') return database;
+  if (!sqliteHandles.has(database)) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite probes opened by path require better-sqlite3 (npm install --save-dev better-sqlite3), or pass an open database handle');
+    }
+    sqliteHandles.set(database, new Database(database));
+  }
+  return sqliteHandles.get(database);
+}
+
+/**
+ * HTTP probe: fetches a URL (the sentinel can be part of it) and returns the JSON or text body
+ *
+ * @param {string|function(string): string} url
+ * @param {object} [options] - { method, headers, body, select: 'data.price' | (body) => value }
+ */
+function httpProbe(url, options = {}) {
+  return async (sentinel) => {
+    const response = await fetch(typeof url === 'function' ? url(sentinel) : url, {
+      method: options.method || 'GET',
+      headers: { ...(options.body !== undefined && { 'content-type': 'application/json' }), ...options.headers },
+      body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    if (response.status === 404) return undefined;
+    if (!response.ok) throw new Error(`${options.method || 'GET'} ${response.url} returned ${response.status}`);
+
+    const text = await response.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Not JSON; match against the text
+    }
+    return select(body, options.select);
+  };
+}
+
+/**
+ * In-process event emitter probe: the latest payload of an event (e.g. a cache update or IPC reply)
+ * Subscribes when created, so create it before the trace writes; close() unsubscribes
+ *
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {object} [options] - { select: 'payload.price' | (...args) => value }
+ */
+function emitterProbe(emitter, event, options = {}) {
+  let latest;
+  const listener = (...args) => {
+    latest = typeof options.select === 'function' ? options.select(...args) : select(args[0], options.select);
+  };
+  emitter.on(event, listener);
+
+  const probe = async () => latest;
+  probe.close = () => emitter.removeListener(event, listener);
+  return probe;
+}
+
+/**
+ * Pick a value by dotted path ('data.items.0.price') or function
+ */
+function select(value, selector) {
+  if (!selector) return value;
+  if (typeof selector === 'function') return selector(value);
+  return selector.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  traceSentinel,
+  describeHops,
+  describeTraceFailure,
+  loadTrace,
+  createSentinel,
+  containsSentinel,
+  sqliteProbe,
+  sqliteSource,
+  httpProbe,
+  emitterProbe,
+  DEFAULTS
+};
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const {
+  traceSentinel, describeTraceFailure, loadTrace, containsSentinel, sqliteProbe, sqliteSource, httpProbe, emitterProbe
+} = require('./data-flow');
+
+const FAST = { hopTimeout: 200, pollInterval: 5 };
+
+/**
+ * Database → service → cache pipeline; the cache only refreshes when `invalidate` is true
+ */
+function pipeline({ invalidate }) {
+  const database = { price: 'old' };
+  const bus = new EventEmitter();
+  const cache = { price: 'old' };
+  bus.on('price:changed', price => { if (invalidate) setTimeout(() => { cache.price = price; }, 10); });
+
+  return {
+    database,
+    cache,
+    trace: {
+      source: {
+        name: 'Database',
+        write: async (sentinel) => { database.price = sentinel; bus.emit('price:changed', sentinel); },
+        restore: async () => { database.price = 'old'; }
+      },
+      hops: [
+        { name: 'Service', probe: async () => ({ data: { price: database.price } }) },
+        { name: 'Cache', probe: async () => cache.price },
+        { name: 'Hook', probe: async () => cache.price }
+      ]
+    }
+  };
+}
+
+test('traceSentinel follows the sentinel through every hop and restores the source', async () => {
+  const { trace, database } = pipeline({ invalidate: true });
+  const result = await traceSentinel(trace, { ...FAST, sentinel: 'sentinel-pass' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.failedHop, null);
+  assert.deepEqual(result.hops.map(hop => hop.status), ['ok', 'ok', 'ok']);
+  assert.ok(result.hops[1].attempts > 1, 'the cache needed more than one poll');
+  assert.ok(result.hops[1].propagationMs >= result.hops[0].propagationMs);
+  assert.equal(database.price, 'old');
+});
+
+test('a stale hop fails the trace, later hops are not checked and the violation names it', async () => {
+  const { trace } = pipeline({ invalidate: false });
+  const result = await traceSentinel(trace, { ...FAST, sentinel: 'sentinel-stale' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.failedHop, 'Cache');
+  assert.deepEqual(result.hops.map(hop => hop.status), ['ok', 'stale', 'not_checked']);
+  assert.equal(result.hops[1].value, 'old');
+
+  const violation = describeTraceFailure(trace, result, 'pricing');
+  assert.equal(violation.type, 'DATA_FLOW_STALE');
+  assert.equal(violation.hop, 'Cache');
+  assert.match(violation.description, /^Sentinel written to Database reached Service, but Cache still returned a stale value after \d+ms \(old\)$/);
+  assert.equal(violation.details.length, 3);
+});
+
+test('missing values and failing probes are told apart', async () => {
+  const source = { name: 'Queue', write: async () => {} };
+  const missing = await traceSentinel({ source, hops: [{ name: 'Worker', probe: async () => undefined }] }, FAST);
+  assert.equal(describeTraceFailure({ source }, missing, 'jobs').type, 'DATA_FLOW_MISSING');
+
+  const failing = await traceSentinel({ source, hops: [{ name: 'Worker', probe: async () => { throw new Error('ECONNREFUSED'); } }] }, FAST);
+  const violation = describeTraceFailure({ source }, failing, 'jobs');
+  assert.equal(violation.type, 'DATA_FLOW_PROBE_FAILURE');
+  assert.match(violation.description, /was not seen: Worker probe failed: ECONNREFUSED$/);
+});
+
+test('traceSentinel rejects traces without a source or hops and always closes probes', async () => {
+  await assert.rejects(traceSentinel({ hops: [] }), /needs a source/);
+  await assert.rejects(traceSentinel({ source: { write: async () => {} }, hops: [] }), /at least one hop/);
+
+  const emitter = new EventEmitter();
+  const probe = emitterProbe(emitter, 'update', { select: 'payload.price' });
+  let closed = false;
+  const result = await traceSentinel({
+    source: { write: async (sentinel) => emitter.emit('update', { payload: { price: sentinel } }) },
+    hops: [{ name: 'Renderer', probe }],
+    close: async () => { closed = true; }
+  }, FAST);
+  assert.equal(result.success, true);
+  assert.equal(emitter.listenerCount('update'), 0);
+  assert.equal(closed, true);
+});
+
+test('containsSentinel matches strings, nested objects and exact scalars', () => {
+  assert.equal(containsSentinel('price: s-1', 's-1'), true);
+  assert.equal(containsSentinel({ rows: [{ label: 's-1' }] }, 's-1'), true);
+  assert.equal(containsSentinel(42, '42'), true);
+  assert.equal(containsSentinel(null, 's-1'), false);
+  assert.equal(containsSentinel({ label: 's-2' }, 's-1'), false);
+});
+
+test('sqlite adapters run statements on an open handle', async () => {
+  const rows = new Map([[7, 'old']]);
+  const database = {
+    prepare: (sql) => ({
+      run: (...params) => sql.startsWith('UPDATE') ? rows.set(params[1], params[0]) : rows.set(7, 'old'),
+      get: (id) => rows.has(id) ? { price_label: rows.get(id) } : undefined
+    })
+  };
+  const source = sqliteSource(database, 'UPDATE pricing SET price_label = ? WHERE card_id = ?', {
+    params: sentinel => [sentinel, 7],
+    restoreStatement: 'RESTORE'
+  });
+  const probe = sqliteProbe(database, 'SELECT price_label FROM pricing WHERE card_id = ?', [7]);
+
+  await source.write('s-db');
+  assert.equal(await probe('s-db'), 's-db');
+  await source.restore();
+  assert.equal(await probe(), 'old');
+  assert.equal(await sqliteProbe(database, 'SELECT', [8])(), undefined);
+});
+
+test('httpProbe selects from JSON bodies and treats 404 as missing', async (t) => {
+  const server = http.createServer((request, response) => {
+    if (request.url === '/cards/7') {
+      response.setHeader('content-type', 'application/json');
+      response.end(JSON.stringify({ data: { price: 's-http' } }));
+    } else if (request.url === '/broken') {
+      response.statusCode = 500;
+      response.end();
+    } else {
+      response.statusCode = 404;
+      response.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  assert.equal(await httpProbe(`${base}/cards/7`, { select: 'data.price' })(), 's-http');
+  assert.equal(await httpProbe(sentinel => `${base}/cards/${sentinel}`)('missing'), undefined);
+  await assert.rejects(httpProbe(`${base}/broken`)(), /GET .*\/broken returned 500/);
+});
+
+test('loadTrace accepts an object or a function module and rejects anything else', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'object.js'), "module.exports = { source: { write: async () => {} }, hops: [] };");
+  fs.writeFileSync(path.join(dir, 'factory.js'), "module.exports = async ({ entry }) => ({ source: { name: entry.name, write: async () => {} }, hops: [] });");
+  fs.writeFileSync(path.join(dir, 'invalid.js'), 'module.exports = { hops: [] };');
+
+  assert.deepEqual((await loadTrace('object.js', { rootDir: dir })).hops, []);
+  assert.equal((await loadTrace('factory.js', { rootDir: dir, entry: { name: 'pricing' } })).source.name, 'pricing');
+  await assert.rejects(loadTrace('invalid.js', { rootDir: dir }), /must export \{ source, hops \}/);
+});
@@ -0,0 +1,193 @@
+/**
+ * Verification Events and Sinks
+ * Lifecycle events of a verification run as one JSON envelope each, and the built-in sinks:
+ * an NDJSON stream (file or stdout) and HTTP webhooks with retries and HMAC-signed payloads
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const EVENTS = ['suite:start', 'phase:start', 'phase:end', 'check:result', 'violation', 'suite:end'];
+
+const WEBHOOK_DEFAULTS = {
+  retries: 3,
+  retryDelay: 1000,
+  timeout: 5000
+};
+
+const SIGNATURE_HEADER = 'X-Verification-Signature';
+const TIMESTAMP_HEADER = 'X-Verification-Timestamp';
+
+// How far a signed timestamp may be from the receiver's clock, in seconds
+const SIGNATURE_TOLERANCE = 300;
+
+/**
+ * Event envelope shared by every sink
+ *
+ * @param {string} event - One of EVENTS
+ * @param {object} run - { runId, project, instance }
+ * @param {object} payload - Event-specific fields
+ */
+function createEvent(event, run, payload = {}) {
+  return { event, timestamp: new Date().toISOString(), ...run, ...payload };
+}
+
+/**
+ * Append events as one JSON object per line to a file, or to stdout for "-"
+ *
+ * @param {string} target - File path (created with its directory) or "-"
+ * @returns {{name: string, handle(event): void, flush(): Promise<void>}}
+ */
+function createNdjsonSink(target) {
+  const toStdout = target === '-';
+  if (!toStdout) fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+
+  return {
+    name: toStdout ? 'ndjson:stdout' : `ndjson:${target}`,
+    handle(event) {
+      const line = `${JSON.stringify(event)}\n`;
+      if (toStdout) {
+        process.stdout.write(line);
+      } else {
+        fs.appendFileSync(target, line);
+      }
+    },
+    async flush() {}
+  };
+}
+
+/**
+ * POST events as JSON to a URL; failed deliveries are retried with exponential backoff
+ * With a secret, each attempt is signed: X-Verification-Timestamp: <unix seconds> and
+ * X-Verification-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * @param {object} options - { url, secret, events: event names to send (default all), retries, retryDelay, timeout (ms), headers }
+ * @param {function} [onFailure] - Called with (event, error, url) when every attempt failed
+ * @returns {{name: string, handle(event): void, flush(): Promise<void>}}
+ */
+function createWebhookSink(options, onFailure = () => {}) {
+  const settings = { ...WEBHOOK_DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const pending = new Set();
+
+  return {
+    name: `webhook:${settings.url}`,
+    handle(event) {
+      if (settings.events && !settings.events.includes(event.event)) return;
+      const delivery = deliver(settings, event).catch(error => onFailure(event, error, settings.url));
+      pending.add(delivery);
+      delivery.finally(() => pending.delete(delivery));
+    },
+    async flush() {
+      await Promise.all(Array.from(pending));
+    }
+  };
+}
+
+async function deliver(settings, event) {
+  const body = JSON.stringify(event);
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'X-Verification-Event': event.event,
+    ...settings.headers
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    if (settings.secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers[TIMESTAMP_HEADER] = String(timestamp);
+      headers[SIGNATURE_HEADER] = sign(body, settings.secret, timestamp);
+    }
+    try {
+      return await post(settings.url, body, headers, settings.timeout);
+    } catch (error) {
+      // Client errors other than rate limiting will not succeed on a retry
+      const permanent = error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429;
+      if (permanent || attempt >= settings.retries) throw error;
+      await new Promise(resolve => setTimeout(resolve, settings.retryDelay * 2 ** attempt));
+    }
+  }
+}
+
+function post(url, body, headers, timeout) {
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, { method: 'POST', headers, timeout }, response => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 300) {
+          reject(Object.assign(new Error(`POST ${url} returned ${response.statusCode}`), { statusCode: response.statusCode }));
+        } else {
+          resolve(response.statusCode);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`POST ${url} timed out after ${timeout}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * "sha256=<hex>" signature of a payload and the time it was sent; covering the timestamp keeps a
+ * captured request from being replayed later
+ */
+function sign(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received payload's signature in constant time, and that its timestamp header is recent
+ *
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Verification-Signature header
+ * @param {string} secret
+ * @param {string|number} timestamp - X-Verification-Timestamp header
+ * @param {object} [options] - { tolerance: seconds (default 300), now: unix seconds }
+ */
+function verifySignature(body, signature, secret, timestamp, { tolerance = SIGNATURE_TOLERANCE, now = Date.now() / 1000 } = {}) {
+  if (!/^\d+$/.test(String(timestamp)) || Math.abs(now - Number(timestamp)) > tolerance) return false;
+  const expected = Buffer.from(sign(body, secret, timestamp));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Sinks configured in projectConfig.events; webhook secrets are read from the environment
+ *
+ * @param {object} settings - { ndjson, webhooks: [{ url, secretEnv, events, retries, retryDelay, timeout, headers }] }
+ * @param {function} [onFailure] - Passed to every webhook sink
+ */
+function createConfiguredSinks(settings = {}, onFailure) {
+  const sinks = [];
+  if (settings.ndjson) sinks.push(createNdjsonSink(settings.ndjson));
+
+  for (const webhook of settings.webhooks || []) {
+    const { secretEnv, ...options } = webhook;
+    if (secretEnv && !process.env[secretEnv]) {
+      throw new Error(`Webhook ${webhook.url} signs with $${secretEnv}, which is not set`);
+    }
+    sinks.push(createWebhookSink({ ...options, secret: secretEnv ? process.env[secretEnv] : undefined }, onFailure));
+  }
+  return sinks;
+}
+
+module.exports = {
+  createEvent,
+  createNdjsonSink,
+  createWebhookSink,
+  createConfiguredSinks,
+  sign,
+  verifySignature,
+  EVENTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  WEBHOOK_DEFAULTS
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  createEvent, createNdjsonSink, createWebhookSink, createConfiguredSinks, sign, verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER
+} = require('./events');
+
+const run = { runId: 'run-1', project: 'Shop', instance: 'backend' };
+
+async function listen(t, statuses) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      requests.push({ headers: request.headers, body });
+      response.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hooks`, requests };
+}
+
+test('signatures cover the timestamp and expire', () => {
+  const body = JSON.stringify(createEvent('suite:end', run, { success: true }));
+  const now = 1767225600;
+  const signature = sign(body, 'secret', now);
+
+  assert.equal(verifySignature(body, signature, 'secret', String(now), { now: now + 60 }), true);
+  assert.equal(verifySignature(body, signature, 'secret', String(now + 1), { now }), false);
+  assert.equal(verifySignature(body, signature, 'other', String(now), { now }), false);
+  assert.equal(verifySignature(`${body} `, signature, 'secret', String(now), { now }), false);
+  // A captured request replayed later
+  assert.equal(verifySignature(body, signature, 'secret', String(now), { now: now + 301 }), false);
+  assert.equal(verifySignature(body, signature, 'secret', undefined, { now }), false);
+});
+
+test('webhooks send signed events and retry server errors', async (t) => {
+  const { url, requests } = await listen(t, [503, 200]);
+  const sink = createWebhookSink({ url, secret: 'secret', retryDelay: 1, events: ['suite:end'] });
+
+  sink.handle(createEvent('suite:start', run));
+  sink.handle(createEvent('suite:end', run, { success: true }));
+  await sink.flush();
+
+  assert.equal(requests.length, 2);
+  const { headers, body } = requests[1];
+  assert.equal(JSON.parse(body).event, 'suite:end');
+  assert.equal(headers['x-verification-event'], 'suite:end');
+  assert.equal(verifySignature(body, headers[SIGNATURE_HEADER.toLowerCase()], 'secret', headers[TIMESTAMP_HEADER.toLowerCase()]), true);
+});
+
+test('client errors are not retried and are reported once', async (t) => {
+  const { url, requests } = await listen(t, [400]);
+  const failures = [];
+  const sink = createWebhookSink({ url, retryDelay: 1 }, (event, error) => failures.push(error.message));
+
+  sink.handle(createEvent('violation', run));
+  await sink.flush();
+  assert.equal(requests.length, 1);
+  assert.match(failures[0], /returned 400/);
+  assert.equal(requests[0].headers[SIGNATURE_HEADER.toLowerCase()], undefined);
+});
+
+test('NDJSON files get one event per line; configured webhooks need their secret', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const target = path.join(dir, 'logs', 'events.ndjson');
+
+  const sink = createNdjsonSink(target);
+  sink.handle(createEvent('suite:start', run));
+  sink.handle(createEvent('suite:end', run, { success: false }));
+  assert.deepEqual(fs.readFileSync(target, 'utf8').trim().split('\n').map(line => JSON.parse(line).event), ['suite:start', 'suite:end']);
+
+  delete process.env.EVENTS_TEST_SECRET;
+  assert.throws(() => createConfiguredSinks({ webhooks: [{ url: 'http://127.0.0.1:9/', secretEnv: 'EVENTS_TEST_SECRET' }] }),
+    /signs with \$EVENTS_TEST_SECRET, which is not set/);
+  assert.deepEqual(createConfiguredSinks({ ndjson: target }).map(s => s.name), [`ndjson:${target}`]);
+});
@@ -0,0 +1,95 @@
+/**
+ * Minimal Glob Matching
+ * Matches the file_patterns globs used in the multi-instance YAML (e.g. src/api/**, ios/*.plist)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+const cache = new Map();
+
+/**
+ * Convert a glob to a RegExp
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}` alternatives
+ */
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  let source = '';
+  let inGroup = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories; a trailing "**" matches everything below
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Normalize a path to the forward-slash, root-relative form globs are written in
+ */
+function toPosixRelative(filePath, rootDir) {
+  const relative = rootDir && path.isAbsolute(filePath) ? path.relative(rootDir, filePath) : filePath;
+  return relative.split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+function matchesGlob(filePath, pattern) {
+  return globToRegExp(pattern).test(filePath);
+}
+
+function matchesAny(filePath, patterns = []) {
+  return patterns.some(pattern => matchesGlob(filePath, pattern));
+}
+
+/**
+ * List files below rootDir matching any of the globs, as sorted root-relative posix paths
+ */
+function findFiles(rootDir, patterns) {
+  const files = [];
+
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name)) walk(fullPath);
+      } else {
+        const file = toPosixRelative(fullPath, rootDir);
+        if (matchesAny(file, patterns)) files.push(file);
+      }
+    }
+  };
+
+  walk(rootDir);
+  return files.sort();
+}
+
+module.exports = { globToRegExp, toPosixRelative, matchesGlob, matchesAny, findFiles };
@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+
+/**
+ * Handoff State Machine
+ * Persists each instance's handoff state under status/ and enforces the lifecycle from
+ * docs/asynchronous-handoff-protocols.md; every transition is appended to a history log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const STATES = [
+  'STANDBY',
+  'ACTIVE',
+  'HANDOFF_READY',
+  'VERIFICATION',
+  'APPROVED',
+  'FAILED',
+  'REMEDIATION',
+  'HANDOFF_COMPLETE'
+];
+
+const TRANSITIONS = {
+  STANDBY: ['ACTIVE'],
+  ACTIVE: ['HANDOFF_READY'],
+  HANDOFF_READY: ['VERIFICATION'],
+  VERIFICATION: ['APPROVED', 'FAILED'],
+  APPROVED: ['HANDOFF_COMPLETE'],
+  FAILED: ['REMEDIATION'],
+  REMEDIATION: ['HANDOFF_READY'],
+  HANDOFF_COMPLETE: ['STANDBY']
+};
+
+// Only reachable through recordVerification(), from a verification report
+const VERIFICATION_OUTCOMES = ['APPROVED', 'FAILED'];
+
+const STATE_FILE = 'handoff-state.json';
+const HISTORY_FILE = 'handoff-history.jsonl';
+const LOCK_FILE = 'handoff-state.lock';
+
+const LOCK_DEFAULTS = {
+  timeout: 10000,
+  staleAfter: 60000,
+  retryDelay: 50
+};
+
+class HandoffStateMachine {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.statusDir] - Defaults to the shared status dir of the git checkout (see resolveStatusDir)
+   * @param {string} [options.actor] - Recorded in history; defaults to INSTANCE_NAME or the user
+   * @param {object} [options.lock] - { timeout, staleAfter, retryDelay } in ms
+   */
+  constructor(options = {}) {
+    this.statusDir = options.statusDir || resolveStatusDir(options.rootDir);
+    this.actor = options.actor || process.env.INSTANCE_NAME || os.userInfo().username;
+    this.lockOptions = { ...LOCK_DEFAULTS, ...options.lock };
+    this.statePath = path.join(this.statusDir, STATE_FILE);
+    this.historyPath = path.join(this.statusDir, HISTORY_FILE);
+    this.lockPath = path.join(this.statusDir, LOCK_FILE);
+  }
+
+  /**
+   * Current record for an instance; instances without one are in STANDBY
+   */
+  getState(instance) {
+    const record = this.readStateFile().instances[instance];
+    return record || { state: 'STANDBY', since: null };
+  }
+
+  getAllStates() {
+    return this.readStateFile().instances;
+  }
+
+  /**
+   * Move an instance to a new state
+   *
+   * @param {string} instance
+   * @param {string} to
+   * @param {object} [details] - { reason, reportPath, task, worktree, expect } - `expect` fails the transition
+   *   if another process moved the instance first
+   * @returns {Promise<object>} the history entry
+   */
+  async transition(instance, to, details = {}) {
+    if (VERIFICATION_OUTCOMES.includes(to)) {
+      throw new Error(`${to} is decided by verification; use recordVerification() with the suite result`);
+    }
+    return this.applyTransition(instance, to, details);
+  }
+
+  /**
+   * Decide VERIFICATION → APPROVED/FAILED from runVerificationSuite()'s result
+   */
+  async recordVerification(instance, result, details = {}) {
+    if (!result || typeof result.success !== 'boolean') {
+      throw new Error('recordVerification() needs the result of runVerificationSuite() (with a boolean success)');
+    }
+    return this.applyTransition(instance, result.success ? 'APPROVED' : 'FAILED', {
+      reason: result.success ? 'All verifications passed' : result.error || 'Verification issues found',
+      ...details,
+      expect: 'VERIFICATION',
+      summary: result.summary
+    });
+  }
+
+  /**
+   * Hand an ambiguous verification to a human; the instance stays in VERIFICATION until resolved
+   */
+  async escalate(instance, details = {}) {
+    return this.update(instance, (current, at) => {
+      if (current.state !== 'VERIFICATION') {
+        throw new Error(`Only verifications can be escalated; ${instance} is ${current.state}`);
+      }
+      return {
+        record: { ...current, escalation: { at, reason: details.reason, reportPath: details.reportPath } },
+        entry: { event: 'escalated', from: current.state, to: current.state, reason: details.reason, reportPath: details.reportPath }
+      };
+    });
+  }
+
+  /**
+   * Human decision on an escalated verification
+   */
+  async resolveEscalation(instance, approve, details = {}) {
+    const { escalation } = this.getState(instance);
+    if (!escalation) {
+      throw new Error(`${instance} has no open escalation; APPROVED/FAILED are decided by verification`);
+    }
+    return this.applyTransition(instance, approve ? 'APPROVED' : 'FAILED', {
+      reportPath: escalation.reportPath,
+      ...details,
+      expect: 'VERIFICATION',
+      reason: details.reason || `Escalation ${approve ? 'approved' : 'denied'}`
+    });
+  }
+
+  /**
+   * Verify a handoff end to end: HANDOFF_READY → VERIFICATION → APPROVED/FAILED
+   *
+   * @param {string} instance
+   * @param {GenericVerificationFramework} framework - configured for the instance's worktree
+   * @returns {Promise<{report: object, reportPath: string, entry: object}>}
+   */
+  async runVerification(instance, framework, details = {}) {
+    if (this.getState(instance).state !== 'VERIFICATION') {
+      await this.transition(instance, 'VERIFICATION', { reason: 'Verification started', ...details, expect: 'HANDOFF_READY' });
+    }
+
+    const report = await framework.runVerificationSuite();
+    const reportPath = framework.saveDetailedReport(report);
+    const entry = await this.recordVerification(instance, report, { ...details, reportPath });
+    return { report, reportPath, entry };
+  }
+
+  /**
+   * Transition history, oldest first
+   */
+  getHistory(instance) {
+    if (!fs.existsSync(this.historyPath)) return [];
+    const entries = fs.readFileSync(this.historyPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+    return instance ? entries.filter(entry => entry.instance === instance) : entries;
+  }
+
+  async applyTransition(instance, to, details) {
+    if (!STATES.includes(to)) {
+      throw new Error(`Unknown handoff state "${to}" (known: ${STATES.join(', ')})`);
+    }
+
+    return this.update(instance, (current, at) => {
+      if (details.expect && current.state !== details.expect) {
+        throw new Error(`${instance} is ${current.state}, expected ${details.expect}`);
+      }
+      if (!TRANSITIONS[current.state].includes(to)) {
+        throw new Error(`Illegal transition for ${instance}: ${current.state} → ${to} (allowed: ${TRANSITIONS[current.state].join(', ')})`);
+      }
+
+      return {
+        record: {
+          state: to,
+          since: at,
+          updatedBy: this.actor,
+          task: details.task !== undefined ? details.task : current.task,
+          worktree: details.worktree || current.worktree,
+          reportPath: details.reportPath || current.reportPath,
+          // Who runs the verification, so a coordinator only resumes the ones whose process died
+          verifier: to === 'VERIFICATION' ? { actor: this.actor, pid: process.pid, host: os.hostname() } : undefined
+        },
+        entry: {
+          from: current.state,
+          to,
+          reason: details.reason,
+          reportPath: details.reportPath,
+          summary: details.summary
+        }
+      };
+    });
+  }
+
+  /**
+   * Replace an instance's record under the lock and append the matching history entry
+   *
+   * @param {function(object, string): {record: object, entry: object}} change - receives the current record and timestamp
+   */
+  async update(instance, change) {
+    return this.withLock(() => {
+      const document = this.readStateFile();
+      const current = document.instances[instance] || { state: 'STANDBY' };
+      const at = new Date().toISOString();
+      const { record, entry } = change(current, at);
+
+      document.instances[instance] = record;
+      document.updatedAt = at;
+      const historyEntry = { at, instance, ...entry, actor: this.actor };
+
+      // State first: the history never records a transition that did not take effect
+      writeFileAtomic(this.statePath, JSON.stringify(document, null, 2) + '\n');
+      fs.appendFileSync(this.historyPath, JSON.stringify(historyEntry) + '\n');
+      return historyEntry;
+    });
+  }
+
+  readStateFile() {
+    if (!fs.existsSync(this.statePath)) return { instances: {} };
+    const document = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    return { ...document, instances: document.instances || {} };
+  }
+
+  /**
+   * Run fn while holding the status directory lock (an O_EXCL lock file, safe across worktrees and processes)
+   */
+  async withLock(fn) {
+    fs.mkdirSync(this.statusDir, { recursive: true });
+    await acquireLock(this.lockPath, { actor: this.actor }, this.lockOptions);
+    try {
+      return await fn();
+    } finally {
+      releaseLock(this.lockPath);
+    }
+  }
+}
+
+/**
+ * Create an O_EXCL lock file, waiting for the current holder; dead or expired holders are taken over
+ *
+ * @param {string} lockPath
+ * @param {object} [owner] - Extra details stored in the lock (shown to waiters)
+ * @param {object} [options] - { timeout, staleAfter, retryDelay } in ms
+ */
+async function acquireLock(lockPath, owner = {}, options = {}) {
+  const { timeout, staleAfter, retryDelay } = { ...LOCK_DEFAULTS, ...options };
+  const started = Date.now();
+  const content = JSON.stringify({ ...owner, pid: process.pid, host: os.hostname(), at: new Date().toISOString() });
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, content, { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (breakStaleLock(lockPath, staleAfter)) continue;
+    if (Date.now() - started > timeout) {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${lockPath} (held by ${readLockOwner(lockPath)})`);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryDelay + Math.random() * retryDelay));
+  }
+}
+
+function releaseLock(lockPath) {
+  fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Status directory shared by all worktrees of a repository: <main worktree>/status
+ * HANDOFF_STATUS_DIR overrides it; outside git it is <rootDir>/status
+ */
+function resolveStatusDir(rootDir = process.cwd()) {
+  if (process.env.HANDOFF_STATUS_DIR) return path.resolve(process.env.HANDOFF_STATUS_DIR);
+
+  try {
+    const commonDir = execFileSync('git', ['rev-parse', '--git-common-dir'], {
+      cwd: rootDir,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    const gitDir = path.resolve(rootDir, commonDir);
+    if (path.basename(gitDir) === '.git') return path.join(path.dirname(gitDir), 'status');
+  } catch (error) {
+    // Not a git checkout
+  }
+  return path.resolve(rootDir, 'status');
+}
+
+/**
+ * Remove a lock whose holder died (same host) or that is older than staleAfter
+ */
+function breakStaleLock(lockPath, staleAfter) {
+  let content;
+  let stats;
+  try {
+    content = fs.readFileSync(lockPath, 'utf8');
+    stats = fs.statSync(lockPath);
+  } catch (error) {
+    return error.code === 'ENOENT';
+  }
+
+  let owner = {};
+  try {
+    owner = JSON.parse(content);
+  } catch (error) {
+    // Holder is still writing its details; judge by age only
+  }
+
+  const expired = Date.now() - stats.mtimeMs > staleAfter;
+  const holderDead = owner.host === os.hostname() && owner.pid && !isProcessAlive(owner.pid);
+  if (!expired && !holderDead) return false;
+
+  // Rename first so two waiters cannot both break the lock and delete a fresh one
+  const claimed = `${lockPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockPath, claimed);
+  } catch (error) {
+    return error.code === 'ENOENT';
+  }
+  if (fs.readFileSync(claimed, 'utf8') !== content) {
+    // Another waiter replaced the lock in between: give it back
+    try {
+      fs.linkSync(claimed, lockPath);
+    } catch (error) {
+      // Someone else holds it now either way
+    }
+  }
+  fs.rmSync(claimed, { force: true });
+  return true;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function readLockOwner(lockPath) {
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    return `${owner.actor || 'unknown'} (pid ${owner.pid} on ${owner.host})`;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Top-level directory of the git worktree the command runs in, recorded so the coordinator verifies the right checkout
+ */
+function currentWorktree() {
+  try {
+    return execFileSync('git', ['rev-parse', '--show-toplevel'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return process.cwd();
+  }
+}
+
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Command line: status | history [instance] | transition <instance> <state> [reason] | resolve <instance> approve|deny [reason]
+ */
+async function main() {
+  const [command, instance, state, ...reason] = process.argv.slice(2);
+  const machine = new HandoffStateMachine();
+
+  switch (command) {
+    case 'status': {
+      const states = machine.getAllStates();
+      const names = instance ? [instance] : Object.keys(states);
+      for (const name of names) {
+        const record = states[name] || machine.getState(name);
+        const escalated = record.escalation ? ` - escalated: ${record.escalation.reason}` : '';
+        console.log(`${name}: ${record.state}${record.since ? ` since ${record.since}` : ''}${record.reportPath ? ` (${record.reportPath})` : ''}${escalated}`);
+      }
+      break;
+    }
+    case 'history':
+      for (const entry of machine.getHistory(instance)) {
+        const change = entry.event === 'escalated' ? `${entry.from} escalated` : `${entry.from} → ${entry.to}`;
+        console.log(`${entry.at} ${entry.instance}: ${change} by ${entry.actor}${entry.reason ? ` - ${entry.reason}` : ''}${entry.reportPath ? ` (${entry.reportPath})` : ''}`);
+      }
+      break;
+    case 'transition': {
+      if (!instance || !state) throw new Error('Usage: handoff-state.js transition <instance> <state> [reason]');
+      const entry = await machine.transition(instance, state.toUpperCase(), {
+        reason: reason.join(' ') || undefined,
+        worktree: currentWorktree()
+      });
+      console.log(`${entry.instance}: ${entry.from} → ${entry.to}`);
+      break;
+    }
+    case 'resolve': {
+      if (!instance || !['approve', 'deny'].includes(state)) throw new Error('Usage: handoff-state.js resolve <instance> approve|deny [reason]');
+      const entry = await machine.resolveEscalation(instance, state === 'approve', { reason: reason.join(' ') || undefined });
+      console.log(`${entry.instance}: ${entry.from} → ${entry.to}`);
+      break;
+    }
+    default:
+      console.log('Usage: handoff-state.js status [instance] | history [instance] | transition <instance> <state> [reason] | resolve <instance> approve|deny [reason]');
+      process.exit(command ? 1 : 0);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { HandoffStateMachine, resolveStatusDir, acquireLock, releaseLock, isProcessAlive, STATES, TRANSITIONS };
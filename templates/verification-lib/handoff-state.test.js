@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HandoffStateMachine, acquireLock, releaseLock } = require('./handoff-state');
+
+function machine(t, options = {}) {
+  const statusDir = fs.mkdtempSync(path.join(os.tmpdir(), 'handoff-'));
+  t.after(() => fs.rmSync(statusDir, { recursive: true, force: true }));
+  return new HandoffStateMachine({ statusDir, actor: 'instance_3', ...options });
+}
+
+async function readyForVerification(handoffs, instance) {
+  await handoffs.transition(instance, 'ACTIVE', { task: 'Add invoice API' });
+  await handoffs.transition(instance, 'HANDOFF_READY');
+}
+
+test('transitions follow the lifecycle and are recorded in history', async (t) => {
+  const handoffs = machine(t);
+  assert.deepEqual(handoffs.getState('instance_1'), { state: 'STANDBY', since: null });
+
+  await readyForVerification(handoffs, 'instance_1');
+  assert.equal(handoffs.getState('instance_1').state, 'HANDOFF_READY');
+  assert.equal(handoffs.getState('instance_1').task, 'Add invoice API');
+  assert.equal(handoffs.getState('instance_1').updatedBy, 'instance_3');
+
+  await assert.rejects(handoffs.transition('instance_1', 'HANDOFF_COMPLETE'), /Illegal transition for instance_1: HANDOFF_READY → HANDOFF_COMPLETE/);
+  await assert.rejects(handoffs.transition('instance_1', 'DONE'), /Unknown handoff state "DONE"/);
+  await assert.rejects(handoffs.transition('instance_1', 'VERIFICATION', { expect: 'ACTIVE' }), /instance_1 is HANDOFF_READY, expected ACTIVE/);
+
+  assert.deepEqual(handoffs.getHistory('instance_1').map(entry => [entry.from, entry.to, entry.actor]), [
+    ['STANDBY', 'ACTIVE', 'instance_3'],
+    ['ACTIVE', 'HANDOFF_READY', 'instance_3']
+  ]);
+});
+
+test('APPROVED and FAILED only come from a verification result', async (t) => {
+  const handoffs = machine(t);
+  await readyForVerification(handoffs, 'instance_1');
+  await handoffs.transition('instance_1', 'VERIFICATION');
+
+  await assert.rejects(handoffs.transition('instance_1', 'APPROVED'), /decided by verification/);
+  await assert.rejects(handoffs.recordVerification('instance_1', {}), /needs the result of runVerificationSuite/);
+
+  const entry = await handoffs.recordVerification('instance_1', { success: false, summary: { critical: 1 } });
+  assert.equal(entry.to, 'FAILED');
+  assert.deepEqual(entry.summary, { critical: 1 });
+});
+
+test('runVerification moves HANDOFF_READY through VERIFICATION to the suite outcome', async (t) => {
+  const handoffs = machine(t);
+  await readyForVerification(handoffs, 'instance_1');
+  const report = { success: true, summary: { critical: 0 } };
+  const framework = {
+    runVerificationSuite: async () => report,
+    saveDetailedReport: () => 'verification-report.json'
+  };
+
+  const result = await handoffs.runVerification('instance_1', framework);
+  assert.equal(result.report, report);
+  assert.equal(result.entry.to, 'APPROVED');
+  assert.equal(handoffs.getState('instance_1').reportPath, 'verification-report.json');
+});
+
+test('escalations stay in VERIFICATION until a human resolves them', async (t) => {
+  const handoffs = machine(t);
+  await readyForVerification(handoffs, 'instance_1');
+  await assert.rejects(handoffs.escalate('instance_1', { reason: 'flaky' }), /Only verifications can be escalated/);
+  await assert.rejects(handoffs.resolveEscalation('instance_1', true), /has no open escalation/);
+
+  await handoffs.transition('instance_1', 'VERIFICATION');
+  await handoffs.escalate('instance_1', { reason: 'Infrastructure errors only', reportPath: 'report.json' });
+  assert.equal(handoffs.getState('instance_1').state, 'VERIFICATION');
+  assert.equal(handoffs.getState('instance_1').escalation.reason, 'Infrastructure errors only');
+
+  const entry = await handoffs.resolveEscalation('instance_1', false);
+  assert.equal(entry.to, 'FAILED');
+  assert.equal(entry.reason, 'Escalation denied');
+  assert.equal(entry.reportPath, 'report.json');
+});
+
+test('concurrent writers serialize through the lock', async (t) => {
+  const handoffs = machine(t);
+  await Promise.all(['a', 'b', 'c', 'd'].map(instance => handoffs.transition(instance, 'ACTIVE')));
+  assert.deepEqual(Object.keys(handoffs.getAllStates()).sort(), ['a', 'b', 'c', 'd']);
+  assert.equal(handoffs.getHistory().length, 4);
+});
+
+test('locks time out while held and are taken over from dead holders', async (t) => {
+  const handoffs = machine(t, { lock: { timeout: 100, retryDelay: 10 } });
+  fs.mkdirSync(handoffs.statusDir, { recursive: true });
+
+  await acquireLock(handoffs.lockPath, { actor: 'instance_2' });
+  await assert.rejects(handoffs.transition('instance_1', 'ACTIVE'), /Timed out after 100ms .*held by instance_2/);
+  releaseLock(handoffs.lockPath);
+
+  fs.writeFileSync(handoffs.lockPath, JSON.stringify({ actor: 'crashed', pid: 2 ** 22 + 1, host: os.hostname() }));
+  await handoffs.transition('instance_1', 'ACTIVE');
+  assert.equal(fs.existsSync(handoffs.lockPath), false);
+});
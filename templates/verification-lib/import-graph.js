@@ -0,0 +1,359 @@
+/**
+ * Import Graph Analysis
+ * Builds the module import graph of a project's JS/TS sources, maps files to architectural
+ * layers by glob and checks imports against the layers' declared dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny, toPosixRelative } = require('./glob');
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', '.next', 'out']);
+
+const IMPORT_PATTERNS = [
+  // import x from 'y' / import { a } from 'y' / import 'y' / import type { T } from 'y'
+  /\bimport\s+(?:type\s+)?(?:[\w*{}\s,$]+?\s+from\s+)?(['"])([^'"\n]+)\1/g,
+  // export * from 'y' / export { a } from 'y'
+  /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+(['"])([^'"\n]+)\1/g,
+  // require('y') / import('y')
+  /\b(?:require|import)\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g
+];
+
+/**
+ * List source files below rootDir as root-relative posix paths
+ */
+function collectSourceFiles(rootDir, { include, exclude = [] } = {}) {
+  const files = [];
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) walk(path.join(dir, entry.name));
+        continue;
+      }
+      if (!SOURCE_EXTENSIONS.includes(path.extname(entry.name)) || entry.name.endsWith('.d.ts')) continue;
+
+      const file = toPosixRelative(path.join(dir, entry.name), rootDir);
+      if (include && !matchesAny(file, include)) continue;
+      if (matchesAny(file, exclude)) continue;
+      files.push(file);
+    }
+  };
+
+  walk(rootDir);
+  return files.sort();
+}
+
+// Keywords after which a slash starts a regex literal rather than a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+/**
+ * Replace comments, template literal text and regex literal bodies with spaces (keeping line breaks
+ * and offsets) so commented-out or generated import statements are not mistaken for real ones
+ * Code inside `${...}` substitutions is kept; `strings: true` also blanks the text of quoted strings
+ */
+function maskNonCode(source, { strings = false } = {}) {
+  const chars = source.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < Math.min(to, chars.length); k++) {
+      if (chars[k] !== '\n') chars[k] = ' ';
+    }
+  };
+  // Brace depth inside each open `${`, innermost last
+  const substitutions = [];
+  // Last token seen, to tell a regex literal from a division
+  let previous = '';
+  let i = 0;
+
+  // Template text up to the closing backtick or the next `${`
+  const templateText = () => {
+    const start = i;
+    while (i < source.length && source[i] !== '`' && !(source[i] === '$' && source[i + 1] === '{')) {
+      i += source[i] === '\\' ? 2 : 1;
+    }
+    blank(start, i);
+    if (source[i] === '$') {
+      substitutions.push(0);
+      i += 2;
+      previous = '{';
+    } else {
+      i++;
+      previous = ')';
+    }
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"' || char === '\'') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      if (strings) blank(i + 1, j);
+      i = j + 1;
+      previous = ')';
+    } else if (char === '`') {
+      i++;
+      templateText();
+    } else if (char === '}' && substitutions[substitutions.length - 1] === 0) {
+      substitutions.pop();
+      i++;
+      templateText();
+    } else if (char === '/' && startsRegex(previous) && regexEnd(source, i) !== -1) {
+      const end = regexEnd(source, i);
+      blank(i + 1, end);
+      i = end + 1;
+      previous = ')';
+    } else if (/[\w$]/.test(char)) {
+      let j = i + 1;
+      while (j < source.length && /[\w$]/.test(source[j])) j++;
+      previous = source.slice(i, j);
+      i = j;
+    } else {
+      if (substitutions.length > 0 && (char === '{' || char === '}')) {
+        substitutions[substitutions.length - 1] += char === '{' ? 1 : -1;
+      }
+      if (!/\s/.test(char)) previous = char;
+      i++;
+    }
+  }
+  return chars.join('');
+}
+
+/**
+ * Whether a slash after this token starts a regex literal
+ * `<` and `>` are left out so JSX closing tags (</div>) read as divisions
+ */
+function startsRegex(previous) {
+  return previous === '' || '(,=:[!&|?{};+-*%~^'.includes(previous) || REGEX_KEYWORDS.has(previous);
+}
+
+/**
+ * Index of the slash closing the regex literal opened at start, -1 when the line ends first
+ */
+function regexEnd(source, start) {
+  let inClass = false;
+  for (let j = start + 1; j < source.length; j++) {
+    const char = source[j];
+    if (char === '\\') {
+      j++;
+    } else if (char === '\n') {
+      return -1;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '/') {
+      return j;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find import specifiers with the line they appear on
+ *
+ * @returns {Array<{specifier: string, line: number}>}
+ */
+function parseImports(source) {
+  const code = maskNonCode(source);
+  const found = new Map();
+
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      const specifierIndex = match.index + match[0].lastIndexOf(match[2]);
+      const line = code.slice(0, specifierIndex).split('\n').length;
+      found.set(`${line}:${match[2]}`, { specifier: match[2], line });
+    }
+  }
+
+  return Array.from(found.values()).sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Resolve a relative or aliased specifier to a project file; package imports resolve to null
+ */
+function resolveImport(fromFile, specifier, fileSet, aliases = {}) {
+  let base = null;
+
+  if (specifier.startsWith('./') || specifier.startsWith('../')) {
+    base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+  } else {
+    const alias = Object.keys(aliases).find(prefix => specifier.startsWith(prefix));
+    if (alias) base = path.posix.normalize(aliases[alias] + specifier.slice(alias.length));
+  }
+  if (base === null) return null;
+
+  // TS ESM code imports "./x.js" for "./x.ts"
+  const stems = [base, base.replace(/\.(m|c)?jsx?$/, '')];
+  for (const stem of stems) {
+    const candidates = [stem, ...SOURCE_EXTENSIONS.map(ext => stem + ext), ...SOURCE_EXTENSIONS.map(ext => `${stem}/index${ext}`)];
+    const found = candidates.find(candidate => fileSet.has(candidate));
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Build the project import graph
+ *
+ * @param {string} rootDir
+ * @param {object} [options] - { include, exclude, aliases: { '@/': 'src/' } }
+ * @returns {{ files: string[], edges: Array<{from, to, specifier, line}> }}
+ */
+function buildImportGraph(rootDir, options = {}) {
+  const files = collectSourceFiles(rootDir, options);
+  const fileSet = new Set(files);
+  const edges = [];
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    for (const { specifier, line } of parseImports(source)) {
+      const target = resolveImport(file, specifier, fileSet, options.aliases);
+      if (target && target !== file) {
+        edges.push({ from: file, to: target, specifier, line });
+      }
+    }
+  }
+
+  return { files, edges };
+}
+
+/**
+ * Check imports against the declared layer dependencies
+ * An import is allowed within a layer and from a layer to anything it depends on, directly or transitively
+ *
+ * @param {object} graph - from buildImportGraph()
+ * @param {Array<{name: string, filePatterns: string[], dependencies: string[]}>} layers
+ * @returns {{ fileLayers: Map, violations: object[], cycles: object[] }}
+ */
+function checkLayerDependencies(graph, layers) {
+  const mappedLayers = layers.filter(layer => layer.filePatterns && layer.filePatterns.length > 0);
+  const fileLayers = new Map();
+  for (const file of graph.files) {
+    const layer = mappedLayers.find(candidate => matchesAny(file, candidate.filePatterns));
+    if (layer) fileLayers.set(file, layer.name);
+  }
+
+  const allowed = transitiveDependencies(layers);
+  const violations = [];
+  const layerEdges = new Map();
+
+  for (const edge of graph.edges) {
+    const fromLayer = fileLayers.get(edge.from);
+    const toLayer = fileLayers.get(edge.to);
+    if (!fromLayer || !toLayer || fromLayer === toLayer) continue;
+
+    const key = `${fromLayer}→${toLayer}`;
+    if (!layerEdges.has(key)) layerEdges.set(key, { from: fromLayer, to: toLayer, imports: [] });
+    layerEdges.get(key).imports.push(edge);
+
+    if (!allowed.get(fromLayer).has(toLayer)) {
+      violations.push({ ...edge, fromLayer, toLayer });
+    }
+  }
+
+  return { fileLayers, violations, cycles: findLayerCycles(Array.from(layerEdges.values())) };
+}
+
+function transitiveDependencies(layers) {
+  const direct = new Map(layers.map(layer => [layer.name, layer.dependencies || []]));
+  const closure = new Map();
+
+  const visit = (name, seen) => {
+    for (const dependency of direct.get(name) || []) {
+      if (seen.has(dependency)) continue;
+      seen.add(dependency);
+      visit(dependency, seen);
+    }
+    return seen;
+  };
+
+  for (const layer of layers) closure.set(layer.name, visit(layer.name, new Set()));
+  return closure;
+}
+
+/**
+ * Strongly connected groups of layers in the actual import graph (Tarjan)
+ *
+ * @returns {Array<{layers: string[], imports: object[]}>} one entry per cycle, with the imports forming it
+ */
+function findLayerCycles(layerEdges) {
+  const adjacency = new Map();
+  for (const edge of layerEdges) {
+    if (!adjacency.has(edge.from)) adjacency.set(edge.from, []);
+    if (!adjacency.has(edge.to)) adjacency.set(edge.to, []);
+    adjacency.get(edge.from).push(edge.to);
+  }
+
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (node) => {
+    indices.set(node, index);
+    lowLinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const neighbour of adjacency.get(node)) {
+      if (!indices.has(neighbour)) {
+        connect(neighbour);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(neighbour)));
+      } else if (onStack.has(neighbour)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(neighbour)));
+      }
+    }
+
+    if (lowLinks.get(node) === indices.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1) components.push(component.sort());
+    }
+  };
+
+  for (const node of adjacency.keys()) {
+    if (!indices.has(node)) connect(node);
+  }
+
+  return components.map(component => ({
+    layers: component,
+    imports: layerEdges
+      .filter(edge => component.includes(edge.from) && component.includes(edge.to))
+      .flatMap(edge => edge.imports.map(imported => ({ ...imported, fromLayer: edge.from, toLayer: edge.to })))
+  }));
+}
+
+module.exports = {
+  collectSourceFiles,
+  maskNonCode,
+  parseImports,
+  resolveImport,
+  buildImportGraph,
+  checkLayerDependencies,
+  SOURCE_EXTENSIONS
+};
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { maskNonCode, parseImports, resolveImport, checkLayerDependencies } = require('./import-graph');
+
+const specifiers = source => parseImports(source).map(({ specifier, line }) => `${line}:${specifier}`);
+
+test('parseImports finds import, export-from, require and dynamic import with their lines', () => {
+  const source = [
+    "import a from './a';",
+    "import type { T } from './types';",
+    "export * from './all';",
+    "const b = require('./b');",
+    "const c = await import('./c');",
+    "import './side-effect';"
+  ].join('\n');
+  assert.deepEqual(specifiers(source), ['1:./a', '2:./types', '3:./all', '4:./b', '5:./c', '6:./side-effect']);
+});
+
+test('parseImports ignores imports in comments and template text', () => {
+  const source = [
+    "// const old = require('./commented');",
+    "/* import gone from './block'; */",
+    'const snippet = `import x from "./generated";`;',
+    "const kept = require('./kept');"
+  ].join('\n');
+  assert.deepEqual(specifiers(source), ['4:./kept']);
+});
+
+test('parseImports keeps reading after quotes inside regex literals', () => {
+  const source = "const re = /`/;\nimport a from './a';\nconst b = require('./b');\nconst t = `x`;\n";
+  assert.deepEqual(specifiers(source), ['2:./a', '3:./b']);
+
+  const classes = "const quote = /[\"'`/]/g;\nconst half = total / 2 / count;\nimport c from './c';";
+  assert.deepEqual(specifiers(classes), ['3:./c']);
+});
+
+test('parseImports reads code inside template substitutions', () => {
+  const source = "const t = `a ${require('./c')} ${ { x: `nested ${require('./d')}` }.x } import e from './e'`;\nconst f = require('./f');";
+  assert.deepEqual(specifiers(source), ['1:./c', '1:./d', '2:./f']);
+});
+
+test('maskNonCode keeps offsets and line breaks', () => {
+  const source = "const r = /a'b/; // note\nconst s = `x\n${y}`;";
+  const masked = maskNonCode(source);
+  assert.equal(masked.length, source.length);
+  assert.equal(masked.split('\n').length, source.split('\n').length);
+  assert.equal(masked, "const r = /   /;        \nconst s = ` \n${y}`;");
+});
+
+test('resolveImport resolves relative, index, aliased and TS ESM .js specifiers', () => {
+  const files = new Set(['src/app.ts', 'src/lib/index.ts', 'src/lib/util.ts', 'src/ui/button.tsx']);
+  assert.equal(resolveImport('src/app.ts', './lib', files), 'src/lib/index.ts');
+  assert.equal(resolveImport('src/lib/index.ts', './util.js', files), 'src/lib/util.ts');
+  assert.equal(resolveImport('src/lib/util.ts', '../ui/button', files), 'src/ui/button.tsx');
+  assert.equal(resolveImport('src/app.ts', '@/ui/button', files, { '@/': 'src/' }), 'src/ui/button.tsx');
+  assert.equal(resolveImport('src/app.ts', 'react', files), null);
+  assert.equal(resolveImport('src/app.ts', './missing', files), null);
+});
+
+test('checkLayerDependencies reports imports against the declared direction and cycles', () => {
+  const layers = [
+    { name: 'ui', filePatterns: ['src/ui/**'], dependencies: ['services'] },
+    { name: 'services', filePatterns: ['src/services/**'], dependencies: ['data'] },
+    { name: 'data', filePatterns: ['src/data/**'], dependencies: [] }
+  ];
+  const graph = {
+    files: ['src/ui/page.ts', 'src/services/users.ts', 'src/data/db.ts', 'scripts/seed.ts'],
+    edges: [
+      { from: 'src/ui/page.ts', to: 'src/data/db.ts', specifier: '../data/db', line: 1 },
+      { from: 'src/services/users.ts', to: 'src/data/db.ts', specifier: '../data/db', line: 1 },
+      { from: 'src/data/db.ts', to: 'src/services/users.ts', specifier: '../services/users', line: 4 },
+      { from: 'scripts/seed.ts', to: 'src/data/db.ts', specifier: '../src/data/db', line: 1 }
+    ]
+  };
+
+  const { fileLayers, violations, cycles } = checkLayerDependencies(graph, layers);
+  assert.equal(fileLayers.get('scripts/seed.ts'), undefined);
+  // ui → data is allowed through services
+  assert.deepEqual(violations.map(v => `${v.fromLayer}→${v.toLayer}:${v.line}`), ['data→services:4']);
+  assert.deepEqual(cycles.map(cycle => cycle.layers), [['data', 'services']]);
+  assert.equal(cycles[0].imports.length, 2);
+});
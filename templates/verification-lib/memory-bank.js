@@ -0,0 +1,222 @@
+/**
+ * Memory Bank Verification
+ * Checks that memory-bank/ has its required files, that feature files keep the sections of the
+ * sample feature without leftover placeholder text, and that progress and active context were
+ * updated when code changed since the last approved handoff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getChangedFiles, git } = require('./changes');
+const { matchesAny } = require('./glob');
+const { HandoffStateMachine } = require('./handoff-state');
+
+const DEFAULTS = {
+  dir: 'memory-bank',
+  required: ['projectbrief.md', 'productContext.md', 'activeContext.md', 'progress.md', 'systemPatterns.md', 'techContext.md', 'features/'],
+  featureTemplate: 'features/sample-feature.md',
+  mustUpdate: ['progress.md', 'activeContext.md'],
+  // Changes that do not count as code
+  ignore: ['**/*.md', 'status/**']
+};
+
+// "[Requirement 1]", "[Add implementation details here]"; not links, references or checkboxes
+const PLACEHOLDER_TEXT = /\[([A-Z][^\]\n]*)\](?![(\[:])/g;
+
+/**
+ * Memory bank settings with defaults; paths in `required`, `featureTemplate` and `mustUpdate`
+ * are relative to `dir`, a trailing slash marks a directory
+ */
+function resolveSettings(settings = {}) {
+  return { ...DEFAULTS, ...settings };
+}
+
+/**
+ * Required files and directories that do not exist
+ *
+ * @returns {string[]} paths relative to the memory bank
+ */
+function findMissingFiles(memoryDir, required) {
+  return required.filter(entry => {
+    const target = path.join(memoryDir, entry);
+    if (!fs.existsSync(target)) return true;
+    return entry.endsWith('/') ? !fs.statSync(target).isDirectory() : !fs.statSync(target).isFile();
+  });
+}
+
+/**
+ * Title and `##` section headings of a Markdown document, outside code fences
+ */
+function readSections(markdown) {
+  const lines = stripCode(markdown).split('\n');
+  return {
+    title: (lines.find(line => /^# \S/.test(line)) || '').slice(2).trim() || null,
+    sections: lines.filter(line => /^## \S/.test(line)).map(line => line.slice(3).trim())
+  };
+}
+
+/**
+ * Check every feature file against the sections of the feature template
+ *
+ * @returns {Array<{file: string, missingSections: string[], missingTitle: boolean, placeholders: Array<{line: number, text: string}>}>}
+ *   one entry per feature file with problems; `file` is relative to the memory bank
+ */
+function checkFeatureFiles(memoryDir, featureTemplate) {
+  const templatePath = path.join(memoryDir, featureTemplate);
+  const featuresDir = path.dirname(templatePath);
+  if (!fs.existsSync(featuresDir)) return [];
+
+  const expected = fs.existsSync(templatePath) ? readSections(fs.readFileSync(templatePath, 'utf8')).sections : [];
+  const problems = [];
+
+  for (const name of fs.readdirSync(featuresDir).filter(file => file.endsWith('.md')).sort()) {
+    const filePath = path.join(featuresDir, name);
+    if (filePath === templatePath) continue;
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    const { title, sections } = readSections(text);
+    const result = {
+      file: path.relative(memoryDir, filePath).split(path.sep).join('/'),
+      missingTitle: !title,
+      missingSections: expected.filter(section => !sections.includes(section)),
+      placeholders: findPlaceholderText(text)
+    };
+    if (result.missingTitle || result.missingSections.length > 0 || result.placeholders.length > 0) {
+      problems.push(result);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Template text such as "[Requirement 1]" left in a document, with 1-based line numbers
+ */
+function findPlaceholderText(markdown) {
+  return stripCode(markdown).split('\n').flatMap((line, index) =>
+    Array.from(line.matchAll(PLACEHOLDER_TEXT), match => ({ line: index + 1, text: match[0] })));
+}
+
+/**
+ * Code changed since the instance's last approved handoff while the must-update files were not
+ *
+ * @param {string} rootDir
+ * @param {object} options - { memoryDir, mustUpdate, ignore, instance, history: handoff history entries (read from status/ when omitted) }
+ * @returns {{approval: object|null, commit?: string, changedCode?: string[], stale?: string[]}}
+ *   approval is null when no handoff was approved yet; stale lists must-update files left unchanged
+ */
+function checkFreshness(rootDir, options) {
+  const history = options.history || readHistory(rootDir);
+  const approvals = history.filter(entry => entry.to === 'APPROVED');
+  const own = approvals.filter(entry => entry.instance === options.instance);
+  const approval = (own.length > 0 ? own : approvals).pop() || null;
+  if (!approval) return { approval: null };
+
+  // The last commit of this checkout made before the approval; everything after it is new work
+  const commit = git(rootDir, ['rev-list', '-1', `--before=${approval.at}`, 'HEAD']).trim();
+  if (!commit) return { approval, commit: null, changedCode: [], stale: [] };
+
+  const { files } = getChangedFiles(rootDir, commit);
+  const memoryPrefix = `${toPosix(path.relative(rootDir, options.memoryDir))}/`;
+  const changedCode = files.filter(file => !file.startsWith(memoryPrefix) && !matchesAny(file, options.ignore));
+  const stale = changedCode.length === 0 ? [] : options.mustUpdate.filter(file => !files.includes(`${memoryPrefix}${file}`));
+  return { approval, commit, changedCode, stale };
+}
+
+/**
+ * Memory bank findings: missing required files (HIGH), feature files that drop the sample feature's
+ * sections or keep its template text (MEDIUM), and progress/active context left unchanged while code
+ * changed since the last approved handoff (HIGH)
+ *
+ * @param {string} rootDir
+ * @param {object} settings - resolveSettings() result
+ * @param {object} [options] - { instance, history }
+ * @returns {{approval: object|null, violations: object[]}} approval is null before the first approved handoff
+ */
+function verifyMemoryBank(rootDir, settings, options = {}) {
+  const memoryDir = path.resolve(rootDir, settings.dir);
+  const violations = [];
+
+  for (const file of findMissingFiles(memoryDir, settings.required)) {
+    violations.push({
+      type: 'MEMORY_BANK_MISSING_FILE',
+      severity: 'HIGH',
+      file: `${settings.dir}/${file}`,
+      description: `Required memory bank ${file.endsWith('/') ? 'directory' : 'file'} ${settings.dir}/${file} does not exist`
+    });
+  }
+
+  for (const feature of checkFeatureFiles(memoryDir, settings.featureTemplate)) {
+    const file = `${settings.dir}/${feature.file}`;
+    if (feature.missingTitle || feature.missingSections.length > 0) {
+      const missing = [...(feature.missingTitle ? ['# title'] : []), ...feature.missingSections.map(section => `## ${section}`)];
+      violations.push({
+        type: 'MEMORY_BANK_FEATURE_STRUCTURE',
+        severity: 'MEDIUM',
+        file,
+        details: missing,
+        description: `${file} does not follow the structure of ${settings.dir}/${settings.featureTemplate}`
+      });
+    }
+    for (const placeholder of feature.placeholders) {
+      violations.push({
+        type: 'MEMORY_BANK_PLACEHOLDER',
+        severity: 'MEDIUM',
+        file,
+        line: placeholder.line,
+        description: `Template text ${placeholder.text} was not replaced`
+      });
+    }
+  }
+
+  const { approval, changedCode, stale } = checkFreshness(rootDir, { ...options, memoryDir, mustUpdate: settings.mustUpdate, ignore: settings.ignore });
+  if (approval && stale.length > 0) {
+    const files = stale.map(file => `${settings.dir}/${file}`);
+    const changed = `${changedCode.length} code ${changedCode.length === 1 ? 'file' : 'files'} changed`;
+    violations.push({
+      type: 'MEMORY_BANK_STALE',
+      severity: 'HIGH',
+      file: files[0],
+      files: changedCode,
+      description: `${changed} since ${approval.instance}'s handoff was approved at ${approval.at}, but ${files.join(' and ')} ${files.length === 1 ? 'was' : 'were'} not updated`
+    });
+  }
+
+  return { approval, violations };
+}
+
+function readHistory(rootDir) {
+  try {
+    return new HandoffStateMachine({ rootDir }).getHistory();
+  } catch (error) {
+    return []; // No readable handoff history; freshness is not checked
+  }
+}
+
+/**
+ * Blank out fenced code blocks and inline code, keeping line numbers
+ */
+function stripCode(markdown) {
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return '';
+    }
+    return inFence ? '' : line.replace(/`[^`]*`/g, '');
+  }).join('\n');
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  resolveSettings,
+  findMissingFiles,
+  readSections,
+  checkFeatureFiles,
+  findPlaceholderText,
+  checkFreshness,
+  verifyMemoryBank,
+  DEFAULTS
+};
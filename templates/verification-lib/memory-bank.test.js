@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSettings, verifyMemoryBank, findPlaceholderText } = require('./memory-bank');
+
+function memoryBank(t, files) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-bank-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(rootDir, 'memory-bank', file)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'memory-bank', file), content);
+  }
+  return rootDir;
+}
+
+test('placeholder text is bracketed prose, not links or checkboxes', () => {
+  const found = findPlaceholderText('[Requirement 1]\n- [x] done\n[docs](docs/a.md)\n[Add implementation details here]');
+  assert.deepEqual(found.map(placeholder => [placeholder.line, placeholder.text]), [
+    [1, '[Requirement 1]'],
+    [4, '[Add implementation details here]']
+  ]);
+});
+
+test('missing files, feature structure and template text are findings', (t) => {
+  const rootDir = memoryBank(t, {
+    'projectbrief.md': '# Brief\n',
+    'features/sample-feature.md': '# Sample\n## Requirements\n## Design\n',
+    'features/export.md': '# Export\n## Requirements\n[Requirement 1]\n'
+  });
+  const settings = resolveSettings({ required: ['projectbrief.md', 'progress.md', 'features/'] });
+
+  const { approval, violations } = verifyMemoryBank(rootDir, settings, { history: [] });
+  assert.equal(approval, null);
+  assert.deepEqual(violations.map(violation => [violation.type, violation.file]), [
+    ['MEMORY_BANK_MISSING_FILE', 'memory-bank/progress.md'],
+    ['MEMORY_BANK_FEATURE_STRUCTURE', 'memory-bank/features/export.md'],
+    ['MEMORY_BANK_PLACEHOLDER', 'memory-bank/features/export.md']
+  ]);
+  assert.deepEqual(violations[1].details, ['## Design']);
+  assert.equal(violations[2].line, 3);
+});
@@ -0,0 +1,149 @@
+/**
+ * Navigation Manifest Checks
+ * Keeps a mobile app's screens, navigator registrations (React Navigation) and navigate() targets
+ * consistent with each other and, when the project keeps one, with its navigation manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findFiles, matchesAny } = require('./glob');
+const { maskNonCode } = require('./import-graph');
+const { parseConfigSource } = require('./config-loader');
+
+const DEFAULTS = {
+  screens: ['src/screens/**/*Screen.{js,jsx,ts,tsx}'],
+  navigators: ['src/navigation/**/*.{js,jsx,ts,tsx}'],
+  // Files searched for navigate('Route') calls
+  sources: ['src/**/*.{js,jsx,ts,tsx}'],
+  exclude: ['**/*.{test,spec}.*', '**/__tests__/**', '**/__mocks__/**'],
+  // Optional YAML/JSON file listing every route: routes: [{ name: Home, component: HomeScreen }]
+  manifest: undefined
+};
+
+// <Stack.Screen name="Home" component={HomeScreen} /> and { name: 'Home', component: HomeScreen }
+const SCREEN_TAG = /<[A-Za-z_$][\w$]*\.Screen\b([^>]*)>/g;
+const SCREEN_OBJECT = /\bname\s*:\s*(['"])([^'"\n]+)\1\s*,\s*component\s*:\s*([A-Za-z_$][\w$]*)/g;
+const NAVIGATE_CALL = /\b(?:navigate|push|replace|jumpTo)\s*\(\s*(['"])([^'"\n]+)\1/g;
+const DECLARATION = /\b(?:function|const|let|var|class)\s+([A-Z][\w$]*)/g;
+
+/**
+ * Navigation settings with defaults
+ */
+function resolveSettings(settings = {}) {
+  return { ...DEFAULTS, ...settings };
+}
+
+/**
+ * Compare screens, registrations, navigate() targets and the manifest
+ *
+ * @returns {{screens: string[], routes: object[], navigations: number,
+ *   problems: Array<{kind: string, severity: string, route?: string, file?: string, line?: number, description: string}>}}
+ *   routes is empty when no navigator registers a screen
+ */
+function checkNavigation(rootDir, settings) {
+  const list = patterns => findFiles(rootDir, patterns).filter(file => !matchesAny(file, settings.exclude));
+  const read = file => fs.readFileSync(path.join(rootDir, file), 'utf8');
+
+  const screenFiles = new Map(list(settings.screens).map(file => [path.basename(file).replace(/\.\w+$/, ''), file]));
+
+  const routes = [];
+  const navigatorComponents = new Set();
+  for (const file of list(settings.navigators)) {
+    const source = read(file);
+    const code = maskNonCode(source);
+    for (const match of code.matchAll(DECLARATION)) navigatorComponents.add(match[1]);
+
+    for (const match of code.matchAll(SCREEN_TAG)) {
+      const name = match[1].match(/\bname=(?:\{\s*)?(['"])([^'"]+)\1/);
+      const component = match[1].match(/\bcomponent=\{\s*([A-Za-z_$][\w$]*)\s*\}/);
+      if (name) routes.push({ name: name[2], component: component && component[1], file, line: lineAt(source, match.index) });
+    }
+    for (const match of code.matchAll(SCREEN_OBJECT)) {
+      routes.push({ name: match[2], component: match[3], file, line: lineAt(source, match.index) });
+    }
+  }
+
+  const problems = [];
+  if (routes.length === 0) return { screens: Array.from(screenFiles.keys()), routes, navigations: 0, problems };
+
+  const routeNames = new Set(routes.map(route => route.name));
+  const registered = new Set(routes.map(route => route.component));
+
+  for (const route of routes) {
+    if (route.component && !screenFiles.has(route.component) && !navigatorComponents.has(route.component)) {
+      problems.push({
+        kind: 'missing_screen',
+        severity: 'MEDIUM',
+        route: route.name,
+        file: route.file,
+        line: route.line,
+        description: `Route "${route.name}" renders ${route.component}, which is neither a screen file nor a navigator`
+      });
+    }
+  }
+
+  for (const [component, file] of screenFiles) {
+    if (!registered.has(component)) {
+      problems.push({ kind: 'orphan_screen', severity: 'MEDIUM', file, description: `${component} is not registered in any navigator` });
+    }
+  }
+
+  let navigations = 0;
+  for (const file of list(settings.sources)) {
+    const source = read(file);
+    for (const match of maskNonCode(source).matchAll(NAVIGATE_CALL)) {
+      navigations++;
+      if (routeNames.has(match[2])) continue;
+      problems.push({
+        kind: 'unknown_route',
+        severity: 'HIGH',
+        route: match[2],
+        file,
+        line: lineAt(source, match.index),
+        description: `navigates to "${match[2]}", which no navigator registers`
+      });
+    }
+  }
+
+  if (settings.manifest) problems.push(...compareManifest(rootDir, settings.manifest, routes));
+  return { screens: Array.from(screenFiles.keys()), routes, navigations, problems };
+}
+
+/**
+ * Routes missing from the manifest, manifest routes no navigator registers, and component mismatches
+ */
+function compareManifest(rootDir, manifestPath, routes) {
+  const manifestFile = path.resolve(rootDir, manifestPath);
+  if (!fs.existsSync(manifestFile)) throw new Error(`Navigation manifest not found: ${manifestPath}`);
+  const document = parseConfigSource(fs.readFileSync(manifestFile, 'utf8'), manifestFile) || {};
+  if (!Array.isArray(document.routes)) throw new Error(`${manifestPath} must list the app's routes under "routes"`);
+
+  const manifest = document.routes.map(entry => typeof entry === 'string' ? { name: entry } : entry);
+  const problems = [];
+  const drift = (route, description) => problems.push({ kind: 'manifest_drift', severity: 'HIGH', route, file: manifestPath, description });
+
+  for (const entry of manifest) {
+    const route = routes.find(candidate => candidate.name === entry.name);
+    if (!route) {
+      drift(entry.name, `Route "${entry.name}" is in the manifest, but no navigator registers it`);
+    } else if (entry.component && route.component && entry.component !== route.component) {
+      drift(entry.name, `Route "${entry.name}" renders ${route.component} (${route.file}:${route.line}), the manifest says ${entry.component}`);
+    }
+  }
+  for (const route of routes) {
+    if (!manifest.some(entry => entry.name === route.name)) {
+      drift(route.name, `Route "${route.name}" (${route.file}:${route.line}) is missing from the manifest`);
+    }
+  }
+  return problems;
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+module.exports = {
+  resolveSettings,
+  checkNavigation,
+  DEFAULTS
+};
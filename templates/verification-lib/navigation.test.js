@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSettings, checkNavigation } = require('./navigation');
+
+function project(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'navigation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+const NAVIGATOR = `import HomeScreen from '../screens/HomeScreen';
+import ProfileScreen from '../screens/ProfileScreen';
+
+function SettingsStack() {
+  return null;
+}
+
+export default function RootNavigator() {
+  return (
+    <Stack.Navigator>
+      <Stack.Screen name="Home" component={HomeScreen} />
+      <Stack.Screen name="Profile" component={ProfileScreen} options={{ title: 'Profile' }} />
+      <Stack.Screen name="Settings" component={SettingsStack} />
+      <Stack.Screen name="Checkout" component={CheckoutScreen} />
+    </Stack.Navigator>
+  );
+}
+
+export const tabs = [{ name: 'Feed', component: HomeScreen }];
+// <Stack.Screen name="Legacy" component={LegacyScreen} />
+`;
+
+const SCREENS = {
+  'src/screens/HomeScreen.tsx': `export default function HomeScreen({ navigation }) {
+  const open = () => navigation.navigate('Profile');
+  const shop = () => navigation.push('Cart');
+  return null;
+}
+`,
+  'src/screens/ProfileScreen.tsx': "export default () => navigation.replace('Home');\n",
+  'src/screens/AboutScreen.tsx': 'export default () => null;\n',
+  'src/screens/HomeScreen.test.tsx': "navigation.navigate('TestOnly');\n"
+};
+
+test('checkNavigation extracts registered routes from JSX and route objects, skipping comments', (t) => {
+  const dir = project(t, { 'src/navigation/RootNavigator.tsx': NAVIGATOR, ...SCREENS });
+  const result = checkNavigation(dir, resolveSettings());
+
+  assert.deepEqual(result.screens.sort(), ['AboutScreen', 'HomeScreen', 'ProfileScreen']);
+  assert.deepEqual(result.routes.map(route => `${route.name}:${route.component}:${route.line}`), [
+    'Home:HomeScreen:11',
+    'Profile:ProfileScreen:12',
+    'Settings:SettingsStack:13',
+    'Checkout:CheckoutScreen:14',
+    'Feed:HomeScreen:19'
+  ]);
+  assert.equal(result.navigations, 3);
+});
+
+test('checkNavigation reports missing screens, orphan screens and unknown navigate() targets', (t) => {
+  const dir = project(t, { 'src/navigation/RootNavigator.tsx': NAVIGATOR, ...SCREENS });
+  const { problems } = checkNavigation(dir, resolveSettings());
+  assert.deepEqual(problems.map(problem => `${problem.kind}:${problem.severity}:${problem.route || problem.file}`), [
+    'missing_screen:MEDIUM:Checkout',
+    'orphan_screen:MEDIUM:src/screens/AboutScreen.tsx',
+    'unknown_route:HIGH:Cart'
+  ]);
+  assert.equal(problems[2].line, 3);
+});
+
+test('checkNavigation compares registered routes with the manifest', (t) => {
+  const dir = project(t, {
+    'src/navigation/RootNavigator.tsx': NAVIGATOR,
+    ...SCREENS,
+    'navigation.yaml': 'routes:\n  - { name: Home, component: HomeScreen }\n  - { name: Profile, component: AccountScreen }\n  - Settings\n  - Checkout\n  - Search\n'
+  });
+  const { problems } = checkNavigation(dir, resolveSettings({ manifest: 'navigation.yaml' }));
+  assert.deepEqual(problems.filter(problem => problem.kind === 'manifest_drift').map(problem => problem.description), [
+    'Route "Profile" renders ProfileScreen (src/navigation/RootNavigator.tsx:12), the manifest says AccountScreen',
+    'Route "Search" is in the manifest, but no navigator registers it',
+    'Route "Feed" (src/navigation/RootNavigator.tsx:19) is missing from the manifest'
+  ]);
+  assert.throws(() => checkNavigation(dir, resolveSettings({ manifest: 'missing.yaml' })), /Navigation manifest not found: missing\.yaml/);
+});
+
+test('projects without registered routes report nothing', (t) => {
+  const dir = project(t, SCREENS);
+  assert.deepEqual(checkNavigation(dir, resolveSettings()), {
+    screens: ['AboutScreen', 'HomeScreen', 'ProfileScreen'],
+    routes: [],
+    navigations: 0,
+    problems: []
+  });
+});
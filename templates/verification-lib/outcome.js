@@ -0,0 +1,26 @@
+/**
+ * Verification Outcome
+ * Which violations of a report decide whether it passes: the report itself, the JUnit reporter
+ * and the handoff coordinator all judge a run by the same rule
+ */
+
+// Severities that fail a run when the report does not record projectConfig.failOn
+const DEFAULT_FAIL_ON = ['CRITICAL', 'HIGH'];
+
+/**
+ * Violations that count against a run: not waived, and not already in the baseline when the run
+ * was compared against one
+ */
+function blockingViolations(report) {
+  return (report.violations || []).filter(v => !v.waived && !(report.baseline && v.baseline === 'existing'));
+}
+
+/**
+ * Blocking violations at a severity that fails the run (report.failOn)
+ */
+function failingViolations(report) {
+  const failOn = report.failOn || DEFAULT_FAIL_ON;
+  return blockingViolations(report).filter(v => failOn.includes(v.severity));
+}
+
+module.exports = { blockingViolations, failingViolations, DEFAULT_FAIL_ON };
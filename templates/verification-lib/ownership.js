@@ -0,0 +1,244 @@
+/**
+ * File Ownership and Worktree Conflicts
+ * Attributes a worktree to the instance working in it, checks its changed files against the
+ * instances' file_patterns and finds files with uncommitted edits in more than one worktree
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listWorktrees, git } = require('./changes');
+const { matchesAny } = require('./glob');
+const { HandoffStateMachine } = require('./handoff-state');
+
+const DEFAULTS = {
+  // Coordination state (handoff records, history, locks) is written by every instance
+  ignore: ['status/**']
+};
+
+/**
+ * Whether a directory is inside a git worktree
+ */
+function isGitWorktree(dir) {
+  try {
+    return git(dir, ['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Instance working in a worktree, tried in order: INSTANCE_NAME when it names a configured instance,
+ * the instance whose `worktree` (relative to the main worktree) or `branch` matches, the instance
+ * whose handoff record was written from this worktree
+ *
+ * @param {string} dir - Any directory inside the worktree
+ * @param {object} instances - projectConfig.instances
+ * @param {object} [options] - { instance, states: handoff records by instance (read from status/ when omitted) }
+ * @returns {{id: string, by: string}|null}
+ */
+function attributeWorktree(dir, instances, options = {}) {
+  if (options.instance && instances[options.instance]) {
+    return { id: options.instance, by: 'INSTANCE_NAME' };
+  }
+
+  const top = git(dir, ['rev-parse', '--show-toplevel']).trim();
+  const worktree = { path: top, branch: currentBranch(dir) };
+  return attribute(worktree, instances, createContext(dir, options.states));
+}
+
+function attribute(worktree, instances, { mainDir, states }) {
+  const entries = Object.entries(instances);
+
+  const byPath = entries.find(([, instance]) => instance.worktree && samePath(path.resolve(mainDir, instance.worktree), worktree.path));
+  if (byPath) return { id: byPath[0], by: `worktree ${byPath[1].worktree}` };
+
+  const byBranch = entries.find(([, instance]) => instance.branch && instance.branch === worktree.branch);
+  if (byBranch) return { id: byBranch[0], by: `branch ${worktree.branch}` };
+
+  const byHandoff = Object.entries(states).find(([id, record]) => instances[id] && record.worktree && samePath(record.worktree, worktree.path));
+  if (byHandoff) return { id: byHandoff[0], by: 'handoff state' };
+
+  return null;
+}
+
+function createContext(dir, states) {
+  const [mainWorktree] = listWorktrees(dir);
+  return { mainDir: mainWorktree.path, states: states || readHandoffStates(dir) };
+}
+
+/**
+ * Changed files an instance does not own
+ * A file matching only other instances' patterns is outside the instance's ownership; a file matching
+ * no instance is unowned. Files matching `shared` or `ignore` globs are exempt from both
+ *
+ * @param {string[]} files
+ * @param {string|null} instanceId - null checks only for unowned files
+ * @param {object} instances - projectConfig.instances
+ * @param {object} [ownership] - projectConfig.fileOwnership: { shared, ignore (default: status/**) }
+ * @returns {{outside: Array<{file: string, owners: string[]}>, unowned: string[]}}
+ */
+function checkOwnership(files, instanceId, instances, { shared = [], ignore = DEFAULTS.ignore } = {}) {
+  const own = instanceId ? instances[instanceId].filePatterns || [] : [];
+  const outside = [];
+  const unowned = [];
+
+  for (const file of files) {
+    if (matchesAny(file, ignore) || matchesAny(file, shared) || matchesAny(file, own)) continue;
+
+    const owners = Object.keys(instances).filter(id => matchesAny(file, instances[id].filePatterns || []));
+    if (owners.length === 0) {
+      unowned.push(file);
+    } else if (instanceId) {
+      outside.push({ file, owners });
+    }
+  }
+
+  return { outside, unowned };
+}
+
+/**
+ * Ownership findings for one worktree: changed files owned by another instance (HIGH), changed files
+ * no instance owns (MEDIUM) and files with uncommitted edits in several worktrees (HIGH when this
+ * worktree is one of them; conflicts between two others do not block its handoff)
+ *
+ * @param {string} dir - Any directory inside the worktree
+ * @param {object} instances - projectConfig.instances
+ * @param {object} [options] - { instance, files: changed files, null when there is no base to compare with,
+ *   shared, ignore, states }
+ * @returns {{owner: {id: string, by: string}|null, violations: object[]}}
+ */
+function verifyOwnership(dir, instances, options = {}) {
+  const owner = attributeWorktree(dir, instances, options);
+  const violations = [];
+
+  if (options.files) {
+    const { outside, unowned } = checkOwnership(options.files, owner && owner.id, instances, options);
+    for (const { file, owners } of outside) {
+      violations.push({
+        type: 'OWNERSHIP_VIOLATION',
+        severity: 'HIGH',
+        file,
+        instance: owner.id,
+        owners,
+        description: `${owner.id} changed ${file}, which belongs to ${owners.join(', ')}`
+      });
+    }
+    for (const file of unowned) {
+      violations.push({
+        type: 'UNOWNED_FILE',
+        severity: 'MEDIUM',
+        file,
+        description: `${file} matches no instance's file_patterns; assign it to an instance or list it in file_ownership.shared`
+      });
+    }
+  }
+
+  for (const conflict of findWorktreeConflicts(dir, instances, options)) {
+    const involved = conflict.worktrees.some(worktree => worktree.current);
+    violations.push({
+      type: 'WORKTREE_CONFLICT',
+      severity: involved ? 'HIGH' : 'MEDIUM',
+      file: conflict.file,
+      details: conflict.worktrees.map(describeWorktree),
+      description: `${conflict.file} has uncommitted edits in ${conflict.worktrees.length} worktrees; commit or discard all but one before handoff`
+    });
+  }
+
+  return { owner, violations };
+}
+
+/**
+ * Files with uncommitted edits (staged, unstaged or untracked) in more than one registered worktree
+ * Paths are relative to the repository root; worktrees whose directory is gone and files matching
+ * `ignore` are left out
+ *
+ * @param {string} dir - Any directory inside one of the worktrees; its worktree is marked `current`
+ * @param {object} [instances] - projectConfig.instances, to name the instance working in each worktree
+ * @param {object} [options] - { states, ignore (default: status/**) }
+ * @returns {Array<{file: string, worktrees: Array<{path: string, branch?: string, instance: string|null, current: boolean}>}>}
+ */
+function findWorktreeConflicts(dir, instances = {}, options = {}) {
+  const context = createContext(dir, options.states);
+  const top = git(dir, ['rev-parse', '--show-toplevel']).trim();
+  const editors = new Map();
+
+  for (const worktree of listWorktrees(dir)) {
+    if (worktree.bare || !worktree.path || !fs.existsSync(worktree.path)) continue;
+
+    const owner = attribute(worktree, instances, context);
+    for (const file of getUncommittedFiles(worktree.path)) {
+      if (matchesAny(file, options.ignore || DEFAULTS.ignore)) continue;
+      if (!editors.has(file)) editors.set(file, []);
+      editors.get(file).push({
+        path: worktree.path,
+        branch: worktree.branch,
+        instance: owner ? owner.id : null,
+        current: samePath(worktree.path, top)
+      });
+    }
+  }
+
+  return Array.from(editors.entries())
+    .filter(([, worktrees]) => worktrees.length > 1)
+    .map(([file, worktrees]) => ({ file, worktrees }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Files with uncommitted changes in one worktree, relative to its root; both sides of a rename
+ */
+function getUncommittedFiles(worktreeDir) {
+  const entries = git(worktreeDir, ['status', '--porcelain', '-z', '--untracked-files=all']).split('\0');
+  const files = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    files.push(entry.slice(3));
+    // Renames and copies are followed by the path they came from
+    if (entry[0] === 'R' || entry[0] === 'C') files.push(entries[++i]);
+  }
+  return Array.from(new Set(files));
+}
+
+/**
+ * "path (instance_1, branch feature-x)" for console output and violation details
+ */
+function describeWorktree(worktree) {
+  const labels = [worktree.instance, worktree.branch ? `branch ${worktree.branch}` : 'detached HEAD', worktree.current && 'this worktree'].filter(Boolean);
+  return `${worktree.path} (${labels.join(', ')})`;
+}
+
+function currentBranch(dir) {
+  try {
+    return git(dir, ['symbolic-ref', '--quiet', '--short', 'HEAD']).trim();
+  } catch (error) {
+    return undefined; // Detached HEAD
+  }
+}
+
+function readHandoffStates(dir) {
+  try {
+    return new HandoffStateMachine({ rootDir: dir }).getAllStates();
+  } catch (error) {
+    return {}; // No readable status dir; attribution falls back to the config
+  }
+}
+
+function samePath(a, b) {
+  try {
+    return fs.realpathSync(a) === fs.realpathSync(b);
+  } catch (error) {
+    return path.resolve(a) === path.resolve(b);
+  }
+}
+
+module.exports = {
+  isGitWorktree,
+  attributeWorktree,
+  checkOwnership,
+  verifyOwnership,
+  findWorktreeConflicts,
+  getUncommittedFiles,
+  describeWorktree,
+  DEFAULTS
+};
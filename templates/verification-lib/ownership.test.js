@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { git } = require('./changes');
+const { checkOwnership, findWorktreeConflicts, verifyOwnership } = require('./ownership');
+
+const instances = {
+  backend: { filePatterns: ['src/api/**'] },
+  frontend: { filePatterns: ['src/ui/**'] }
+};
+
+test('changed files are checked against the instances\' file_patterns', () => {
+  const files = ['src/api/users.js', 'src/ui/App.jsx', 'scripts/deploy.sh', 'package-lock.json', 'status/backend.json'];
+  assert.deepEqual(checkOwnership(files, 'backend', instances, { shared: ['package-lock.json'] }), {
+    outside: [{ file: 'src/ui/App.jsx', owners: ['frontend'] }],
+    unowned: ['scripts/deploy.sh']
+  });
+  assert.deepEqual(checkOwnership(files, null, instances, { ignore: [] }), {
+    outside: [],
+    unowned: ['scripts/deploy.sh', 'package-lock.json', 'status/backend.json']
+  });
+});
+
+test('worktree conflicts list files edited in several worktrees, except status/', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownership-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const main = path.join(dir, 'app');
+  const linked = path.join(dir, 'app-frontend');
+  fs.mkdirSync(main);
+  git(main, ['init', '--quiet', '--initial-branch', 'main']);
+  git(main, ['config', 'user.email', 'dev@example.com']);
+  git(main, ['config', 'user.name', 'Dev']);
+  fs.writeFileSync(path.join(main, 'README.md'), '# app\n');
+  git(main, ['add', '.']);
+  git(main, ['commit', '--quiet', '-m', 'init']);
+  git(main, ['worktree', 'add', '--quiet', '-b', 'frontend', linked]);
+
+  for (const worktree of [main, linked]) {
+    fs.writeFileSync(path.join(worktree, 'README.md'), `# edited in ${path.basename(worktree)}\n`);
+    fs.mkdirSync(path.join(worktree, 'status'));
+    fs.writeFileSync(path.join(worktree, 'status/handoff-history.jsonl'), '{}\n');
+  }
+
+  const conflicts = findWorktreeConflicts(linked, { frontend: { branch: 'frontend', filePatterns: [] } }, { states: {} });
+  assert.deepEqual(conflicts.map(conflict => conflict.file), ['README.md']);
+  assert.deepEqual(conflicts[0].worktrees.map(worktree => [worktree.instance, worktree.current]), [[null, false], ['frontend', true]]);
+
+  const { owner, violations } = verifyOwnership(linked, { ...instances, frontend: { branch: 'frontend', filePatterns: ['src/ui/**'] } }, {
+    files: ['src/ui/App.jsx', 'src/api/users.js'],
+    states: {}
+  });
+  assert.deepEqual(owner, { id: 'frontend', by: 'branch frontend' });
+  assert.deepEqual(violations.map(violation => [violation.type, violation.severity, violation.file]), [
+    ['OWNERSHIP_VIOLATION', 'HIGH', 'src/api/users.js'],
+    ['WORKTREE_CONFLICT', 'HIGH', 'README.md']
+  ]);
+});
@@ -0,0 +1,209 @@
+/**
+ * Planning Enforcement
+ * Scores a change's complexity from its diff with the indicators of docs/planning-enforcement.md
+ * and checks that COMPLEX changes come with a planning document whose mandatory sections are filled in
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mapChangedFiles, git } = require('./changes');
+const { matchesAny } = require('./glob');
+const { findPlaceholderText } = require('./memory-bank');
+const { HandoffStateMachine } = require('./handoff-state');
+
+const DEFAULTS = {
+  dir: 'docs/planning',
+  complexThreshold: 3,
+  minFiles: 3,
+  minLayers: 2,
+  schemaPatterns: ['**/migrations/**', '**/*.sql', '**/*.prisma', '**/schema.{js,ts,json,graphql,rb,py}'],
+  contractPatterns: ['**/openapi.{yaml,yml,json}', '**/*.proto', '**/*.graphql'],
+  requiredSections: ['Requirements Analysis', 'Architecture Design', 'API Contracts', 'Database Schema', 'Trade-offs'],
+  // Changes that do not add to a change's complexity
+  ignore: ['**/*.md', 'status/**']
+};
+
+/**
+ * Planning settings with defaults
+ */
+function resolveSettings(settings = {}) {
+  return { ...DEFAULTS, ...settings };
+}
+
+/**
+ * Count the complexity indicators a set of changed files hits
+ * Indicators: many files touched, several layers crossed, a database schema changed, a contract changed
+ *
+ * @param {string[]} files - Changed files, relative to the project root
+ * @param {object} options - resolveSettings() result plus { layers: [{ name, filePatterns }], contractFiles: globs from the contract config }
+ * @returns {{score: number, level: string, files: string[], indicators: Array<{name: string, detail: string}>}}
+ */
+function scoreComplexity(files, options) {
+  const touched = files.filter(file => !matchesAny(file, options.ignore) && !file.startsWith(`${options.dir}/`));
+  const indicators = [];
+
+  if (touched.length >= options.minFiles) {
+    indicators.push({ name: 'files', detail: `${touched.length} files touched` });
+  }
+
+  const layers = Object.keys(mapChangedFiles(touched, { layers: options.layers || [] }).layers);
+  if (layers.length >= options.minLayers) {
+    indicators.push({ name: 'layers', detail: `crosses ${layers.length} layers: ${layers.join(', ')}` });
+  }
+
+  const schemaFiles = touched.filter(file => matchesAny(file, options.schemaPatterns));
+  if (schemaFiles.length > 0) {
+    indicators.push({ name: 'schema', detail: `database schema changed: ${schemaFiles.join(', ')}` });
+  }
+
+  const contractFiles = touched.filter(file => matchesAny(file, [...options.contractPatterns, ...(options.contractFiles || [])]));
+  if (contractFiles.length > 0) {
+    indicators.push({ name: 'contract', detail: `contract changed: ${contractFiles.join(', ')}` });
+  }
+
+  const score = indicators.length;
+  const level = score >= options.complexThreshold ? 'COMPLEX' : score >= options.complexThreshold - 1 ? 'MEDIUM' : 'SIMPLE';
+  return { score, level, files: touched, indicators };
+}
+
+/**
+ * Planning document for a change: one added or edited in the change itself, else
+ * <dir>/<slug>-planning.md for the handoff task or the branch name
+ *
+ * @param {string} rootDir
+ * @param {string[]} files - Changed files
+ * @param {object} options - { dir, instance, task, branch }
+ * @returns {{path: string|null, candidates: string[]}} path relative to rootDir, or null with the names looked for
+ */
+function findPlanningDoc(rootDir, files, options) {
+  const inChange = files.find(file => file.startsWith(`${options.dir}/`) && file.endsWith('-planning.md') &&
+    fs.existsSync(path.join(rootDir, file)));
+  if (inChange) return { path: inChange, candidates: [] };
+
+  const task = options.task !== undefined ? options.task : readTask(rootDir, options.instance);
+  const branch = options.branch !== undefined ? options.branch : currentBranch(rootDir);
+  const slugs = [task, branch && branch.split('/').pop(), branch].filter(Boolean).map(slugify).filter(Boolean);
+  const candidates = Array.from(new Set(slugs)).map(slug => `${options.dir}/${slug}-planning.md`);
+
+  const found = candidates.find(candidate => fs.existsSync(path.join(rootDir, candidate)));
+  return { path: found || null, candidates };
+}
+
+/**
+ * Mandatory sections that are missing or hold only template text
+ * A heading matches a required section when it starts with its name ("Trade-offs & Decisions"), case-insensitively
+ *
+ * @returns {{missing: string[], empty: string[]}}
+ */
+function checkPlanningDoc(markdown, requiredSections) {
+  const sections = splitSections(markdown);
+  const missing = [];
+  const empty = [];
+
+  for (const required of requiredSections) {
+    const section = sections.find(({ heading }) => heading.toLowerCase().startsWith(required.toLowerCase()));
+    if (!section) {
+      missing.push(required);
+      continue;
+    }
+    let body = section.body;
+    for (const { text } of findPlaceholderText(body)) body = body.replace(text, '');
+    if (!/[A-Za-z0-9]/.test(body)) empty.push(section.heading);
+  }
+
+  return { missing, empty };
+}
+
+/**
+ * Planning findings for a change: a COMPLEX change needs a planning document (HIGH when missing)
+ * whose mandatory sections are all filled in (HIGH when not)
+ *
+ * @param {string} rootDir
+ * @param {string[]} files - Changed files
+ * @param {object} options - scoreComplexity() options plus { instance }
+ * @returns {{complexity: object, doc: {path: string|null, candidates: string[]}|null, violations: object[]}}
+ *   doc is only looked up for COMPLEX changes
+ */
+function verifyPlanning(rootDir, files, options) {
+  const complexity = scoreComplexity(files, options);
+  if (complexity.level !== 'COMPLEX') return { complexity, doc: null, violations: [] };
+
+  const doc = findPlanningDoc(rootDir, files, { dir: options.dir, instance: options.instance });
+  if (!doc.path) {
+    const expected = doc.candidates.length > 0 ? doc.candidates.join(' or ') : `${options.dir}/<task-slug>-planning.md`;
+    return {
+      complexity,
+      doc,
+      violations: [{
+        type: 'PLANNING_DOC_MISSING',
+        severity: 'HIGH',
+        file: doc.candidates[0],
+        details: complexity.indicators.map(indicator => indicator.detail),
+        description: `COMPLEX change (${complexity.score} indicators) has no planning document; write ${doc.candidates[0] || expected} before handoff (see docs/planning-enforcement.md)`
+      }]
+    };
+  }
+
+  const { missing, empty } = checkPlanningDoc(fs.readFileSync(path.join(rootDir, doc.path), 'utf8'), options.requiredSections);
+  if (missing.length === 0 && empty.length === 0) return { complexity, doc, violations: [] };
+  return {
+    complexity,
+    doc,
+    violations: [{
+      type: 'PLANNING_DOC_INCOMPLETE',
+      severity: 'HIGH',
+      file: doc.path,
+      details: [...missing.map(section => `## ${section}: missing`), ...empty.map(section => `## ${section}: not filled in`)],
+      description: `${doc.path} is missing mandatory sections or leaves them unfilled`
+    }]
+  };
+}
+
+/**
+ * `##` sections of a Markdown document with their text up to the next `##` heading
+ */
+function splitSections(markdown) {
+  const sections = [];
+  let current = null;
+  for (const line of markdown.split('\n')) {
+    const heading = line.match(/^##\s+(?:\d+\.\s*)?(.+?)\s*$/);
+    if (heading) {
+      current = { heading: heading[1], body: '' };
+      sections.push(current);
+    } else if (current) {
+      current.body += `${line}\n`;
+    }
+  }
+  return sections;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function readTask(rootDir, instance) {
+  if (!instance) return undefined;
+  try {
+    return new HandoffStateMachine({ rootDir }).getState(instance).task;
+  } catch (error) {
+    return undefined; // No readable handoff state; fall back to the branch name
+  }
+}
+
+function currentBranch(rootDir) {
+  try {
+    return git(rootDir, ['symbolic-ref', '--quiet', '--short', 'HEAD']).trim();
+  } catch (error) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  resolveSettings,
+  scoreComplexity,
+  findPlanningDoc,
+  checkPlanningDoc,
+  verifyPlanning,
+  slugify,
+  DEFAULTS
+};
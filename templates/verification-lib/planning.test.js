@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSettings, scoreComplexity, checkPlanningDoc, verifyPlanning } = require('./planning');
+
+const layers = [
+  { name: 'api_layer', filePatterns: ['src/api/**'] },
+  { name: 'ui_layer', filePatterns: ['src/ui/**'] }
+];
+const complexChange = ['src/api/users.js', 'src/ui/Users.jsx', 'db/migrations/002_users.sql', 'README.md'];
+
+test('complexity counts files, layers, schema and contract indicators', () => {
+  const settings = resolveSettings();
+  const complex = scoreComplexity(complexChange, { ...settings, layers });
+  assert.equal(complex.level, 'COMPLEX');
+  assert.deepEqual(complex.indicators.map(indicator => indicator.name), ['files', 'layers', 'schema']);
+  assert.equal(scoreComplexity(['src/api/users.js'], { ...settings, layers }).level, 'SIMPLE');
+});
+
+test('mandatory sections must exist and hold more than template text', () => {
+  const markdown = '## 1. Requirements Analysis\nUsers can export data\n## Architecture Design\n[Describe the design]\n';
+  assert.deepEqual(checkPlanningDoc(markdown, ['Requirements Analysis', 'Architecture Design', 'Trade-offs']), {
+    missing: ['Trade-offs'],
+    empty: ['Architecture Design']
+  });
+});
+
+test('COMPLEX changes need a complete planning document', (t) => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'planning-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  const options = { ...resolveSettings(), layers, requiredSections: ['Requirements Analysis'] };
+
+  const missing = verifyPlanning(rootDir, complexChange, options);
+  assert.equal(missing.violations[0].type, 'PLANNING_DOC_MISSING');
+
+  fs.mkdirSync(path.join(rootDir, 'docs/planning'), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'docs/planning/user-export-planning.md'), '## Requirements Analysis\n[Requirement 1]\n');
+  const files = [...complexChange, 'docs/planning/user-export-planning.md'];
+  const incomplete = verifyPlanning(rootDir, files, options);
+  assert.equal(incomplete.doc.path, 'docs/planning/user-export-planning.md');
+  assert.deepEqual(incomplete.violations.map(violation => [violation.type, violation.details]), [
+    ['PLANNING_DOC_INCOMPLETE', ['## Requirements Analysis: not filled in']]
+  ]);
+
+  assert.deepEqual(verifyPlanning(rootDir, ['src/api/users.js'], options), {
+    complexity: scoreComplexity(['src/api/users.js'], options),
+    doc: null,
+    violations: []
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * Report Writers
+ * Render a verification report as JUnit XML, SARIF, Markdown or standalone HTML;
+ * more formats can be registered or loaded from a module path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { failingViolations } = require('./outcome');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const SARIF_LEVELS = { CRITICAL: 'error', HIGH: 'error', MEDIUM: 'warning', LOW: 'note' };
+const PHASE_TITLES = {
+  layers: 'Layer Integrity',
+  contracts: 'Contract Compliance',
+  dataFlows: 'Data Flow Validation',
+  benchmarks: 'Performance Benchmarks',
+  qualityGates: 'Quality Gates'
+};
+
+const reporters = new Map();
+
+/**
+ * Register a report format
+ *
+ * @param {string} name - Used in reporting.formats / VERIFICATION_REPORTERS
+ * @param {{extension: string, render: function(object, object): string}} reporter -
+ *   render(report, context) receives the report and { projectConfig, reportPath }
+ */
+function registerReporter(name, reporter) {
+  if (!reporter || typeof reporter.render !== 'function' || !reporter.extension) {
+    throw new Error(`Reporter "${name}" needs an extension and a render(report, context) function`);
+  }
+  reporters.set(name, reporter);
+}
+
+/**
+ * Resolve a format name, or load a reporter module ({ name, extension, render }) by path
+ */
+function getReporter(format, rootDir) {
+  if (reporters.has(format)) return reporters.get(format);
+
+  if (isModulePath(format)) {
+    const reporter = require(path.resolve(rootDir || process.cwd(), format));
+    registerReporter(reporter.name || format, reporter);
+    return reporter;
+  }
+  throw new Error(`Unknown report format "${format}" (available: ${Array.from(reporters.keys()).join(', ')})`);
+}
+
+/**
+ * Why a format name cannot be used, or null; registered names, "json" (always written) and
+ * reporter module paths pass, so config and arguments can be checked before anything runs
+ */
+function validateFormat(format) {
+  if (format === 'json' || reporters.has(format) || isModulePath(format)) return null;
+  return `Unknown report format "${format}" (available: ${Array.from(reporters.keys()).join(', ')} or a reporter module path)`;
+}
+
+function isModulePath(format) {
+  return /[\\/]|\.js$/.test(format);
+}
+
+/**
+ * Write one file per format next to the JSON report
+ *
+ * @param {object} report - from generateVerificationReport()
+ * @param {string[]} formats
+ * @param {object} context - { projectConfig, reportPath } where reportPath is the JSON report
+ * @returns {string[]} written paths
+ */
+function writeReports(report, formats, context) {
+  const basePath = context.reportPath.replace(/\.json$/, '');
+  return formats.map(format => {
+    const reporter = getReporter(format, context.projectConfig.rootDir);
+    const outputPath = `${basePath}${reporter.extension}`;
+    fs.writeFileSync(outputPath, reporter.render(report, context));
+    return outputPath;
+  });
+}
+
+/**
+ * Violations a check produced, matched by the entry name the phases record them under
+ */
+function violationsFor(report, check) {
+  return (report.violations || []).filter(v =>
+    [v.layer, v.contract, v.flow, v.benchmark, v.gate].includes(check.name));
+}
+
+/**
+ * Violations not raised by a check (configuration, registry and cross-layer findings)
+ */
+function generalViolations(report) {
+  const names = new Set((report.checks || []).map(check => check.name));
+  return (report.violations || []).filter(v =>
+    ![v.layer, v.contract, v.flow, v.benchmark, v.gate].some(name => name !== undefined && names.has(name)));
+}
+
+function groupByPhase(checks = []) {
+  const phases = new Map();
+  for (const check of checks) {
+    const phase = check.phase || 'other';
+    if (!phases.has(phase)) phases.set(phase, []);
+    phases.get(phase).push(check);
+  }
+  return phases;
+}
+
+function checkIcon(check) {
+  if (check.status === 'skipped') return '⏭️';
+  return check.success ? '✅' : check.error ? '💥' : '❌';
+}
+
+function describeViolation(v) {
+  const location = v.file ? ` (${v.file}${v.line ? `:${v.line}` : ''})` : '';
+  return `[${v.severity}] ${v.type}: ${v.description}${location}${v.waived ? ` (waived until ${v.waived.expires})` : ''}`;
+}
+
+function escapeXml(value) {
+  return String(value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeHtml(value) {
+  return escapeXml(value).replace(/&apos;/g, '&#39;');
+}
+
+function escapeMarkdown(value) {
+  return String(value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Whether a check fails the JUnit run: like report.success, only its new, unwaived violations at a
+ * failing severity count; a failed check that recorded no violations at all still fails
+ */
+function checkFails(check, report, failing) {
+  if (check.success || check.status === 'skipped') return false;
+  const violations = violationsFor(report, check);
+  return violations.length === 0 || violations.some(v => failing.has(v));
+}
+
+/**
+ * JUnit XML: one testsuite per phase, one testcase per check
+ */
+function renderJUnit(report, { projectConfig }) {
+  const suites = [];
+  const project = projectConfig.name || 'verification';
+  const failing = new Set(failingViolations(report));
+
+  for (const [phase, checks] of groupByPhase(report.checks)) {
+    const failed = new Set(checks.filter(check => checkFails(check, report, failing)));
+    const skipped = checks.filter(check => check.status === 'skipped').length;
+    const failures = checks.filter(check => failed.has(check) && !check.error).length;
+    const errors = checks.filter(check => failed.has(check) && check.error).length;
+    const time = checks.reduce((sum, check) => sum + (check.durationMs || 0), 0) / 1000;
+
+    const cases = checks.map(check => {
+      const attributes = `name="${escapeXml(check.name)}" classname="${escapeXml(`${project}.${phase}`)}" time="${(check.durationMs || 0) / 1000}"`;
+      if (check.success) return `    <testcase ${attributes}/>`;
+      if (check.status === 'skipped') {
+        return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(check.message || 'Skipped')}"/>\n    </testcase>`;
+      }
+      if (!failed.has(check)) {
+        // Only waived, baseline or below-fail_on violations: passes, with the findings kept visible
+        const details = violationsFor(report, check).map(v => `${describeViolation(v)}${v.baseline === 'existing' ? ' (existing, in baseline)' : ''}`);
+        return `    <testcase ${attributes}>\n      <system-out>${escapeXml(details.join('\n'))}</system-out>\n    </testcase>`;
+      }
+
+      const details = violationsFor(report, check).map(describeViolation).join('\n');
+      const tag = check.error ? 'error' : 'failure';
+      const message = check.error || check.message || 'Check failed';
+      return [
+        `    <testcase ${attributes}>`,
+        `      <${tag} message="${escapeXml(message)}" type="${escapeXml(check.check)}">${escapeXml(details || message)}</${tag}>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+
+    suites.push([
+      `  <testsuite name="${escapeXml(PHASE_TITLES[phase] || phase)}" tests="${checks.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time}" timestamp="${escapeXml(report.timestamp)}">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n'));
+  }
+
+  // Configuration and registry problems stop or precede the phases, so they get their own suite
+  const general = generalViolations(report).filter(v => failing.has(v));
+  if (general.length > 0) {
+    suites.unshift([
+      `  <testsuite name="Configuration" tests="${general.length}" failures="${general.length}" errors="0" time="0" timestamp="${escapeXml(report.timestamp)}">`,
+      ...general.map(v => [
+        `    <testcase name="${escapeXml(v.type)}: ${escapeXml(v.path || v.layer || v.description)}" classname="${escapeXml(`${project}.configuration`)}" time="0">`,
+        `      <failure message="${escapeXml(v.description)}" type="${escapeXml(v.type)}">${escapeXml(describeViolation(v))}</failure>`,
+        '    </testcase>'
+      ].join('\n')),
+      '  </testsuite>'
+    ].join('\n'));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(project)}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * SARIF 2.1.0 with the violations that point at a file (layer imports, contract fixtures, coverage ...)
+ */
+function renderSarif(report, { projectConfig }) {
+  const located = (report.violations || []).filter(v => v.file);
+  const ruleIds = Array.from(new Set(located.map(v => v.type)));
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'multi-instance-verification',
+          rules: ruleIds.map(id => ({ id, shortDescription: { text: id.toLowerCase().replace(/_/g, ' ') } }))
+        }
+      },
+      originalUriBaseIds: {
+        SRCROOT: { uri: `file://${path.resolve(projectConfig.rootDir || process.cwd()).split(path.sep).join('/')}/` }
+      },
+      results: located.map(v => ({
+        ruleId: v.type,
+        ruleIndex: ruleIds.indexOf(v.type),
+        level: SARIF_LEVELS[v.severity] || 'warning',
+        message: { text: v.description },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: v.file.split(path.sep).join('/'), uriBaseId: 'SRCROOT' },
+            ...(v.line ? { region: { startLine: v.line } } : {})
+          }
+        }],
+        properties: { severity: v.severity },
+        // Waived violations stay in the log as suppressed results
+        ...(v.waived ? { suppressions: [{ kind: 'external', status: 'accepted', justification: `${v.waived.reason} (${v.waived.owner}, until ${v.waived.expires})` }] } : {})
+      }))
+    }]
+  };
+
+  return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+/**
+ * Markdown summary, short enough to paste into a handoff note or PR comment
+ */
+function renderMarkdown(report, { projectConfig, reportPath }) {
+  const summary = report.summary || {};
+  const lines = [
+    `## ${report.success ? '✅' : '❌'} ${projectConfig.name || 'Project'} verification ${report.success ? 'passed' : 'failed'}`,
+    '',
+    `Instance: \`${projectConfig.instance || 'Generic'}\` · ${report.timestamp}${reportPath ? ` · [JSON report](${path.basename(reportPath)})` : ''}`,
+    ''
+  ];
+
+  if (report.error) {
+    lines.push(`> 💥 Verification failed with error: ${report.error}`, '');
+  }
+
+  lines.push('| Critical | High | Medium | Low |', '|---|---|---|---|',
+    `| ${summary.critical || 0} | ${summary.high || 0} | ${summary.medium || 0} | ${summary.low || 0} |`, '');
+
+  if (report.baseline) {
+    lines.push(`Against baseline: **${report.baseline.new} new**, ${report.baseline.existing} existing, ${report.baseline.fixed.length} fixed`, '');
+  }
+  if (report.waivers) {
+    lines.push(`Waivers (\`${report.waivers.file}\`): ${report.waivers.waived} waived, **${report.waivers.expired} expired**` +
+      `${report.waivers.stale !== undefined ? `, ${report.waivers.stale} stale` : ''}`, '');
+  }
+
+  for (const [phase, checks] of groupByPhase(report.checks)) {
+    lines.push(`### ${PHASE_TITLES[phase] || phase}`, '', '| | Check | Result | Time |', '|---|---|---|---|');
+    for (const check of checks) {
+      const attempts = check.attempts > 1 ? ` (${check.attempts} attempts)` : '';
+      lines.push(`| ${checkIcon(check)} | ${escapeMarkdown(check.name)} | ${escapeMarkdown(check.error || check.message || '')} | ${check.durationMs || 0}ms${attempts} |`);
+    }
+    lines.push('');
+  }
+
+  for (const severity of SEVERITIES) {
+    const violations = (report.violations || []).filter(v => v.severity === severity);
+    if (violations.length === 0) continue;
+    lines.push(`### ${severity} issues (${violations.length})`, '');
+    for (const v of violations) {
+      const location = v.file ? ` — \`${v.file}${v.line ? `:${v.line}` : ''}\`` : '';
+      lines.push(`- **${v.type}**: ${escapeMarkdown(v.description)}${location}${v.baseline === 'existing' ? ' _(existing)_' : ''}${v.waived ? ` _(waived until ${v.waived.expires} by ${escapeMarkdown(v.waived.owner)}: ${escapeMarkdown(v.waived.reason)})_` : ''}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Standalone HTML page (inline styles, no external assets)
+ */
+function renderHtml(report, { projectConfig }) {
+  const summary = report.summary || {};
+  const title = `${projectConfig.name || 'Project'} verification ${report.success ? 'passed' : 'failed'}`;
+
+  const phases = Array.from(groupByPhase(report.checks)).map(([phase, checks]) => `
+    <h2>${escapeHtml(PHASE_TITLES[phase] || phase)}</h2>
+    <table>
+      <tr><th></th><th>Check</th><th>Result</th><th>Time</th></tr>
+      ${checks.map(check => `<tr class="${check.success ? 'pass' : check.status === 'skipped' ? 'skip' : 'fail'}"><td>${checkIcon(check)}</td><td>${escapeHtml(check.name)}</td><td>${escapeHtml(check.error || check.message || '')}</td><td>${check.durationMs || 0}ms</td></tr>`).join('\n      ')}
+    </table>`).join('\n');
+
+  const violations = SEVERITIES.map(severity => {
+    const matching = (report.violations || []).filter(v => v.severity === severity);
+    if (matching.length === 0) return '';
+    return `
+    <h2>${severity} issues (${matching.length})</h2>
+    <ul>
+      ${matching.map(v => `<li class="${severity.toLowerCase()}"><strong>${escapeHtml(v.type)}</strong>: ${escapeHtml(v.description)}${v.file ? ` <code>${escapeHtml(v.file)}${v.line ? `:${v.line}` : ''}</code>` : ''}${v.waived ? ` <em>(waived until ${escapeHtml(v.waived.expires)} by ${escapeHtml(v.waived.owner)}: ${escapeHtml(v.waived.reason)})</em>` : ''}${v.details ? `<ul>${v.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>` : ''}</li>`).join('\n      ')}
+    </ul>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem auto; max-width: 960px; color: #1f2328; }
+    h1.pass { color: #1a7f37; } h1.fail { color: #cf222e; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+    th, td { border-bottom: 1px solid #d0d7de; padding: 0.4rem; text-align: left; vertical-align: top; }
+    tr.fail td { background: #fff5f5; }
+    .summary span { display: inline-block; margin-right: 1.5rem; }
+    li.critical, li.high { color: #cf222e; } li.medium { color: #9a6700; }
+    code { background: #f6f8fa; padding: 0 0.2rem; }
+  </style>
+</head>
+<body>
+  <h1 class="${report.success ? 'pass' : 'fail'}">${report.success ? '✅' : '❌'} ${escapeHtml(title)}</h1>
+  <p>Instance: <code>${escapeHtml(projectConfig.instance || 'Generic')}</code> · ${escapeHtml(report.timestamp)}</p>
+  ${report.error ? `<p>💥 Verification failed with error: ${escapeHtml(report.error)}</p>` : ''}
+  ${report.baseline ? `<p>Against baseline: <strong>${report.baseline.new} new</strong>, ${report.baseline.existing} existing, ${report.baseline.fixed.length} fixed</p>` : ''}
+  ${report.waivers ? `<p>Waivers (<code>${escapeHtml(report.waivers.file)}</code>): ${report.waivers.waived} waived, <strong>${report.waivers.expired} expired</strong>${report.waivers.stale !== undefined ? `, ${report.waivers.stale} stale` : ''}</p>` : ''}
+  <p class="summary">${SEVERITIES.map(severity => `<span>${severity}: <strong>${summary[severity.toLowerCase()] || 0}</strong></span>`).join('')}</p>
+  ${phases}
+  ${violations}
+</body>
+</html>
+`;
+}
+
+registerReporter('junit', { extension: '.junit.xml', render: renderJUnit });
+registerReporter('sarif', { extension: '.sarif', render: renderSarif });
+registerReporter('markdown', { extension: '.md', render: renderMarkdown });
+registerReporter('html', { extension: '.html', render: renderHtml });
+
+module.exports = { registerReporter, getReporter, validateFormat, writeReports };
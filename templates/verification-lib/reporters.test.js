@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerReporter, getReporter, writeReports } = require('./reporters');
+
+const projectConfig = { name: 'Shop', instance: 'instance_1' };
+
+function report(violations, overrides = {}) {
+  return {
+    success: true,
+    timestamp: '2026-01-01T00:00:00.000Z',
+    summary: { critical: 0, high: 0, medium: 0, low: 0 },
+    failOn: ['CRITICAL', 'HIGH'],
+    checks: [
+      { name: 'api_layer', phase: 'layers', check: 'checkLayerBoundaries', status: 'failed', success: false, message: 'Imports cross layers', durationMs: 20 },
+      { name: 'frontend_layer', phase: 'layers', check: 'checkLayerBoundaries', status: 'passed', success: true, durationMs: 10 },
+      { name: 'bundle_size', phase: 'benchmarks', check: 'checkBundleSize', status: 'skipped', success: false, message: 'no built assets' }
+    ],
+    violations,
+    ...overrides
+  };
+}
+
+const boundary = (extra = {}) => ({
+  type: 'LAYER_BOUNDARY_VIOLATION', severity: 'CRITICAL', layer: 'api_layer', file: 'src/api/users.js', line: 3,
+  description: 'api_layer imports frontend_layer', ...extra
+});
+
+const render = (format, data) => getReporter(format).render(data, { projectConfig, reportPath: 'verification-report.json' });
+
+test('JUnit fails checks with new, unwaived violations at a failing severity', () => {
+  const xml = render('junit', report([boundary()], { success: false }));
+  assert.match(xml, /<testsuite name="Layer Integrity" tests="2" failures="1" errors="0" skipped="0"/);
+  assert.match(xml, /<failure message="Imports cross layers" type="checkLayerBoundaries">\[CRITICAL\] LAYER_BOUNDARY_VIOLATION/);
+  assert.match(xml, /<testsuite name="Performance Benchmarks" tests="1" failures="0" errors="0" skipped="1"/);
+});
+
+test('JUnit passes checks whose violations are all waived, existing or below fail_on', () => {
+  for (const violation of [
+    boundary({ waived: { id: 'W1', owner: 'ada', reason: 'migration', expires: '2026-12-31' } }),
+    boundary({ baseline: 'existing' }),
+    boundary({ severity: 'MEDIUM' })
+  ]) {
+    const data = report([violation], { baseline: violation.baseline ? { new: 0, existing: 1, fixed: [] } : undefined });
+    const xml = render('junit', data);
+    assert.match(xml, /<testsuite name="Layer Integrity" tests="2" failures="0" errors="0"/);
+    assert.match(xml, /<system-out>\[(CRITICAL|MEDIUM)\] LAYER_BOUNDARY_VIOLATION/);
+    assert.doesNotMatch(xml, /<failure/);
+  }
+});
+
+test('JUnit lists failing configuration problems in their own suite', () => {
+  const xml = render('junit', report([
+    { type: 'CHECK_REGISTRY_ERROR', severity: 'CRITICAL', description: 'unknown check "checkMissing"' },
+    { type: 'CONFIG_WARNING', severity: 'LOW', description: 'unmapped target' }
+  ], { success: false }));
+  assert.match(xml, /<testsuite name="Configuration" tests="1" failures="1"/);
+  assert.doesNotMatch(xml, /CONFIG_WARNING/);
+});
+
+test('SARIF suppresses waived results and Markdown marks them', () => {
+  const waived = boundary({ waived: { id: 'W1', owner: 'ada', reason: 'migration', expires: '2026-12-31' } });
+  const sarif = JSON.parse(render('sarif', report([waived])));
+  assert.equal(sarif.runs[0].results[0].ruleId, 'LAYER_BOUNDARY_VIOLATION');
+  assert.deepEqual(sarif.runs[0].results[0].locations[0].physicalLocation.region, { startLine: 3 });
+  assert.equal(sarif.runs[0].results[0].suppressions[0].status, 'accepted');
+
+  const markdown = render('markdown', report([waived]));
+  assert.match(markdown, /## ✅ Shop verification passed/);
+  assert.match(markdown, /_\(waived until 2026-12-31 by ada: migration\)_/);
+});
+
+test('unknown formats are rejected; registered and module reporters are written next to the JSON report', (t) => {
+  assert.throws(() => getReporter('bogus'), /Unknown report format "bogus" \(available: junit, sarif, markdown, html/);
+  assert.throws(() => registerReporter('broken', {}), /needs an extension and a render/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporters-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'count.js'), "module.exports = { name: 'count', extension: '.count.txt', render: report => String(report.violations.length) };");
+
+  const written = writeReports(report([boundary()]), ['junit', './count.js'], {
+    projectConfig: { ...projectConfig, rootDir: dir },
+    reportPath: path.join(dir, 'verification-report.json')
+  });
+  assert.deepEqual(written.map(file => path.basename(file)), ['verification-report.junit.xml', 'verification-report.count.txt']);
+  assert.equal(fs.readFileSync(written[1], 'utf8'), '1');
+});
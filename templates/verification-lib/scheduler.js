@@ -0,0 +1,191 @@
+/**
+ * Check Scheduler
+ * Runs verification checks concurrently up to a limit, in dependency order, with a timeout per
+ * attempt and retries for checks that fail
+ */
+
+const DEFAULTS = {
+  concurrency: 4,
+  timeout: 300000,
+  retries: 0,
+  retryDelay: 1000
+};
+
+class CheckScheduler {
+  /**
+   * @param {object} [options] - { concurrency }
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || DEFAULTS.concurrency);
+    this.tasks = new Map();
+    this.running = new Set();
+    this.started = false;
+  }
+
+  /**
+   * Add a task; it starts once run() is called and every task it depends on has passed
+   * Dependencies that were never added are ignored (e.g. a layer left out with --skip)
+   *
+   * @param {string} id
+   * @param {object} task
+   * @param {function(AbortSignal, number): Promise<object>} task.run - (signal, attempt) → { success, ... }
+   * @param {string[]} [task.dependsOn] - Ids of tasks that must pass first
+   * @param {boolean} [task.exclusive] - Run only while nothing else runs (e.g. timing-sensitive benchmarks)
+   * @param {number} [task.timeout] - Per attempt, in ms
+   * @param {number} [task.retries] - Extra attempts after a failure, error or timeout
+   * @param {number} [task.retryDelay] - Pause between attempts, in ms
+   * @returns {Promise<object>} outcome: { status: 'passed'|'failed'|'error'|'skipped', result, error, reason, attempts, timedOut, durationMs }
+   */
+  add(id, task) {
+    if (this.tasks.has(id)) {
+      throw new Error(`Check "${id}" is scheduled twice`);
+    }
+    if (this.started) {
+      throw new Error(`Cannot add check "${id}" after the scheduler started`);
+    }
+
+    let settle;
+    const outcome = new Promise(resolve => { settle = resolve; });
+    this.tasks.set(id, {
+      id,
+      dependsOn: task.dependsOn || [],
+      exclusive: Boolean(task.exclusive),
+      timeout: task.timeout || DEFAULTS.timeout,
+      retries: task.retries || DEFAULTS.retries,
+      retryDelay: task.retryDelay !== undefined ? task.retryDelay : DEFAULTS.retryDelay,
+      run: task.run,
+      outcome: null,
+      settle
+    });
+    return outcome;
+  }
+
+  /**
+   * Run every added task
+   *
+   * @returns {Promise<Map<string, object>>} outcome per task id
+   */
+  run() {
+    this.started = true;
+    return new Promise(resolve => {
+      this.done = () => resolve(new Map(Array.from(this.tasks.values(), task => [task.id, task.outcome])));
+      this.pump();
+    });
+  }
+
+  /**
+   * Start every task that is ready, skip tasks whose dependencies did not pass
+   */
+  pump() {
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (const task of this.tasks.values()) {
+        if (task.outcome || this.running.has(task)) continue;
+
+        const dependencies = task.dependsOn.filter(id => this.tasks.has(id)).map(id => this.tasks.get(id));
+        const unmet = dependencies.find(dependency => dependency.outcome && dependency.outcome.status !== 'passed');
+        if (unmet) {
+          this.finish(task, {
+            status: 'skipped',
+            reason: `depends on ${unmet.id}, which ${unmet.outcome.status === 'skipped' ? 'was skipped' : 'did not pass'}`,
+            attempts: 0,
+            durationMs: 0
+          });
+          progress = true;
+          continue;
+        }
+
+        const ready = dependencies.every(dependency => dependency.outcome);
+        if (ready && this.canStart(task)) {
+          this.start(task);
+        }
+      }
+    }
+
+    const pending = Array.from(this.tasks.values()).filter(task => !task.outcome);
+    if (pending.length === 0) {
+      this.done();
+    } else if (this.running.size === 0) {
+      // Nothing runs and nothing can start: the remaining tasks wait on each other
+      for (const task of pending) {
+        this.finish(task, { status: 'skipped', reason: `dependency cycle (${pending.map(t => t.id).join(' → ')})`, attempts: 0, durationMs: 0 });
+      }
+      this.done();
+    }
+  }
+
+  canStart(task) {
+    if (this.running.size >= this.concurrency) return false;
+    if (Array.from(this.running).some(running => running.exclusive)) return false;
+    return !task.exclusive || this.running.size === 0;
+  }
+
+  start(task) {
+    this.running.add(task);
+    runAttempts(task).then(outcome => {
+      this.running.delete(task);
+      this.finish(task, outcome);
+      this.pump();
+    });
+  }
+
+  finish(task, outcome) {
+    task.outcome = outcome;
+    task.settle(outcome);
+  }
+}
+
+/**
+ * Run a task until it passes or runs out of attempts
+ */
+async function runAttempts(task) {
+  const started = Date.now();
+  let outcome;
+
+  for (let attempt = 1; attempt <= task.retries + 1; attempt++) {
+    if (attempt > 1) await delay(task.retryDelay);
+    try {
+      const result = await withTimeout(signal => task.run(signal, attempt), task.timeout);
+      // A check returns { skipped: true, message } when it does not apply, e.g. nothing was built to measure
+      outcome = result && result.skipped
+        ? { status: 'skipped', result, reason: result.message, attempts: attempt }
+        : { status: result && result.success ? 'passed' : 'failed', result, attempts: attempt };
+    } catch (error) {
+      outcome = { status: 'error', error, timedOut: error.code === 'CHECK_TIMEOUT', attempts: attempt };
+    }
+    if (outcome.status === 'passed' || outcome.status === 'skipped') break;
+  }
+
+  return { ...outcome, durationMs: Date.now() - started };
+}
+
+/**
+ * Race an async function against a timeout; the function gets an AbortSignal that fires on timeout
+ * so checks holding servers or child processes can stop them
+ */
+function withTimeout(run, ms) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${formatDuration(ms)}`);
+      error.code = 'CHECK_TIMEOUT';
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([Promise.resolve().then(() => run(controller.signal)), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${Math.round(ms / 100) / 10}s` : `${ms}ms`;
+}
+
+module.exports = { CheckScheduler, withTimeout, formatDuration, DEFAULTS };
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CheckScheduler, withTimeout, formatDuration } = require('./scheduler');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runs tasks concurrently up to the limit', async () => {
+  const scheduler = new CheckScheduler({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  const run = async () => {
+    peak = Math.max(peak, ++running);
+    await delay(10);
+    running--;
+    return { success: true };
+  };
+  ['a', 'b', 'c', 'd'].forEach(id => scheduler.add(id, { run }));
+
+  const outcomes = await scheduler.run();
+  assert.equal(peak, 2);
+  assert.deepEqual(Array.from(outcomes.values(), outcome => outcome.status), ['passed', 'passed', 'passed', 'passed']);
+});
+
+test('dependents wait for their dependencies and are skipped when one does not pass', async () => {
+  const scheduler = new CheckScheduler();
+  const order = [];
+  scheduler.add('build', { run: async () => { order.push('build'); return { success: false }; } });
+  scheduler.add('api', { dependsOn: ['build', 'left-out'], run: async () => { order.push('api'); return { success: true }; } });
+  scheduler.add('e2e', { dependsOn: ['api'], run: async () => ({ success: true }) });
+
+  const outcomes = await scheduler.run();
+  assert.deepEqual(order, ['build']);
+  assert.equal(outcomes.get('build').status, 'failed');
+  assert.equal(outcomes.get('api').reason, 'depends on build, which did not pass');
+  assert.equal(outcomes.get('e2e').reason, 'depends on api, which was skipped');
+});
+
+test('exclusive tasks run alone', async () => {
+  const scheduler = new CheckScheduler({ concurrency: 4 });
+  const log = [];
+  const run = id => async () => {
+    log.push(`${id}:start`);
+    await delay(5);
+    log.push(`${id}:end`);
+    return { success: true };
+  };
+  scheduler.add('a', { run: run('a') });
+  scheduler.add('bench', { exclusive: true, run: run('bench') });
+  scheduler.add('b', { run: run('b') });
+
+  await scheduler.run();
+  const start = log.indexOf('bench:start');
+  assert.equal(log[start + 1], 'bench:end');
+});
+
+test('retries pass the attempt number and stop after a pass', async () => {
+  const scheduler = new CheckScheduler();
+  const attempts = [];
+  const outcome = scheduler.add('flaky', {
+    retries: 3,
+    retryDelay: 0,
+    run: async (signal, attempt) => {
+      attempts.push(attempt);
+      return { success: attempt === 2 };
+    }
+  });
+
+  await scheduler.run();
+  assert.deepEqual(attempts, [1, 2]);
+  assert.equal((await outcome).status, 'passed');
+  assert.equal((await outcome).attempts, 2);
+});
+
+test('a timeout aborts the signal and counts as an error', async () => {
+  const scheduler = new CheckScheduler();
+  let aborted = null;
+  scheduler.add('slow', {
+    timeout: 20,
+    run: signal => new Promise(resolve => {
+      signal.addEventListener('abort', () => {
+        aborted = signal.reason.code;
+        resolve({ success: true });
+      });
+    })
+  });
+
+  const outcome = (await scheduler.run()).get('slow');
+  assert.equal(aborted, 'CHECK_TIMEOUT');
+  assert.equal(outcome.status, 'error');
+  assert.equal(outcome.timedOut, true);
+  assert.equal(outcome.error.message, 'Timed out after 20ms');
+});
+
+test('tasks waiting on each other are skipped as a cycle', async () => {
+  const scheduler = new CheckScheduler();
+  scheduler.add('a', { dependsOn: ['b'], run: async () => ({ success: true }) });
+  scheduler.add('b', { dependsOn: ['a'], run: async () => ({ success: true }) });
+
+  const outcomes = await scheduler.run();
+  assert.equal(outcomes.get('a').status, 'skipped');
+  assert.equal(outcomes.get('b').reason, 'dependency cycle (a → b)');
+});
+
+test('checks returning skipped are not retried', async () => {
+  const scheduler = new CheckScheduler();
+  let calls = 0;
+  scheduler.add('bundle', { retries: 2, retryDelay: 0, run: async () => { calls++; return { skipped: true, message: 'nothing built' }; } });
+
+  const outcome = (await scheduler.run()).get('bundle');
+  assert.equal(calls, 1);
+  assert.equal(outcome.reason, 'nothing built');
+});
+
+test('add rejects duplicates and late tasks', () => {
+  const scheduler = new CheckScheduler();
+  scheduler.add('a', { run: async () => ({ success: true }) });
+  assert.throws(() => scheduler.add('a', { run: async () => ({}) }), /scheduled twice/);
+  scheduler.run();
+  assert.throws(() => scheduler.add('b', { run: async () => ({}) }), /after the scheduler started/);
+});
+
+test('withTimeout resolves fast work and formatDuration rounds seconds', async () => {
+  assert.equal(await withTimeout(async () => 42, 1000), 42);
+  assert.equal(formatDuration(1500), '1.5s');
+  assert.equal(formatDuration(250), '250ms');
+});
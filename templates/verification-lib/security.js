@@ -0,0 +1,412 @@
+/**
+ * Offline Security Scan
+ * Finds secrets and dangerous code patterns in the project's tracked files and audits
+ * package-lock.json against a locally stored advisory file; no network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny, findFiles } = require('./glob');
+const { maskNonCode, parseImports, SOURCE_EXTENSIONS } = require('./import-graph');
+const { git } = require('./changes');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const DEFAULTS = {
+  advisories: 'security/advisories.json',
+  lockfile: 'package-lock.json',
+  // score = max(0, 10 - sum of the weights of all findings)
+  weights: { critical: 3, high: 1, medium: 0.25, low: 0.05 },
+  disabledRules: [],
+  entropy: { minLength: 24, threshold: 4.5 },
+  maxFileSize: 1024 * 1024,
+  ignore: ['**/node_modules/**', '**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml', '**/*.min.js', '**/*.map']
+};
+
+// Secrets in any text file; `fallback` rules are skipped on lines a specific rule already flagged
+const SECRET_RULES = [
+  { id: 'secret-private-key', severity: 'critical', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g, message: 'Private key' },
+  { id: 'secret-aws-access-key', severity: 'high', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, message: 'AWS access key ID' },
+  { id: 'secret-github-token', severity: 'high', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, message: 'GitHub token' },
+  { id: 'secret-slack-token', severity: 'high', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g, message: 'Slack token' },
+  { id: 'secret-stripe-key', severity: 'high', pattern: /\b[sr]k_live_[0-9A-Za-z]{24,}\b/g, message: 'Stripe live key' },
+  { id: 'secret-google-api-key', severity: 'high', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g, message: 'Google API key' },
+  { id: 'secret-api-key', severity: 'high', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{32,}/g, message: 'API secret key' },
+  {
+    id: 'secret-hardcoded-credential',
+    severity: 'high',
+    pattern: /\b([\w-]*(?:password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|private[_-]?key)[\w-]*)['"]?\s*[:=]\s*(['"])([^'"\s]{8,})\2/gi,
+    message: 'Hard-coded credential',
+    fallback: true,
+    // Template values, examples and the names of environment variables holding the secret are not credentials
+    accept: ([, key, , value]) => !/(?:[_-]env|Env|_ENV)$/.test(key) && !/^[A-Z][A-Z0-9_]*$/.test(value) &&
+      !/^(?:\{\{|\$\{|<|%)|changeme|example|placeholder|your[_-]|x{4,}|\*{4,}/i.test(value)
+  }
+];
+
+// Dangerous patterns in JS/TS code, matched outside comments and string literals
+// (`inStrings` rules also see string contents)
+const CODE_RULES = [
+  { id: 'js-eval', severity: 'medium', pattern: /(?<![\w$.])(?:eval\s*\(|new\s+Function\s*\()/g, message: 'eval / new Function executes arbitrary code' },
+  {
+    id: 'js-child-process-injection',
+    severity: 'high',
+    pattern: /(?<![\w$])(?:exec|execSync|spawn|spawnSync)\s*\(/g,
+    message: 'Shell command built from interpolated input',
+    accept: (match, { source, imports }) => imports.includes('child_process') && isInterpolated(firstArgument(source, match.index + match[0].length))
+  },
+  { id: 'tls-verification-disabled', severity: 'high', pattern: /\b(?:rejectUnauthorized|strictSSL)\s*:\s*false\b/g, message: 'TLS certificate verification disabled' },
+  { id: 'tls-verification-disabled', severity: 'high', pattern: /\bNODE_TLS_REJECT_UNAUTHORIZED\b['"]?\]?\s*=\s*['"]?0/g, message: 'TLS certificate verification disabled for the whole process', inStrings: true },
+  { id: 'electron-node-integration', severity: 'high', pattern: /\bnodeIntegration\s*:\s*true\b/g, message: 'Electron renderer with nodeIntegration: true' }
+];
+
+// Candidate secrets for the entropy check: long quoted tokens without spaces
+const QUOTED_TOKEN = /(['"`])([A-Za-z0-9+/=_.-]+)\1/g;
+
+/**
+ * Security settings with defaults; `weights` keys are severities in lower case, `ignore` adds to the defaults
+ */
+function resolveSettings(settings = {}) {
+  return {
+    ...DEFAULTS,
+    ...settings,
+    weights: { ...DEFAULTS.weights, ...settings.weights },
+    entropy: { ...DEFAULTS.entropy, ...settings.entropy },
+    ignore: [...DEFAULTS.ignore, ...(settings.ignore || [])]
+  };
+}
+
+/**
+ * Run every analysis and compute the score
+ *
+ * @param {string} rootDir
+ * @param {object} settings - resolveSettings() result
+ * @returns {{score: number, findings: Array<{rule, severity, file, line, message}>, filesScanned: number,
+ *   packagesAudited: number|null, advisories: number|null}} packagesAudited/advisories are null when
+ *   the lockfile or advisory file does not exist
+ */
+function runSecurityScan(rootDir, settings) {
+  const files = listScannedFiles(rootDir, settings);
+  const findings = [];
+  for (const file of files) findings.push(...scanFile(rootDir, file, settings));
+
+  const audit = auditLockfile(rootDir, settings);
+  findings.push(...audit.findings);
+
+  const enabled = findings.filter(finding => !settings.disabledRules.includes(finding.rule));
+  return {
+    score: computeScore(enabled, settings.weights),
+    findings: enabled,
+    filesScanned: files.length,
+    packagesAudited: audit.packages,
+    advisories: audit.advisories
+  };
+}
+
+/**
+ * 10 minus the weight of each finding's severity, never below 0, rounded to one decimal
+ */
+function computeScore(findings, weights) {
+  const penalty = findings.reduce((sum, finding) => sum + (weights[finding.severity] || 0), 0);
+  return Math.max(0, Math.round((10 - penalty) * 10) / 10);
+}
+
+/**
+ * Tracked files (git ls-files), or every file below rootDir outside a git repository
+ */
+function listScannedFiles(rootDir, settings) {
+  let files;
+  try {
+    files = git(rootDir, ['ls-files', '-z', '--cached']).split('\0').filter(Boolean);
+  } catch (error) {
+    files = findFiles(rootDir, ['**/*']);
+  }
+  const advisoryFile = path.relative(rootDir, path.resolve(rootDir, settings.advisories)).split(path.sep).join('/');
+  return files.filter(file => file !== advisoryFile && !matchesAny(file, settings.ignore));
+}
+
+/**
+ * Secret and dangerous-pattern findings of one file; binary and oversized files are skipped
+ */
+function scanFile(rootDir, file, settings) {
+  const filePath = path.join(rootDir, file);
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    return []; // Deleted but not yet staged
+  }
+  if (!stat.isFile() || stat.size > settings.maxFileSize) return [];
+
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.subarray(0, 8000).includes(0)) return [];
+  const source = buffer.toString('utf8');
+  const starts = lineStarts(source);
+  const findings = [];
+  const report = (rule, index, message) => findings.push({
+    rule: rule.id, severity: rule.severity, file, line: lineAt(starts, index), message
+  });
+
+  const flaggedLines = new Set();
+  for (const rule of SECRET_RULES) {
+    for (const match of source.matchAll(rule.pattern)) {
+      if (rule.fallback && flaggedLines.has(lineAt(starts, match.index))) continue;
+      if (!rule.accept || rule.accept(match)) report(rule, match.index, rule.message);
+    }
+    for (const finding of findings) flaggedLines.add(finding.line);
+  }
+
+  // Any other quoted token that looks random
+  for (const match of source.matchAll(QUOTED_TOKEN)) {
+    const token = match[2];
+    if (token.length < settings.entropy.minLength || flaggedLines.has(lineAt(starts, match.index))) continue;
+    const entropy = shannonEntropy(token);
+    if (entropy >= settings.entropy.threshold) {
+      report({ id: 'secret-high-entropy', severity: 'medium' }, match.index,
+        `High-entropy string (${entropy.toFixed(1)} bits/char) may be a secret`);
+    }
+  }
+
+  if (SOURCE_EXTENSIONS.includes(path.extname(file))) {
+    const code = maskNonCode(source, { strings: true });
+    const codeAndStrings = maskNonCode(source);
+    const imports = parseImports(source).map(({ specifier }) => specifier.replace(/^node:/, ''));
+    for (const rule of CODE_RULES) {
+      for (const match of (rule.inStrings ? codeAndStrings : code).matchAll(rule.pattern)) {
+        if (!rule.accept || rule.accept(match, { source, imports })) report(rule, match.index, rule.message);
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Packages in package-lock.json (lockfileVersion 1-3) matching an advisory's vulnerable range
+ *
+ * Advisory file: { "advisories": [{ id, package, vulnerable, severity, title, patched, url }] }, or the
+ * npm bulk-advisory response, saved as is: { "<package>": [{ id, title, severity, vulnerable_versions, url }] }
+ *
+ * @returns {{findings: object[], packages: number|null, advisories: number|null}}
+ */
+function auditLockfile(rootDir, settings) {
+  const lockfilePath = path.resolve(rootDir, settings.lockfile);
+  const advisoryPath = path.resolve(rootDir, settings.advisories);
+  if (!fs.existsSync(lockfilePath) || !fs.existsSync(advisoryPath)) {
+    return {
+      findings: [],
+      packages: null,
+      advisories: fs.existsSync(advisoryPath) ? loadAdvisories(advisoryPath).length : null
+    };
+  }
+
+  const advisories = loadAdvisories(advisoryPath);
+  const lockText = fs.readFileSync(lockfilePath, 'utf8');
+  const packages = readLockfilePackages(lockText);
+  const file = path.relative(rootDir, lockfilePath).split(path.sep).join('/');
+  const findings = [];
+
+  for (const pkg of packages) {
+    for (const advisory of advisories.filter(entry => entry.package === pkg.name)) {
+      if (!satisfies(pkg.version, advisory.vulnerable)) continue;
+      findings.push({
+        rule: `advisory-${advisory.id}`,
+        severity: normalizeSeverity(advisory.severity),
+        file,
+        line: pkg.line,
+        message: `${pkg.name}@${pkg.version}: ${advisory.title || 'known vulnerability'}` +
+          `${advisory.patched ? ` (fixed in ${advisory.patched})` : ''}${advisory.url ? ` ${advisory.url}` : ''}`
+      });
+    }
+  }
+
+  return { findings, packages: packages.length, advisories: advisories.length };
+}
+
+function loadAdvisories(advisoryPath) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(advisoryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read advisory file ${advisoryPath}: ${error.message}`);
+  }
+
+  const advisories = Array.isArray(document.advisories)
+    ? document.advisories
+    : Object.entries(document).flatMap(([name, entries]) =>
+      (Array.isArray(entries) ? entries : []).map(entry => ({ ...entry, package: name, vulnerable: entry.vulnerable_versions })));
+
+  for (const advisory of advisories) {
+    if (!advisory.id || !advisory.package || typeof advisory.vulnerable !== 'string') {
+      throw new Error(`Advisory ${advisory.id || JSON.stringify(advisory).slice(0, 60)} in ${advisoryPath} needs id, package and a vulnerable range`);
+    }
+  }
+  return advisories;
+}
+
+/**
+ * Installed packages of a lockfile with the line of their entry
+ */
+function readLockfilePackages(lockText) {
+  const lock = JSON.parse(lockText);
+  const starts = lineStarts(lockText);
+  const packages = [];
+
+  if (lock.packages) {
+    for (const [key, entry] of Object.entries(lock.packages)) {
+      if (!key || entry.link || !entry.version) continue;
+      packages.push({ name: entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length), version: entry.version, line: lineOfKey(lockText, starts, key) });
+    }
+    return packages;
+  }
+
+  const walk = (dependencies = {}) => {
+    for (const [name, entry] of Object.entries(dependencies)) {
+      if (entry.version) packages.push({ name, version: entry.version, line: lineOfKey(lockText, starts, name) });
+      walk(entry.dependencies);
+    }
+  };
+  walk(lock.dependencies);
+  return packages;
+}
+
+/**
+ * Whether a version falls in an npm-style range: comparators (<, <=, >, >=, =) joined by spaces, alternatives by ||
+ */
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) return false; // git, file: and tarball dependencies
+
+  return range.split('||').some(alternative => {
+    const comparators = alternative.trim().replace(/(<=|>=|<|>|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return comparators.every(comparator => {
+      if (comparator === '*' || comparator === 'x') return true;
+      const match = comparator.match(/^(<=|>=|<|>|=)?v?(\d+(?:\.\d+){0,2}(?:-[0-9A-Za-z.-]+)?)$/);
+      if (!match) throw new Error(`Unsupported version range "${range}"`);
+      const order = compareVersions(parsed, parseVersion(match[2]));
+      switch (match[1] || '=') {
+        case '<': return order < 0;
+        case '<=': return order <= 0;
+        case '>': return order > 0;
+        case '>=': return order >= 0;
+        default: return order === 0;
+      }
+    });
+  });
+}
+
+function parseVersion(version) {
+  const match = String(version).match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+.*)?$/);
+  if (!match) return null;
+  return { parts: [match[1], match[2] || 0, match[3] || 0].map(Number), prerelease: match[4] ? match[4].split('.') : [] };
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a.parts[i] !== b.parts[i]) return a.parts[i] < b.parts[i] ? -1 : 1;
+  }
+  // A prerelease sorts before its release
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) return b.prerelease.length - a.prerelease.length;
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const [x, y] = [a.prerelease[i], b.prerelease[i]];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+    return (numeric ? Number(x) < Number(y) : x < y) ? -1 : 1;
+  }
+  return 0;
+}
+
+function normalizeSeverity(severity) {
+  const value = String(severity || 'high').toLowerCase();
+  return value === 'moderate' ? 'medium' : SEVERITIES.includes(value) ? value : 'high';
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Text of a call's first argument, up to the top-level comma or closing parenthesis
+ */
+function firstArgument(source, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'' || char === '`') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      if (depth === 0) return source.slice(start, i);
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      return source.slice(start, i);
+    }
+  }
+  return source.slice(start);
+}
+
+/**
+ * A template literal with substitutions or a string concatenated with something else
+ */
+function isInterpolated(argument) {
+  const text = argument.trim();
+  if (/^`[\s\S]*\$\{[\s\S]*`$/.test(text)) return true;
+  return /^(['"`])[\s\S]*\1\s*\+|\+\s*(['"`])[\s\S]*\2$/.test(text);
+}
+
+/**
+ * Offset of the first character of every line, computed once per file for lineAt()
+ */
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+/**
+ * 1-based line of an offset
+ */
+function lineAt(starts, index) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (starts[middle] <= index) low = middle;
+    else high = middle - 1;
+  }
+  return low + 1;
+}
+
+function lineOfKey(text, starts, key) {
+  const index = text.indexOf(`"${key}":`);
+  return index === -1 ? undefined : lineAt(starts, index);
+}
+
+module.exports = {
+  resolveSettings,
+  runSecurityScan,
+  computeScore,
+  scanFile,
+  auditLockfile,
+  satisfies,
+  shannonEntropy,
+  SECRET_RULES,
+  CODE_RULES,
+  DEFAULTS
+};
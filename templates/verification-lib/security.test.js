@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSettings, runSecurityScan, computeScore, scanFile, satisfies } = require('./security');
+
+// Secret-looking fixtures are assembled at run time so this file does not trip scanners itself
+const AWS_KEY = 'AKIA' + 'Q3EXAMPLE7KEYID2';
+const PASSWORD = 'hunter2' + '-Correct-Horse';
+const TOKEN = 'q8Zr2LxV0pN4mW7t' + 'K1yB9cF3hJ6dS5gA';
+const TLS_OFF = "process.env['NODE_TLS_" + "REJECT_UNAUTHORIZED'] = '0';";
+
+function project(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+const rules = findings => findings.map(finding => `${finding.rule}:${finding.line}`);
+
+test('code rules ignore pattern text inside string literals and comments', (t) => {
+  const dir = project(t, {
+    'rules.js': [
+      "const message = 'Electron renderer with nodeIntegration: true';",
+      "assert.equal(describe('eval()'), 'eval() executes code');",
+      '// eval(userInput)',
+      "const hint = `rejectUnauthorized: false`;"
+    ].join('\n')
+  });
+  assert.deepEqual(scanFile(dir, 'rules.js', resolveSettings()), []);
+});
+
+test('environment variable names are not hard-coded credentials', (t) => {
+  const dir = project(t, {
+    'config.yaml': 'webhook:\n  secret_env: "VERIFICATION_WEBHOOK_SECRET"\n  api_key_env: "PAYMENTS_API_KEY"\n',
+    'events.js': "const sink = { secretEnv: 'EVENTS_TEST_SECRET', password: 'DATABASE_PASSWORD' };\n"
+  });
+  const settings = resolveSettings();
+  assert.deepEqual(scanFile(dir, 'config.yaml', settings), []);
+  assert.deepEqual(scanFile(dir, 'events.js', settings), []);
+});
+
+test('secret rules report keys, credentials and high-entropy strings once per line', (t) => {
+  const dir = project(t, {
+    'settings.js': [
+      `const aws = '${AWS_KEY}';`,
+      `const db = { password: '${PASSWORD}' };`,
+      `const token = '${TOKEN}';`,
+      "const sample = { password: 'changeme-please' };"
+    ].join('\n')
+  });
+  assert.deepEqual(rules(scanFile(dir, 'settings.js', resolveSettings())), [
+    'secret-aws-access-key:1',
+    'secret-hardcoded-credential:2',
+    'secret-high-entropy:3'
+  ]);
+});
+
+test('code rules report eval, interpolated shell commands, disabled TLS and nodeIntegration', (t) => {
+  const dir = project(t, {
+    'danger.js': [
+      "const { exec } = require('child_process');",
+      'exec(`git log ${branch}`);',
+      "exec('git status');",
+      'const result = eval(input);',
+      'https.request({ rejectUnauthorized: false });',
+      TLS_OFF,
+      'new BrowserWindow({ webPreferences: { nodeIntegration: true } });'
+    ].join('\n')
+  });
+  assert.deepEqual(rules(scanFile(dir, 'danger.js', resolveSettings())), [
+    'js-eval:4',
+    'js-child-process-injection:2',
+    'tls-verification-disabled:5',
+    'tls-verification-disabled:6',
+    'electron-node-integration:7'
+  ]);
+});
+
+test('runSecurityScan audits the lockfile against local advisories and scores the findings', (t) => {
+  const dir = project(t, {
+    'package-lock.json': JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app' },
+        'node_modules/lodash': { version: '4.17.20' },
+        'node_modules/minimist': { version: '1.2.8' }
+      }
+    }, null, 2),
+    'security/advisories.json': JSON.stringify({
+      advisories: [
+        { id: 'GHSA-1', package: 'lodash', vulnerable: '<4.17.21', severity: 'critical', title: 'Prototype pollution', patched: '4.17.21' },
+        { id: 'GHSA-2', package: 'minimist', vulnerable: '<1.2.6', severity: 'moderate' }
+      ]
+    }),
+    'src/app.js': 'const result = eval(input);\n'
+  });
+
+  const result = runSecurityScan(dir, resolveSettings());
+  assert.deepEqual(result.findings.map(finding => `${finding.rule}:${finding.severity}:${finding.file}`), [
+    'js-eval:medium:src/app.js',
+    'advisory-GHSA-1:critical:package-lock.json'
+  ]);
+  assert.equal(result.findings[1].line, 7);
+  assert.equal(result.packagesAudited, 2);
+  assert.equal(result.advisories, 2);
+  assert.equal(result.score, 6.8);
+
+  const disabled = runSecurityScan(dir, resolveSettings({ disabledRules: ['js-eval'] }));
+  assert.equal(disabled.score, 7);
+});
+
+test('computeScore subtracts severity weights and never drops below 0', () => {
+  const { weights } = resolveSettings();
+  const findings = severities => severities.map(severity => ({ severity }));
+  assert.equal(computeScore([], weights), 10);
+  assert.equal(computeScore(findings(['high', 'medium', 'low']), weights), 8.7);
+  assert.equal(computeScore(findings(['critical', 'critical', 'critical', 'critical']), weights), 0);
+  assert.equal(computeScore(findings(['high']), resolveSettings({ weights: { high: 2 } }).weights), 8);
+});
+
+test('satisfies handles comparator sets, alternatives and prereleases', () => {
+  assert.equal(satisfies('1.2.3', '>=1.0.0 <1.2.4'), true);
+  assert.equal(satisfies('1.2.4', '>=1.0.0 <1.2.4'), false);
+  assert.equal(satisfies('2.0.0', '<1.0.0 || >=2.0.0'), true);
+  assert.equal(satisfies('1.0.0-beta.2', '<1.0.0'), true);
+  assert.equal(satisfies('github:user/repo', '<1.0.0'), false);
+});
@@ -0,0 +1,178 @@
+/**
+ * Microservice Checks
+ * Finds the services of a microservices project, probes their health endpoints and builds the
+ * contract matrix: the requests each consumer declares against the provider's OpenAPI document
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseConfigSource } = require('./config-loader');
+const { loadOpenApi, OpenApiValidator } = require('./contracts');
+
+const DEFAULTS = {
+  dir: 'services',
+  healthPath: '/health',
+  timeout: 2000,
+  contractsDir: 'contracts',
+  // Service name → base URL of the running service; services without one are not probed
+  endpoints: {}
+};
+
+const SPEC_FILES = ['openapi.yaml', 'openapi.yml', 'openapi.json', 'docs/openapi.yaml'];
+const CONTRACT_FILE = /\.(ya?ml|json)$/;
+
+// Values of a JSON health body's `status` that count as healthy (Spring, RFC health check draft, common ad-hoc forms)
+const HEALTHY_STATUSES = ['ok', 'up', 'pass', 'healthy'];
+
+/**
+ * Service settings with defaults
+ */
+function resolveSettings(settings = {}) {
+  return { ...DEFAULTS, ...settings };
+}
+
+/**
+ * Services of the project: one per subdirectory of settings.dir, plus services that only have an endpoint
+ *
+ * @returns {Array<{name: string, dir: string, url: string|undefined, spec: string|null}>} spec relative to rootDir
+ */
+function discoverServices(rootDir, settings) {
+  const servicesDir = path.join(rootDir, settings.dir);
+  const names = fs.existsSync(servicesDir)
+    ? fs.readdirSync(servicesDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+    : [];
+  for (const name of Object.keys(settings.endpoints)) {
+    if (!names.includes(name)) names.push(name);
+  }
+
+  return names.sort().map(name => {
+    const dir = `${settings.dir}/${name}`;
+    const spec = SPEC_FILES.map(file => `${dir}/${file}`).find(file => fs.existsSync(path.join(rootDir, file)));
+    return { name, dir, url: settings.endpoints[name], spec: spec || null };
+  });
+}
+
+/**
+ * GET <url><healthPath>; healthy when it answers 2xx and a JSON `status`, if present, reads ok/up/pass/healthy
+ *
+ * @param {AbortSignal} [signal] - The check's signal; aborts the probe when the check times out
+ * @returns {Promise<{healthy: boolean, status?: number, latencyMs?: number, reason?: string}>}
+ */
+async function probeHealth(service, settings, signal) {
+  const url = `${service.url.replace(/\/+$/, '')}${settings.healthPath}`;
+  const signals = [AbortSignal.timeout(settings.timeout), ...(signal ? [signal] : [])];
+  const started = Date.now();
+
+  let response;
+  let body;
+  try {
+    response = await fetch(url, { signal: AbortSignal.any(signals) });
+    body = await response.text();
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `no answer within ${settings.timeout}ms` : (error.cause || error).message;
+    return { healthy: false, reason: `${url}: ${reason}` };
+  }
+
+  const latencyMs = Date.now() - started;
+  if (!response.ok) {
+    return { healthy: false, status: response.status, latencyMs, reason: `${url} returned ${response.status}` };
+  }
+  const status = reportedStatus(body);
+  if (status !== undefined && !HEALTHY_STATUSES.includes(String(status).toLowerCase())) {
+    return { healthy: false, status: response.status, latencyMs, reason: `${url} reports status "${status}"` };
+  }
+  return { healthy: true, status: response.status, latencyMs };
+}
+
+function reportedStatus(body) {
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed.status : undefined;
+  } catch (error) {
+    return undefined; // Plain-text health endpoints only have their status code
+  }
+}
+
+/**
+ * Consumer → provider pairs, one per <consumer>/<contractsDir>/<provider>.{yaml,yml,json}, with the
+ * requests the provider does not document
+ * A contract file lists the consumer's requests: `requests: ["GET /orders/{id}", { method: POST, path: /orders }]`
+ *
+ * @returns {Array<{consumer: string, provider: string, file: string, requests: number,
+ *   problems: Array<{kind: string, route?: string, description: string}>}>}
+ */
+function buildContractMatrix(rootDir, services, settings) {
+  const byName = new Map(services.map(service => [service.name, service]));
+  const validators = new Map();
+  const validatorFor = (provider) => {
+    if (!validators.has(provider.name)) {
+      validators.set(provider.name, new OpenApiValidator(loadOpenApi(provider.spec, { rootDir })));
+    }
+    return validators.get(provider.name);
+  };
+
+  const pairs = [];
+  for (const consumer of services) {
+    const contractsDir = path.join(rootDir, consumer.dir, settings.contractsDir);
+    if (!fs.existsSync(contractsDir)) continue;
+
+    for (const fileName of fs.readdirSync(contractsDir).filter(name => CONTRACT_FILE.test(name)).sort()) {
+      const file = `${consumer.dir}/${settings.contractsDir}/${fileName}`;
+      const document = parseConfigSource(fs.readFileSync(path.join(rootDir, file), 'utf8'), file) || {};
+      const requests = parseRequests(document.requests, file);
+      const pair = { consumer: consumer.name, provider: fileName.replace(CONTRACT_FILE, ''), file, requests: requests.length, problems: [] };
+      pairs.push(pair);
+
+      const provider = byName.get(pair.provider);
+      if (!provider) {
+        pair.problems.push({ kind: 'unknown_provider', description: `${file} is a contract with "${pair.provider}", which is not a service` });
+        continue;
+      }
+      if (!provider.spec) {
+        pair.problems.push({
+          kind: 'missing_spec',
+          description: `${pair.provider} has no OpenAPI document to check the requests of ${consumer.name} against (${SPEC_FILES.join(', ')} in ${provider.dir})`
+        });
+        continue;
+      }
+
+      const validator = validatorFor(provider);
+      for (const { method, path: requestPath } of requests) {
+        const { route, operation } = validator.findOperation(method, requestPath);
+        if (operation) continue;
+        pair.problems.push({
+          kind: 'missing_route',
+          route: `${method} ${requestPath}`,
+          description: route
+            ? `${consumer.name} calls ${method} ${requestPath}, but ${pair.provider} does not document ${method} for ${route}`
+            : `${consumer.name} calls ${method} ${requestPath}, which ${pair.provider} does not document`
+        });
+      }
+    }
+  }
+  return pairs;
+}
+
+function parseRequests(requests, file) {
+  if (!Array.isArray(requests)) {
+    throw new Error(`${file} must list the consumer's requests under "requests"`);
+  }
+  return requests.map((request, index) => {
+    const [method, requestPath] = typeof request === 'string'
+      ? request.trim().split(/\s+/)
+      : [request && request.method, request && request.path];
+    if (typeof method !== 'string' || typeof requestPath !== 'string' || !requestPath.startsWith('/')) {
+      throw new Error(`${file}: requests[${index}] must be "METHOD /path" or { method, path }`);
+    }
+    return { method: method.toUpperCase(), path: requestPath };
+  });
+}
+
+module.exports = {
+  resolveSettings,
+  discoverServices,
+  probeHealth,
+  buildContractMatrix,
+  DEFAULTS,
+  SPEC_FILES
+};
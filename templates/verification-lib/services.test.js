@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { resolveSettings, discoverServices, probeHealth, buildContractMatrix } = require('./services');
+
+function project(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'services-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+const ORDERS_SPEC = JSON.stringify({
+  openapi: '3.0.3',
+  paths: {
+    '/orders': { post: { responses: { 201: { description: 'Created' } } } },
+    '/orders/{id}': { get: { responses: { 200: { description: 'Order' } } } }
+  }
+});
+
+const FILES = {
+  'services/orders/openapi.json': ORDERS_SPEC,
+  'services/orders/src/index.js': '',
+  'services/billing/docs/openapi.yaml': 'openapi: 3.0.3\npaths: {}\n',
+  'services/billing/contracts/orders.yaml': 'requests:\n  - GET /orders/{id}\n  - { method: delete, path: "/orders/{id}" }\n  - GET /invoices\n',
+  'services/web/contracts/billing.json': JSON.stringify({ requests: ['GET /invoices/7'] }),
+  'services/web/contracts/search.yaml': 'requests: []\n',
+  'services/web/contracts/notes.txt': 'not a contract'
+};
+
+test('discoverServices lists service directories and endpoint-only services with their specs', (t) => {
+  const dir = project(t, FILES);
+  const services = discoverServices(dir, resolveSettings({ endpoints: { orders: 'http://orders:3000', payments: 'http://payments' } }));
+  assert.deepEqual(services, [
+    { name: 'billing', dir: 'services/billing', url: undefined, spec: 'services/billing/docs/openapi.yaml' },
+    { name: 'orders', dir: 'services/orders', url: 'http://orders:3000', spec: 'services/orders/openapi.json' },
+    { name: 'payments', dir: 'services/payments', url: 'http://payments', spec: null },
+    { name: 'web', dir: 'services/web', url: undefined, spec: null }
+  ]);
+});
+
+test('buildContractMatrix checks each consumer contract against the provider spec', (t) => {
+  const dir = project(t, FILES);
+  const settings = resolveSettings();
+  const matrix = buildContractMatrix(dir, discoverServices(dir, settings), settings);
+
+  assert.deepEqual(matrix.map(pair => `${pair.consumer}→${pair.provider}:${pair.requests}:${pair.problems.map(p => p.kind).join(',')}`), [
+    'billing→orders:3:missing_route,missing_route',
+    'web→billing:1:missing_route',
+    'web→search:0:unknown_provider'
+  ]);
+  assert.deepEqual(matrix[0].problems.map(problem => problem.description), [
+    'billing calls DELETE /orders/{id}, but orders does not document DELETE for /orders/{id}',
+    'billing calls GET /invoices, which orders does not document'
+  ]);
+});
+
+test('buildContractMatrix reports providers without a spec and rejects malformed contracts', (t) => {
+  const dir = project(t, {
+    'services/orders/src/index.js': '',
+    'services/web/contracts/orders.yaml': 'requests: ["GET /orders"]\n'
+  });
+  const settings = resolveSettings();
+  const [pair] = buildContractMatrix(dir, discoverServices(dir, settings), settings);
+  assert.equal(pair.problems[0].kind, 'missing_spec');
+
+  fs.writeFileSync(path.join(dir, 'services/web/contracts/orders.yaml'), 'requests: ["orders"]\n');
+  assert.throws(() => buildContractMatrix(dir, discoverServices(dir, settings), settings), /requests\[0\] must be "METHOD \/path" or \{ method, path \}/);
+});
+
+test('probeHealth requires 2xx and a healthy JSON status', async (t) => {
+  const server = http.createServer((request, response) => {
+    const bodies = { '/ok/health': '{"status":"UP"}', '/text/health': 'fine', '/down/health': '{"status":"degraded"}' };
+    if (request.url === '/slow/health') return setTimeout(() => response.end('late'), 500);
+    response.statusCode = bodies[request.url] ? 200 : 503;
+    response.end(bodies[request.url] || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const settings = resolveSettings({ timeout: 100 });
+  const probe = name => probeHealth({ name, url: `${base}/${name}/` }, settings);
+
+  assert.equal((await probe('ok')).healthy, true);
+  assert.equal((await probe('text')).healthy, true);
+  assert.match((await probe('down')).reason, /reports status "degraded"$/);
+  assert.match((await probe('broken')).reason, /returned 503$/);
+  assert.match((await probe('slow')).reason, /no answer within 100ms$/);
+});
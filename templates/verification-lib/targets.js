@@ -0,0 +1,122 @@
+/**
+ * Target String Parsing
+ * Turns YAML target strings such as "<100ms", ">90%" or "60-80%" into numeric thresholds
+ */
+
+// Units grouped by dimension, with the factor that converts them to the dimension's base unit
+const UNITS = {
+  ms: { dimension: 'time', base: 'ms', factor: 1 },
+  s: { dimension: 'time', base: 'ms', factor: 1000 },
+  sec: { dimension: 'time', base: 'ms', factor: 1000 },
+  min: { dimension: 'time', base: 'ms', factor: 60000 },
+  h: { dimension: 'time', base: 'ms', factor: 3600000 },
+  hour: { dimension: 'time', base: 'ms', factor: 3600000 },
+  b: { dimension: 'size', base: 'MB', factor: 1 / (1024 * 1024) },
+  kb: { dimension: 'size', base: 'MB', factor: 1 / 1024 },
+  mb: { dimension: 'size', base: 'MB', factor: 1 },
+  gb: { dimension: 'size', base: 'MB', factor: 1024 },
+  '%': { dimension: 'percent', base: '%', factor: 1 },
+  '/sec': { dimension: 'rate', base: '/sec', factor: 1 },
+  '/s': { dimension: 'rate', base: '/sec', factor: 1 },
+  'ops/sec': { dimension: 'rate', base: '/sec', factor: 1 },
+  rps: { dimension: 'rate', base: '/sec', factor: 1 },
+  '/min': { dimension: 'rate', base: '/sec', factor: 1 / 60 },
+  // Frames per second: a rate like any other, so ">58fps" compares with measurements in /sec
+  fps: { dimension: 'rate', base: '/sec', factor: 1 }
+};
+
+const TARGET_PATTERN = /^\s*(<=|>=|<|>|=)?\s*(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?))?\s*(\S.*)?$/;
+
+/**
+ * Parse a target string into a comparable threshold
+ *
+ * Values are converted to the base unit of their dimension (ms, MB, %, /sec).
+ * A target without a comparator means "at most" for time and size, "at least" otherwise.
+ * Bare numbers are accepted as-is so hand-written configs can keep using `target: 200`.
+ *
+ * @returns {object|null} { raw, comparator, value, min, max, unit, dimension } or null if unparseable
+ */
+function parseTarget(raw) {
+  if (typeof raw === 'number') {
+    return { raw, comparator: null, value: raw, unit: null, dimension: 'scalar' };
+  }
+  if (typeof raw !== 'string') return null;
+
+  const match = raw.match(TARGET_PATTERN);
+  if (!match) return null;
+
+  const [, operator, first, second, unitText] = match;
+  const unitKey = unitText ? unitText.trim().toLowerCase() : null;
+  const unitInfo = unitKey ? UNITS[unitKey] : null;
+
+  // Keep unknown compound units (e.g. "%/hour") unconverted rather than guessing
+  const dimension = unitInfo ? unitInfo.dimension : (unitKey ? 'other' : 'scalar');
+  const unit = unitInfo ? unitInfo.base : (unitText ? unitText.trim() : null);
+  const factor = unitInfo ? unitInfo.factor : 1;
+  const convert = value => Number((parseFloat(value) * factor).toPrecision(12));
+
+  if (second !== undefined) {
+    if (operator) return null;
+    return {
+      raw,
+      comparator: 'range',
+      value: convert(second),
+      min: convert(first),
+      max: convert(second),
+      unit,
+      dimension
+    };
+  }
+
+  const lowerIsBetter = dimension === 'time' || dimension === 'size';
+  return {
+    raw,
+    comparator: operator || (lowerIsBetter ? '<=' : '>='),
+    value: convert(first),
+    unit,
+    dimension
+  };
+}
+
+/**
+ * Convert a measured value to the base unit of its dimension
+ *
+ * @returns {{value: number, unit: string|null, dimension: string}}
+ */
+function toBaseUnit(value, unit) {
+  const unitInfo = unit ? UNITS[unit.toLowerCase()] : null;
+  if (!unitInfo) {
+    return { value, unit: unit || null, dimension: unit ? 'other' : 'scalar' };
+  }
+  return { value: value * unitInfo.factor, unit: unitInfo.base, dimension: unitInfo.dimension };
+}
+
+/**
+ * Compare a measurement against a parsed target
+ * Bare numeric targets take the measurement's unit; otherwise both sides must share a dimension
+ *
+ * @param {{value: number, unit: string}} measured
+ * @param {object} targetSpec - result of parseTarget()
+ * @returns {boolean}
+ */
+function meetsTarget(measured, targetSpec) {
+  const actual = toBaseUnit(measured.value, measured.unit);
+
+  if (targetSpec.dimension !== 'scalar' && actual.dimension !== 'scalar' &&
+      (targetSpec.dimension !== actual.dimension || targetSpec.unit !== actual.unit)) {
+    throw new Error(`Cannot compare ${measured.value}${measured.unit || ''} against target ${targetSpec.raw}`);
+  }
+
+  switch (targetSpec.comparator) {
+    case '<': return actual.value < targetSpec.value;
+    case '<=': return actual.value <= targetSpec.value;
+    case '>': return actual.value > targetSpec.value;
+    case '>=': return actual.value >= targetSpec.value;
+    case '=': return actual.value === targetSpec.value;
+    case 'range': return actual.value >= targetSpec.min && actual.value <= targetSpec.max;
+    default:
+      throw new Error(`Target ${targetSpec.raw} has no comparator`);
+  }
+}
+
+module.exports = { parseTarget, toBaseUnit, meetsTarget, UNITS };
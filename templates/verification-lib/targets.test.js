@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTarget, toBaseUnit, meetsTarget } = require('./targets');
+
+test('parseTarget converts values to the base unit of their dimension', () => {
+  assert.deepEqual(parseTarget('<100ms'), { raw: '<100ms', comparator: '<', value: 100, unit: 'ms', dimension: 'time' });
+  assert.equal(parseTarget('<1.5s').value, 1500);
+  assert.equal(parseTarget('<5min').value, 300000);
+  assert.equal(parseTarget('<200KB').value, Number((200 / 1024).toPrecision(12)));
+  assert.equal(parseTarget('>10000/sec').dimension, 'rate');
+  assert.equal(parseTarget('>60/min').value, 1);
+});
+
+test('parseTarget defaults the comparator by dimension', () => {
+  assert.equal(parseTarget('100ms').comparator, '<=');
+  assert.equal(parseTarget('80%').comparator, '>=');
+  assert.deepEqual(parseTarget(200), { raw: 200, comparator: null, value: 200, unit: null, dimension: 'scalar' });
+});
+
+test('parseTarget reads ranges and keeps unknown units unconverted', () => {
+  assert.deepEqual(parseTarget('60-80%'), { raw: '60-80%', comparator: 'range', value: 80, min: 60, max: 80, unit: '%', dimension: 'percent' });
+  assert.equal(parseTarget('>60-80%'), null);
+  assert.deepEqual(parseTarget('<5%/hour'), { raw: '<5%/hour', comparator: '<', value: 5, unit: '%/hour', dimension: 'other' });
+  assert.equal(parseTarget('fast'), null);
+  assert.equal(parseTarget(undefined), null);
+});
+
+test('frames per second are a rate', () => {
+  const target = parseTarget('>58fps');
+  assert.equal(target.dimension, 'rate');
+  assert.equal(meetsTarget({ value: 60, unit: '/sec' }, target), true);
+  assert.equal(meetsTarget({ value: 50, unit: 'fps' }, target), false);
+});
+
+test('toBaseUnit converts measurements', () => {
+  assert.deepEqual(toBaseUnit(2, 's'), { value: 2000, unit: 'ms', dimension: 'time' });
+  assert.deepEqual(toBaseUnit(512, 'KB'), { value: 0.5, unit: 'MB', dimension: 'size' });
+  assert.deepEqual(toBaseUnit(3, undefined), { value: 3, unit: null, dimension: 'scalar' });
+});
+
+test('meetsTarget compares across units of one dimension', () => {
+  assert.equal(meetsTarget({ value: 1.2, unit: 's' }, parseTarget('<1500ms')), true);
+  assert.equal(meetsTarget({ value: 180, unit: 'KB' }, parseTarget('<200KB')), true);
+  assert.equal(meetsTarget({ value: 220, unit: 'KB' }, parseTarget('<200KB')), false);
+  assert.equal(meetsTarget({ value: 70, unit: '%' }, parseTarget('60-80%')), true);
+  assert.equal(meetsTarget({ value: 90, unit: '%' }, parseTarget('60-80%')), false);
+  // Bare numeric targets take the measurement's unit
+  assert.equal(meetsTarget({ value: 150, unit: 'ms' }, { ...parseTarget(200), comparator: '<=' }), true);
+});
+
+test('meetsTarget refuses to compare different dimensions', () => {
+  assert.throws(() => meetsTarget({ value: 10, unit: 'ms' }, parseTarget('>1000/sec')), /Cannot compare 10ms against target >1000\/sec/);
+  assert.throws(() => meetsTarget({ value: 10, unit: 'ms' }, parseTarget(200)), /has no comparator/);
+});
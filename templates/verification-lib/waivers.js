@@ -0,0 +1,177 @@
+/**
+ * Violation Waivers
+ * Loads the waivers file and matches waivers against a run's violations: active waivers mark
+ * violations as waived, expired ones stop counting, and waivers that match nothing are stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseConfigSource } = require('./config-loader');
+const { matchesGlob } = require('./glob');
+
+const DEFAULT_FILE = 'verification-waivers.yaml';
+
+// Violation fields a waiver can match on; `file` is a glob, the others must be equal
+const MATCH_FIELDS = ['type', 'layer', 'contract', 'gate', 'file', 'rule'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load and validate the waivers file
+ *
+ * @param {string} rootDir
+ * @param {string} [file] - Configured waivers file; without it DEFAULT_FILE is used when it exists
+ * @returns {{path: string, waivers: Array<object>}|null} null when there is no waivers file
+ */
+function loadWaivers(rootDir, file) {
+  const waiversPath = path.resolve(rootDir, file || DEFAULT_FILE);
+  if (!fs.existsSync(waiversPath)) {
+    if (file) throw new Error(`Waivers file not found: ${waiversPath}`);
+    return null;
+  }
+
+  const document = parseConfigSource(fs.readFileSync(waiversPath, 'utf8'), waiversPath) || {};
+  const entries = Array.isArray(document) ? document : document.waivers;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid waivers file ${waiversPath}: expected a "waivers" list`);
+  }
+
+  const errors = [];
+  const waivers = entries.map((entry, index) => {
+    const where = `waivers[${index}]${entry && entry.id ? ` (${entry.id})` : ''}`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${where} must be an object`);
+      return null;
+    }
+    for (const key of ['owner', 'reason']) {
+      if (typeof entry[key] !== 'string' || !entry[key].trim()) errors.push(`${where}.${key} is required`);
+    }
+    const expires = parseExpiry(entry.expires);
+    if (!expires) errors.push(`${where}.expires must be a date (YYYY-MM-DD)`);
+    const match = Object.fromEntries(MATCH_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, String(entry[field])]));
+    if (Object.keys(match).length === 0) errors.push(`${where} must match on at least one of ${MATCH_FIELDS.join(', ')}`);
+
+    return {
+      id: entry.id || `waivers[${index}]`,
+      owner: entry.owner,
+      reason: entry.reason,
+      expires: expires && formatDate(expires),
+      expiresAt: expires,
+      match
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid waivers file ${waiversPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { path: waiversPath, waivers };
+}
+
+/**
+ * Match waivers against violations
+ * A waiver covers the violations whose fields equal every field it names (file as a glob); it is
+ * valid through its expiry date (UTC)
+ *
+ * @param {object[]} violations
+ * @param {object[]} waivers - loadWaivers().waivers
+ * @param {Date} [now]
+ * @returns {{waived: Array<{violation, waiver}>, expired: Array<{waiver, violations: object[]}>, stale: object[]}}
+ *   expired waivers are listed with the violations they would have covered; stale waivers matched nothing
+ */
+function applyWaivers(violations, waivers, now = new Date()) {
+  const waived = [];
+  const expired = waivers.filter(waiver => now.getTime() >= waiver.expiresAt.getTime() + DAY_MS)
+    .map(waiver => ({ waiver, violations: [] }));
+  const used = new Set();
+
+  for (const violation of violations) {
+    const matching = waivers.filter(waiver => matches(waiver, violation));
+    matching.forEach(waiver => used.add(waiver));
+
+    const active = matching.find(waiver => !expired.some(entry => entry.waiver === waiver));
+    if (active) {
+      waived.push({ violation, waiver: active });
+    } else {
+      for (const entry of expired.filter(({ waiver }) => matching.includes(waiver))) entry.violations.push(violation);
+    }
+  }
+
+  return { waived, expired, stale: waivers.filter(waiver => !used.has(waiver)) };
+}
+
+/**
+ * Apply waivers to a run: violations covered by an active waiver get `waived`, each expired waiver
+ * becomes a CRITICAL WAIVER_EXPIRED and, on full runs, each stale one a LOW WAIVER_STALE
+ * A run limited to some phases or checks (`partial`) cannot tell whether a waiver's violation is gone
+ *
+ * @param {object[]} violations - Marked in place
+ * @param {object[]} waivers - loadWaivers().waivers
+ * @param {object} options - { file: waivers file for the findings, partial, now }
+ * @returns {{violations: object[], summary: {file, waived, expired, stale}}} violations to add to the run
+ */
+function annotateWaivers(violations, waivers, { file, partial, now } = {}) {
+  const { waived, expired, stale } = applyWaivers(violations, waivers, now);
+  for (const { violation, waiver } of waived) {
+    violation.waived = { id: waiver.id, owner: waiver.owner, reason: waiver.reason, expires: waiver.expires };
+  }
+
+  const findings = expired.map(({ waiver, violations: covered }) => ({
+    type: 'WAIVER_EXPIRED',
+    severity: 'CRITICAL',
+    file,
+    waiver: waiver.id,
+    owner: waiver.owner,
+    details: covered.map(violation => `[${violation.severity}] ${violation.type}: ${violation.description}`),
+    description: `Waiver ${waiver.id} (${describeWaiver(waiver)}) expired on ${waiver.expires}; ${waiver.owner} must fix the ` +
+      `${covered.length} ${covered.length === 1 ? 'violation' : 'violations'} it covered or renew it`
+  }));
+  if (!partial) {
+    findings.push(...stale.map(waiver => ({
+      type: 'WAIVER_STALE',
+      severity: 'LOW',
+      file,
+      waiver: waiver.id,
+      owner: waiver.owner,
+      description: `Waiver ${waiver.id} (${describeWaiver(waiver)}) matches no violation; remove it from ${file}`
+    })));
+  }
+
+  return {
+    violations: findings,
+    summary: { file, waived: waived.length, expired: expired.length, stale: partial ? undefined : stale.length }
+  };
+}
+
+function matches(waiver, violation) {
+  return Object.entries(waiver.match).every(([field, expected]) => {
+    if (violation[field] === undefined) return false;
+    return field === 'file' ? matchesGlob(violation.file, expected) : String(violation[field]) === expected;
+  });
+}
+
+/**
+ * "type SECURITY_FINDING, rule js-eval, file src/legacy/**"
+ */
+function describeWaiver(waiver) {
+  return Object.entries(waiver.match).map(([field, value]) => `${field} ${value}`).join(', ');
+}
+
+function parseExpiry(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) ? null : date;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  loadWaivers,
+  applyWaivers,
+  annotateWaivers,
+  describeWaiver,
+  DEFAULT_FILE,
+  MATCH_FIELDS
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadWaivers, applyWaivers, annotateWaivers, describeWaiver } = require('./waivers');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'waivers-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('loadWaivers reads the default file and validates every entry', (t) => {
+  const dir = tempDir(t);
+  assert.equal(loadWaivers(dir), null);
+  assert.throws(() => loadWaivers(dir, 'waivers.yaml'), /Waivers file not found/);
+
+  fs.writeFileSync(path.join(dir, 'verification-waivers.yaml'), [
+    'waivers:',
+    '  - id: legacy-eval',
+    '    type: SECURITY_FINDING',
+    '    file: "src/legacy/**"',
+    '    owner: security-team',
+    '    reason: Removed with the legacy module',
+    '    expires: "2026-12-31"'
+  ].join('\n'));
+  const { waivers } = loadWaivers(dir);
+  assert.equal(waivers[0].id, 'legacy-eval');
+  assert.equal(waivers[0].expires, '2026-12-31');
+  assert.equal(describeWaiver(waivers[0]), 'type SECURITY_FINDING, file src/legacy/**');
+
+  fs.writeFileSync(path.join(dir, 'bad.yaml'), 'waivers:\n  - owner: me\n    expires: soon\n');
+  assert.throws(() => loadWaivers(dir, 'bad.yaml'), error => {
+    assert.match(error.message, /waivers\[0\]\.reason is required/);
+    assert.match(error.message, /waivers\[0\]\.expires must be a date/);
+    assert.match(error.message, /must match on at least one of type, layer/);
+    return true;
+  });
+});
+
+test('active waivers cover matching violations through their expiry day', () => {
+  const waiver = { id: 'w1', expiresAt: new Date('2026-10-19T00:00:00Z'), match: { type: 'SECURITY_FINDING', file: 'src/legacy/**' } };
+  const covered = { type: 'SECURITY_FINDING', file: 'src/legacy/old.js' };
+  const other = { type: 'SECURITY_FINDING', file: 'src/new.js' };
+  const noFile = { type: 'SECURITY_FINDING' };
+
+  const result = applyWaivers([covered, other, noFile], [waiver], new Date('2026-10-19T23:59:00Z'));
+  assert.deepEqual(result.waived, [{ violation: covered, waiver }]);
+  assert.deepEqual(result.expired, []);
+  assert.deepEqual(result.stale, []);
+});
+
+test('expired waivers list what they would cover and unused ones are stale', () => {
+  const expired = { id: 'old', expiresAt: new Date('2026-10-01T00:00:00Z'), match: { rule: 'js-eval' } };
+  const unused = { id: 'unused', expiresAt: new Date('2027-01-01T00:00:00Z'), match: { layer: 'db_layer' } };
+  const violation = { type: 'SECURITY_FINDING', rule: 'js-eval' };
+
+  const result = applyWaivers([violation], [expired, unused], new Date('2026-10-19T00:00:00Z'));
+  assert.deepEqual(result.waived, []);
+  assert.deepEqual(result.expired, [{ waiver: expired, violations: [violation] }]);
+  assert.deepEqual(result.stale, [unused]);
+});
+
+test('annotateWaivers marks waived violations and reports expired and stale waivers', () => {
+  const active = { id: 'active', owner: 'api-team', reason: 'migration', expires: '2026-12-31', expiresAt: new Date('2026-12-31T00:00:00Z'), match: { type: 'UNOWNED_FILE' } };
+  const expired = { id: 'old', owner: 'me', reason: 'x', expires: '2026-01-01', expiresAt: new Date('2026-01-01T00:00:00Z'), match: { rule: 'js-eval' } };
+  const unused = { id: 'unused', owner: 'me', reason: 'x', expires: '2027-01-01', expiresAt: new Date('2027-01-01T00:00:00Z'), match: { layer: 'db_layer' } };
+  const unowned = { type: 'UNOWNED_FILE', severity: 'MEDIUM', description: 'tools.sh is unowned' };
+  const finding = { type: 'SECURITY_FINDING', severity: 'HIGH', rule: 'js-eval', description: 'eval()' };
+  const now = new Date('2026-10-19T00:00:00Z');
+
+  const full = annotateWaivers([unowned, finding], [active, expired, unused], { file: 'waivers.yaml', now });
+  assert.deepEqual(unowned.waived, { id: 'active', owner: 'api-team', reason: 'migration', expires: '2026-12-31' });
+  assert.equal(finding.waived, undefined);
+  assert.deepEqual(full.violations.map(violation => [violation.type, violation.severity, violation.waiver]), [
+    ['WAIVER_EXPIRED', 'CRITICAL', 'old'],
+    ['WAIVER_STALE', 'LOW', 'unused']
+  ]);
+  assert.deepEqual(full.violations[0].details, ['[HIGH] SECURITY_FINDING: eval()']);
+  assert.deepEqual(full.summary, { file: 'waivers.yaml', waived: 1, expired: 1, stale: 1 });
+
+  const partial = annotateWaivers([], [unused], { file: 'waivers.yaml', partial: true, now });
+  assert.deepEqual(partial.violations, []);
+  assert.equal(partial.summary.stale, undefined);
+});